@@ -4,532 +4,2175 @@
  * A streamlined solution that focuses only on the core functionality:
  * 1. Connecting to Picqer API
  * 2. Fetching data from Picqer
- * 3. Storing data in SQL database
+ * 3. Storing data in SQL database (SQL Server, PostgreSQL or SQLite, see DB_CLIENT)
  * 4. Providing simple API endpoints for triggering sync
  * 
- * This version uses full sync only (no incremental sync) to reduce complexity.
+ * Syncs run in one of two modes:
+ * - full: clears the table and re-imports every record from Picqer
+ * - incremental: only fetches records changed since the last successful sync
+ *   and upserts them. A full sync is forced periodically to catch drift.
+ *   Picqer filters on the local time of the account (PICQER_TIMEZONE,
+ *   default Europe/Amsterdam).
+ *
+ * One deployment can serve several Picqer accounts (tenants, see
+ * lib/tenants.js), each with its own client and tables.
  */
 
 // Load environment variables
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const sql = require('mssql');
-const axios = require('axios');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { loadSchedules, SyncScheduler } = require('./lib/scheduler');
+const { SyncJobManager, SyncCancelledError, JobConflictError } = require('./lib/jobs');
+const { ROLES, Authenticator, generateApiKey, hashApiKey, hashPassword } = require('./lib/auth');
+const { loadEntities, entityDependencies, mapRecord } = require('./lib/entities');
+const { createStorage } = require('./lib/storage');
+const { QueryError, buildListQuery, encodeCursor, formatRow, parsePaging, parseValue } = require('./lib/query');
+const { EXPORT_FORMATS } = require('./lib/export');
+const { Reconciler } = require('./lib/reconcile');
+const { HistoryRecorder } = require('./lib/history');
+const { METRICS_CONTENT_TYPE, MetricsRegistry } = require('./lib/metrics');
+const { LOG_LEVELS, logger } = require('./lib/logger');
+const { Notifier, notificationConfig } = require('./lib/notifications');
+const { EventStream } = require('./lib/events');
+const { Migrator } = require('./lib/migrations');
+const { BatchWriter, deleteChildRows } = require('./lib/batch');
+const { PicqerClient } = require('./lib/picqer');
+const { WebhookEventError, WebhookProcessor, verifyWebhookSignature } = require('./lib/webhooks');
+const { DEFAULT_TENANT, loadTenants, tenantEntities, tenantTables } = require('./lib/tenants');
 
 // Create Express app
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Allowed CORS origins (comma-separated, or * for any origin).
+// Without CORS_ORIGINS only the dashboard's own origin can call the API.
+const corsOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(origin => origin);
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors(corsOrigins.includes('*')
+  ? { origin: true }
+  : { origin: corsOrigins, credentials: true }));
+app.use(express.json({
+  // Keep the raw body around for verifying webhook signatures
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
-// Database configuration
-const dbConfig = {
-  server: process.env.DB_HOST || process.env.SQL_SERVER,
-  port: parseInt(process.env.DB_PORT || process.env.SQL_PORT || '1433'),
-  database: process.env.DB_NAME || process.env.SQL_DATABASE,
-  user: process.env.DB_USER || process.env.SQL_USER,
-  password: process.env.DB_PASSWORD || process.env.SQL_PASSWORD,
-  options: {
-    encrypt: true,
-    trustServerCertificate: false
+// Correlation id per request, taken from X-Request-Id or generated. It is
+// returned in the response and attached to everything logged while handling
+// the request, including the sync jobs it starts. Registered after the body
+// parsers, which would otherwise lose the log context.
+app.use((req, res, next) => {
+  const requestId = req.get('X-Request-Id');
+  req.id = requestId && /^[\w.:-]{1,100}$/.test(requestId) ? requestId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  
+  const started = Date.now();
+  res.on('finish', () => {
+    logger.debug(`${req.method} ${req.path} ${res.statusCode}`, {
+      requestId: req.id,
+      status: res.statusCode,
+      durationMs: Date.now() - started
+    });
+  });
+  
+  logger.withContext({ requestId: req.id }, next);
+});
+
+// Picqer API configuration, shared by the clients of all tenants.
+// The base URL and API key are set per tenant.
+const picqerConfig = {
+  requestsPerMinute: 30,
+  pageSize: 100,
+  // Time zone of the Picqer accounts, for date filters
+  timezone: process.env.PICQER_TIMEZONE || 'Europe/Amsterdam',
+  timeout: parseInt(process.env.PICQER_TIMEOUT_MS || '30000'),
+  retry: {
+    maxRetries: parseInt(process.env.PICQER_MAX_RETRIES || '5'),
+    baseDelay: parseInt(process.env.PICQER_RETRY_BASE_DELAY_MS || '1000'),
+    maxDelay: parseInt(process.env.PICQER_RETRY_MAX_DELAY_MS || '60000')
   }
 };
 
-// Picqer API configuration
-const picqerConfig = {
-  apiKey: process.env.PICQER_API_KEY,
-  baseUrl: process.env.PICQER_BASE_URL || process.env.PICQER_API_URL,
-  requestsPerMinute: 30
+// Picqer webhook configuration. The secret is set per tenant.
+const webhookConfig = {
+  // Public base URL of this middleware, used as the address when registering webhooks
+  baseUrl: process.env.WEBHOOK_BASE_URL,
+  events: (process.env.PICQER_WEBHOOK_EVENTS || 'products.free_stock_changed,products.changed,picklists.closed,picklists.changed,orders.status_changed,orders.changed')
+    .split(',')
+    .map(event => event.trim())
+    .filter(event => event)
+};
+
+// Sync configuration
+const syncConfig = {
+  defaultMode: process.env.SYNC_MODE || 'incremental',
+  fullSyncIntervalHours: parseInt(process.env.FULL_SYNC_INTERVAL_HOURS || '24'),
+  // Re-fetch a few minutes before the last sync to cover clock skew between
+  // our server and Picqer; upserts make the overlap harmless
+  incrementalOverlapMinutes: 5,
+  batchSize: parseInt(process.env.SYNC_BATCH_SIZE || '1000'),
+  // Keep the history of the registry's history columns (e.g. product price and stock)
+  trackHistory: process.env.TRACK_HISTORY === 'true'
 };
 
+// Authentication configuration
+const authConfig = {
+  // Only for local development: every request is treated as an admin
+  disabled: process.env.AUTH_DISABLED === 'true',
+  sessionSecret: process.env.SESSION_SECRET,
+  sessionTtlHours: parseInt(process.env.SESSION_TTL_HOURS || '12'),
+  // Admin key accepted without a database row, for creating the first keys
+  bootstrapApiKey: process.env.ADMIN_API_KEY,
+  // Dashboard admin user created on startup if it does not exist yet
+  adminUsername: process.env.ADMIN_USERNAME,
+  adminPassword: process.env.ADMIN_PASSWORD
+};
+
+const SYNC_MODES = ['full', 'incremental'];
+
 // Global variables
-let dbPool = null;
-let syncInProgress = false;
-let lastSyncResults = {};
+const storage = createStorage();
+// Results of the last sync of all entities, by tenant
+const lastSyncResults = {};
+
+// Alerts on failed, partially failed and stale syncs
+const notifier = new Notifier(notificationConfig());
 
-// Initialize database connection pool
+// How often to check for stale data, when NOTIFY_STALE_HOURS is set
+const STALE_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// Live sync events for the dashboard, served at GET /api/events
+const events = new EventStream({
+  replaySize: parseInt(process.env.EVENTS_REPLAY_SIZE || '200'),
+  heartbeatSeconds: parseInt(process.env.EVENTS_HEARTBEAT_SECONDS || '25')
+});
+
+// Prometheus metrics, served at GET /metrics
+const metricsRegistry = new MetricsRegistry();
+const metrics = {
+  syncDuration: metricsRegistry.histogram('picqer_sync_duration_seconds', 'Duration of entity syncs', [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600]),
+  syncRuns: metricsRegistry.counter('picqer_sync_runs_total', 'Entity syncs by outcome'),
+  rowsFetched: metricsRegistry.counter('picqer_sync_rows_fetched_total', 'Records fetched from Picqer by syncs'),
+  rowsInserted: metricsRegistry.counter('picqer_sync_rows_inserted_total', 'Records written to the database by syncs'),
+  rowsFailed: metricsRegistry.counter('picqer_sync_rows_failed_total', 'Records syncs failed to write'),
+  lastSuccess: metricsRegistry.gauge('picqer_sync_last_success_timestamp_seconds', 'Time the last successful sync of an entity finished'),
+  records: metricsRegistry.gauge('picqer_entity_records', 'Records in an entity table after its last successful sync'),
+  picqerQueueDepth: metricsRegistry.gauge('picqer_api_queue_depth', 'Picqer API requests waiting in the rate limited queue'),
+  picqerRequestDuration: metricsRegistry.histogram('picqer_api_request_duration_seconds', 'Duration of Picqer API requests, per attempt', [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]),
+  picqerRequests: metricsRegistry.counter('picqer_api_requests_total', 'Picqer API requests by status code, per attempt'),
+  picqerErrors: metricsRegistry.counter('picqer_api_errors_total', 'Failed Picqer API requests by status code (timeout or network without a response), per attempt'),
+  picqerRetries: metricsRegistry.counter('picqer_api_retries_total', 'Retried Picqer API requests'),
+  databaseUp: metricsRegistry.gauge('picqer_db_up', 'Whether the database is connected'),
+  databasePoolConnections: metricsRegistry.gauge('picqer_db_pool_connections', 'Database pool connections by state'),
+  databasePoolWaiting: metricsRegistry.gauge('picqer_db_pool_waiting', 'Queries waiting for a database connection'),
+  databasePoolMax: metricsRegistry.gauge('picqer_db_pool_max', 'Maximum size of the database pool')
+};
+
+// Initialize database connection
 async function initializeDatabase() {
   try {
-    console.log('Initializing database connection pool...');
-    dbPool = await sql.connect(dbConfig);
-    console.log('Database connection pool initialized successfully');
+    logger.info(`Initializing ${storage.dialect} database connection...`);
+    await storage.connect();
+    logger.info('Database connection initialized successfully');
     
-    // Create tables if they don't exist
+    // Entity tables are created before the migrations run, so a migration
+    // can alter them on a fresh install too
     await createTablesIfNotExist();
+    await new Migrator(storage).migrate();
+    await markInterruptedRuns();
+    await ensureAdminUser();
     
     return true;
   } catch (error) {
-    console.error('Error initializing database:', error.message);
+    logger.error('Error initializing database', { error: error.message });
     return false;
   }
 }
 
-// Create necessary tables if they don't exist
+// Entity registry: built-in and custom entities, in sync order
+const entityRegistry = Object.fromEntries(loadEntities().map(entity => [entity.name, entity]));
+
+// Tenants, each with the entity registry on its own tables. Their Picqer
+// clients are added below, together with their reconcilers.
+const tenants = loadTenants().map(tenant => ({
+  ...tenant,
+  registry: Object.fromEntries(tenantEntities(Object.values(entityRegistry), tenant).map(entity => [entity.name, entity]))
+}));
+
+// Tenant of routes that do not name one
+const defaultTenant = tenants[0];
+
+// Look up a tenant by id, null when it is unknown
+function findTenant(id) {
+  return tenants.find(tenant => tenant.id === id) || null;
+}
+
+// Name of a tenant's entity in alerts: just the entity with a single tenant
+function tenantEntityName(tenant, entity) {
+  return tenants.length > 1 ? `${tenant.id}/${entity}` : entity;
+}
+
+// Tables of all entities of all tenants by name, including child tables,
+// referenced tables first
+const entityTableDefinitions = tenantTables(Object.values(entityRegistry), tenants);
+
+// Whether the history of an entity is kept
+function keepsHistory(entity) {
+  return syncConfig.trackHistory && entity.historyTable !== null;
+}
+
+// Records versions of entities that keep history
+const historyRecorder = new HistoryRecorder(storage);
+
+// Create entity tables if they don't exist.
+// Entity tables follow the entity registry (including custom entities), so
+// they are created here rather than by migrations; system tables are created
+// by the migrations in the migrations directory, which run afterwards.
 async function createTablesIfNotExist() {
   try {
-    // Create products table
-    await dbPool.request().query(`
-      IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'products')
-      CREATE TABLE products (
-        id INT PRIMARY KEY,
-        idproduct VARCHAR(255),
-        name NVARCHAR(255),
-        sku VARCHAR(255),
-        barcode VARCHAR(255),
-        price DECIMAL(10, 2),
-        stock INT,
-        sync_date DATETIME DEFAULT GETDATE()
-      )
-    `);
-    
-    // Create picklists table
-    await dbPool.request().query(`
-      IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'picklists')
-      CREATE TABLE picklists (
-        id INT PRIMARY KEY,
-        idpicklist VARCHAR(255),
-        status VARCHAR(50),
-        created DATETIME,
-        completed DATETIME,
-        warehouse_id INT,
-        sync_date DATETIME DEFAULT GETDATE()
-      )
-    `);
+    // Create entity tables
+    for (const table of Object.values(entityTableDefinitions)) {
+      await storage.createTable(table.name, table);
+    }
     
-    // Create warehouses table
-    await dbPool.request().query(`
-      IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'warehouses')
-      CREATE TABLE warehouses (
-        id INT PRIMARY KEY,
-        idwarehouse VARCHAR(255),
-        name NVARCHAR(255),
-        sync_date DATETIME DEFAULT GETDATE()
-      )
-    `);
+    // Add columns that are missing from entity tables created by older versions
+    // (or before a column was added to a custom entity)
+    for (const table of Object.values(entityTableDefinitions)) {
+      await storage.addMissingColumns(table);
+    }
     
-    // Create sync_status table
-    await dbPool.request().query(`
-      IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'sync_status')
-      CREATE TABLE sync_status (
-        entity VARCHAR(50) PRIMARY KEY,
-        last_sync DATETIME,
-        record_count INT,
-        status VARCHAR(50)
-      )
-    `);
+    // History tables of entities that keep history
+    for (const tenant of tenants) {
+      for (const entity of Object.values(tenant.registry).filter(keepsHistory)) {
+        await historyRecorder.createTable(entity);
+      }
+    }
     
-    console.log('Database tables created/verified successfully');
+    logger.info('Database tables created/verified successfully');
   } catch (error) {
-    console.error('Error creating tables:', error.message);
+    logger.error('Error creating tables', { error: error.message });
     throw error;
   }
 }
 
-// Simple Picqer API client
-class PicqerClient {
-  constructor(config) {
-    this.apiKey = config.apiKey;
-    this.baseUrl = config.baseUrl;
-    this.requestsPerMinute = config.requestsPerMinute || 30;
-    this.requestQueue = [];
-    this.processing = false;
-    
-    // Start request processor
-    this.startRequestProcessor();
+// Mark runs still marked as running as interrupted: they were cut off by a
+// restart. Needs the system tables, so runs after the migrations.
+async function markInterruptedRuns() {
+  await storage.query(`
+    UPDATE sync_runs SET status = 'interrupted', error = 'Process stopped before the sync finished'
+    WHERE status = 'running'
+  `);
+  await storage.query(`
+    UPDATE reconcile_runs SET status = 'interrupted', error = 'Process stopped before the reconciliation finished'
+    WHERE status = 'running'
+  `);
+}
+
+// Name of the staging table a full sync of the given table loads into
+function stagingTableName(table) {
+  return `${table}_staging`;
+}
+
+// Create an empty staging table for a full sync, replacing any leftover
+// staging table from an earlier sync that was interrupted
+async function createStagingTable(table) {
+  const staging = stagingTableName(table);
+  
+  await storage.dropTable(staging);
+  await storage.createTable(staging, entityTableDefinitions[table]);
+  
+  return staging;
+}
+
+// Drop the staging table of a failed full sync, leaving the live table untouched
+async function dropStagingTable(table) {
+  const staging = stagingTableName(table);
+  
+  try {
+    await storage.dropTable(staging);
+  } catch (error) {
+    logger.error(`Error dropping staging table ${staging}`, { error: error.message });
+  }
+}
+
+// Atomically replace live tables with their fully loaded staging tables.
+// All renames run in one transaction, so readers see either the old or the
+// new data and never an empty table (or a parent table without its children).
+// If anything fails the transaction is rolled back and the old data stays in place.
+//
+// Foreign keys in other tables that reference a swapped table (e.g.
+// product_stock.warehouse_id -> warehouses.id) are moved over to the new
+// table by the storage adapter without checking existing rows: rows pointing
+// at a record that no longer exists in Picqer are cleaned up by the next sync
+// of the referencing table, not by failing this one.
+async function swapStagingTables(tables) {
+  await storage.swapTables(tables.map(table => ({
+    table,
+    staging: stagingTableName(table)
+  })));
+}
+
+// Batched writer for a table of the registry (an entity or child table),
+// writing to the table itself or to its staging table
+function createBatchWriter(table, target = table) {
+  return new BatchWriter(storage, entityTableDefinitions[table], target, syncConfig.batchSize);
+}
+
+// A Picqer client per tenant, each with its own rate limited queue, and a
+// reconciler for comparing the tenant's Picqer account with its tables
+for (const tenant of tenants) {
+  tenant.picqerClient = new PicqerClient({
+    ...picqerConfig,
+    tenant: tenant.id,
+    baseUrl: tenant.baseUrl,
+    apiKey: tenant.apiKey,
+    metrics
+  });
+  tenant.reconciler = new Reconciler(storage, tenant.picqerClient);
+}
+
+// Picqer reads dates in filters as local time of the account
+const picqerDateFormat = new Intl.DateTimeFormat('en-GB', {
+  timeZone: picqerConfig.timezone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+// Format a date the way Picqer expects it in filters (YYYY-MM-DD HH:mm:ss)
+function formatPicqerDate(date) {
+  const parts = Object.fromEntries(picqerDateFormat.formatToParts(date).map(part => [part.type, part.value]));
+  
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+// Decide how an entity should be synced.
+// Incremental syncs continue from the last successful sync, so a failed sync
+// is retried from there. They fall back to a full sync when the entity has
+// never synced successfully, or when the last full sync is older than the
+// configured interval.
+async function resolveSyncMode(tenant, entity, requestedMode) {
+  if (requestedMode === 'full') {
+    return { mode: 'full', since: null };
   }
   
-  // Add request to queue
-  async request(method, endpoint, data = null) {
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({
-        method,
-        endpoint,
-        data,
-        resolve,
-        reject
-      });
-      
-      if (!this.processing) {
-        this.processNextRequest();
-      }
+  const result = await storage.query(`
+    SELECT last_success, last_full_sync
+    FROM sync_status
+    WHERE tenant = @tenant AND entity = @entity
+  `, { tenant: tenant.id, entity });
+  
+  const state = result.rows[0];
+  
+  if (!state || !state.last_success) {
+    logger.info(`No successful ${entity} sync recorded, running full sync`);
+    return { mode: 'full', since: null };
+  }
+  
+  // SQLite returns dates as strings
+  const lastSuccess = new Date(state.last_success);
+  const fullSyncAge = state.last_full_sync ? Date.now() - new Date(state.last_full_sync).getTime() : Infinity;
+  if (fullSyncAge > syncConfig.fullSyncIntervalHours * 60 * 60 * 1000) {
+    logger.info(`Last full ${entity} sync is older than ${syncConfig.fullSyncIntervalHours} hours, running full sync`);
+    return { mode: 'full', since: null };
+  }
+  
+  const since = new Date(lastSuccess.getTime() - syncConfig.incrementalOverlapMinutes * 60 * 1000);
+  return { mode: 'incremental', since };
+}
+
+// Count the rows currently stored in a table
+async function countRows(table) {
+  const result = await storage.query(`SELECT COUNT(*) AS total FROM ${table}`);
+  // Postgres returns counts as strings
+  return parseInt(result.rows[0].total);
+}
+
+// Record a successful sync in sync_status.
+// last_success is set to the time the sync started, so records changed while
+// the sync was running are picked up by the next incremental sync.
+async function recordSyncSuccess(tenant, entity, count, mode, syncStarted) {
+  const status = {
+    tenant: tenant.id,
+    entity,
+    last_sync: syncStarted,
+    last_success: syncStarted,
+    record_count: count,
+    status: 'success'
+  };
+  
+  // Incremental syncs leave the time of the last full sync alone
+  if (mode === 'full') {
+    status.last_full_sync = syncStarted;
+  }
+  
+  await storage.upsert('sync_status', status, { keys: ['tenant', 'entity'] });
+}
+
+// Record the start of an entity sync in sync_runs and return the run id.
+// History is best effort: a failure here is logged but never stops the sync.
+async function startSyncRun(tenant, entity, mode, trigger, startedAt) {
+  try {
+    return await storage.insert('sync_runs', {
+      tenant: tenant.id,
+      entity,
+      trigger_type: trigger,
+      mode,
+      status: 'running',
+      started_at: startedAt
+    }, 'id');
+  } catch (error) {
+    logger.error(`Error recording start of ${entity} sync run`, { error: error.message });
+    return null;
+  }
+}
+
+// Record the outcome of an entity sync in sync_runs
+async function finishSyncRun(runId, result, startedAt) {
+  if (!runId) {
+    return;
+  }
+  
+  try {
+    const finishedAt = new Date();
+    
+    await storage.query(`
+      UPDATE sync_runs SET
+        mode = COALESCE(@mode, mode),
+        status = @status,
+        finished_at = @finishedAt,
+        duration_ms = @duration,
+        fetched_count = @fetched,
+        inserted_count = @inserted,
+        failed_count = @failed,
+        retry_count = @retries,
+        error = @error
+      WHERE id = @id
+    `, {
+      id: runId,
+      mode: result.mode || null,
+      status: result.cancelled ? 'cancelled' : (result.success ? 'success' : 'error'),
+      finishedAt,
+      duration: finishedAt - startedAt,
+      fetched: result.fetched || 0,
+      inserted: result.count || 0,
+      failed: result.failed || 0,
+      retries: result.retries || 0,
+      error: result.error || null
     });
+  } catch (error) {
+    logger.error(`Error recording end of sync run ${runId}`, { error: error.message });
   }
+}
+
+// Record changes to an entity in its history table, if it keeps history.
+// Like the sync run history this is best effort: a failure is logged and the
+// changes are picked up by the next sync, dated to that sync.
+async function recordHistory(definition, options) {
+  if (!keepsHistory(definition)) {
+    return;
+  }
+  
+  try {
+    const { versions, deleted } = await historyRecorder.record(definition, options);
+    
+    if (versions > 0 || deleted > 0) {
+      logger.info(`Recorded ${versions} new versions and ${deleted} deletions in ${definition.historyTable}`);
+    }
+  } catch (error) {
+    logger.error(`Error recording ${definition.name} history`, { error: error.message });
+  }
+}
+
+// Sync an entity and its child tables from a tenant's Picqer account.
+// Full syncs load everything into staging tables that are swapped in together
+// once complete, incremental syncs upsert the records changed since the last
+// sync straight into the live tables.
+async function syncEntity(tenant, entity, requestedMode = syncConfig.defaultMode, job) {
+  const definition = tenant.registry[entity];
+  const tables = [definition.table, ...definition.children.map(child => child.name)];
+  const writers = [];
+  const requestStats = { retries: 0 };
   
-  // Process next request in queue
-  async processNextRequest() {
-    if (this.requestQueue.length === 0) {
-      this.processing = false;
-      return;
+  try {
+    const syncStarted = new Date();
+    // Entities Picqer cannot filter on updated date are always fully synced
+    const { mode, since } = definition.incremental
+      ? await resolveSyncMode(tenant, entity, requestedMode)
+      : { mode: 'full', since: null };
+    logger.info(`Syncing ${entity} (${mode})...`);
+    // A full sync is expected to fetch about as many records as the table holds
+    job.updateProgress(entity, {
+      mode,
+      rowsExpected: mode === 'full' ? (await countRows(definition.table)) || null : null
+    });
+    
+    const params = {};
+    if (mode === 'incremental') {
+      params[definition.updatedFilter] = formatPicqerDate(since);
     }
     
-    this.processing = true;
-    const request = this.requestQueue.shift();
+    // One writer per table: the entity table first, then its child tables
+    for (const table of tables) {
+      const writer = createBatchWriter(table, mode === 'full' ? await createStagingTable(table) : table);
+      writers.push(writer);
+    }
+    const [writer, ...childWriters] = writers;
+    job.setPhase(entity, 'fetching');
     
-    try {
-      const response = await axios({
-        method: request.method,
-        url: `${this.baseUrl}/${request.endpoint}`,
-        data: request.data,
-        headers: {
-          'Authorization': `Basic ${Buffer.from(this.apiKey + ':').toString('base64')}`,
-          'Content-Type': 'application/json'
+    // Fetch records from Picqer page by page and write them in batches
+    let fetchedCount = 0;
+    let pageCount = 0;
+    for await (const page of tenant.picqerClient.paginate(definition.endpoint, params, requestStats)) {
+      fetchedCount += page.length;
+      logger.debug(`Retrieved page of ${page.length} ${entity} from Picqer (${fetchedCount} so far)`);
+      
+      const records = page.map(record => mapRecord(definition, record));
+      const addRecords = async db => {
+        for (const record of records) {
+          await writer.add(record.row, db);
+          
+          for (const childWriter of childWriters) {
+            for (const row of record.children[childWriter.entity]) {
+              await childWriter.add(row, db);
+            }
+          }
         }
+      };
+      
+      if (mode === 'incremental') {
+        // Replace the page's child rows in one transaction, so readers never
+        // see a record without its lines and a failed write keeps the old ones
+        await storage.transaction(async tx => {
+          await deleteChildRows(definition, records.map(record => record.row[definition.key]), tx);
+          await addRecords(tx);
+          
+          for (const tableWriter of writers) {
+            await tableWriter.flush(tx);
+          }
+        });
+      } else {
+        await addRecords(storage);
+      }
+      
+      job.updateProgress(entity, {
+        pagesFetched: ++pageCount,
+        rowsFetched: fetchedCount,
+        rowsWritten: writer.insertedCount,
+        rowsFailed: writer.failedCount
       });
       
-      request.resolve(response.data);
-    } catch (error) {
-      console.error(`Error in Picqer API request to ${request.endpoint}:`, error.message);
-      request.reject(error);
+      // Stop between pages when the job has been cancelled
+      job.throwIfCancelled();
+    }
+    
+    for (const tableWriter of writers) {
+      await tableWriter.close();
+    }
+    job.updateProgress(entity, {
+      rowsWritten: writer.insertedCount,
+      rowsFailed: writer.failedCount
+    });
+    
+    // Last chance to cancel before the new data goes live
+    job.throwIfCancelled();
+    job.setPhase(entity, 'finalizing');
+    
+    if (mode === 'full') {
+      await swapStagingTables(tables);
+    }
+    
+    // Only a full sync knows which records are gone
+    await recordHistory(definition, { tombstones: mode === 'full' });
+    
+    // Update sync status with the number of rows now in the table
+    const totalCount = await countRows(definition.table);
+    await recordSyncSuccess(tenant, entity, totalCount, mode, syncStarted);
+    
+    const failedCount = writers.reduce((total, tableWriter) => total + tableWriter.failedCount, 0);
+    const children = Object.fromEntries(childWriters.map(childWriter => [childWriter.entity, childWriter.insertedCount]));
+    
+    job.setPhase(entity, 'done');
+    logger.info(`Synced ${writer.insertedCount} of ${fetchedCount} ${entity} successfully${childWriters.length > 0 ? ` with ${JSON.stringify(children)}` : ''} (${failedCount} failed, ${requestStats.retries} retries)`, {
+      mode,
+      fetched: fetchedCount,
+      inserted: writer.insertedCount,
+      failed: failedCount,
+      retries: requestStats.retries
+    });
+    return {
+      success: true,
+      mode,
+      fetched: fetchedCount,
+      count: writer.insertedCount,
+      children,
+      failed: failedCount,
+      failedRows: writers.flatMap(tableWriter => tableWriter.failedRows),
+      retries: requestStats.retries
+    };
+  } catch (error) {
+    // Discard the partially loaded staging tables, the live tables are untouched
+    for (const table of tables) {
+      await dropStagingTable(table);
+    }
+    
+    // A cancelled sync is not an error and leaves sync_status as it was
+    if (error instanceof SyncCancelledError) {
+      logger.info(`${definition.label} sync cancelled`);
+      job.setPhase(entity, 'cancelled');
+      return {
+        success: false,
+        cancelled: true,
+        error: error.message,
+        retries: requestStats.retries
+      };
+    }
+    
+    logger.error(`Error syncing ${entity}`, { error: error.message });
+    job.setPhase(entity, 'failed');
+    
+    // Update sync status
+    try {
+      const status = {
+        tenant: tenant.id,
+        entity,
+        last_sync: new Date(),
+        status: `error: ${error.message.substring(0, 255)}`
+      };
+      
+      // Keep the record count and last_success of the last successful sync
+      const updated = await storage.query(`
+        UPDATE sync_status SET last_sync = @last_sync, status = @status
+        WHERE tenant = @tenant AND entity = @entity
+      `, status);
+      if (updated.rowCount === 0) {
+        await storage.insert('sync_status', { ...status, record_count: 0 });
+      }
+    } catch (statusError) {
+      logger.error('Error updating sync status', { error: statusError.message });
     }
     
-    // Wait before processing next request to respect rate limits
-    setTimeout(() => {
-      this.processNextRequest();
-    }, (60 * 1000) / this.requestsPerMinute);
+    return {
+      success: false,
+      error: error.message,
+      retries: requestStats.retries
+    };
   }
+}
+
+// Valid sync triggers, recorded with each run in sync_runs
+const SYNC_TRIGGERS = ['manual', 'scheduled', 'webhook'];
+
+// Applies webhook events, recording each as a sync run with the webhook trigger
+const webhooks = new WebhookProcessor(storage, entityTableDefinitions, {
+  startRun: (tenant, entity, startedAt) => startSyncRun(tenant, entity, null, 'webhook', startedAt),
+  finishRun: finishSyncRun,
+  recordHistory
+});
+
+// Sync job manager, holds the per-entity locks
+const syncJobs = new SyncJobManager();
+
+// Push job changes and entity progress to the dashboard
+syncJobs.on('job', job => events.publish('job.updated', job.toJSON()));
+syncJobs.on('progress', (job, entity) => events.publish('sync.progress', {
+  jobId: job.id,
+  tenant: job.tenant,
+  entity,
+  mode: job.mode,
+  ...job.progress[entity]
+}));
+
+// Run a single entity sync of a tenant as part of a job and record it in the
+// sync run history
+async function runEntitySync(tenant, entity, mode, trigger, job) {
+  const startedAt = new Date();
+  const runId = await startSyncRun(tenant, entity, mode, trigger, startedAt);
+  events.publish('sync.started', {
+    jobId: job.id,
+    tenant: tenant.id,
+    entity,
+    runId,
+    mode,
+    trigger
+  });
+  job.setPhase(entity, 'preparing');
+  
+  // Everything logged while syncing carries the run id
+  const result = await logger.withContext({ tenant: tenant.id, runId, entity }, () => syncEntity(tenant, entity, mode, job));
+  await finishSyncRun(runId, result, startedAt);
+  recordSyncMetrics(tenant, entity, mode, result, startedAt);
+  
+  // Cancelled syncs are reported as failed, with cancelled set
+  events.publish(result.success ? 'sync.completed' : 'sync.failed', {
+    jobId: job.id,
+    tenant: tenant.id,
+    entity,
+    runId,
+    mode: result.mode || mode,
+    cancelled: Boolean(result.cancelled),
+    fetched: result.fetched || 0,
+    inserted: result.count || 0,
+    failed: result.failed || 0,
+    retries: result.retries || 0,
+    error: result.error || null,
+    durationMs: Date.now() - startedAt
+  });
+  
+  // Notifications are sent in the background, a slow channel never holds up the job
+  notifier.syncFinished(tenantEntityName(tenant, entity), { ...result, runId })
+    .catch(error => logger.error(`Error sending ${entity} sync notifications`, { error: error.message }));
   
-  // Start request processor
-  startRequestProcessor() {
-    if (!this.processing && this.requestQueue.length > 0) {
-      this.processNextRequest();
+  return {
+    ...result,
+    runId
+  };
+}
+
+// Time of the last successful sync of each entity of each tenant
+// ([{ tenant, entity, finishedAt }]), from the sync run history so it
+// survives restarts. Webhook runs only update a single record, so they do
+// not count.
+async function lastSuccessfulSyncs() {
+  const result = await storage.query(`
+    SELECT tenant, entity, MAX(finished_at) AS finished_at
+    FROM sync_runs
+    WHERE status = 'success' AND trigger_type <> 'webhook'
+    GROUP BY tenant, entity
+  `);
+  
+  return result.rows.map(row => ({
+    tenant: row.tenant,
+    entity: row.entity,
+    finishedAt: new Date(row.finished_at)
+  }));
+}
+
+// Alert on entities that have not synced successfully for too long
+async function checkStaleData() {
+  try {
+    const syncs = await lastSuccessfulSyncs();
+    
+    // Every configured entity of every tenant, null when it never synced
+    // successfully. Tenants and entities removed from the config are no
+    // longer synced, so they are left out.
+    const lastSuccess = {};
+    for (const tenant of tenants) {
+      for (const entity of Object.keys(tenant.registry)) {
+        const sync = syncs.find(candidate => candidate.tenant === tenant.id && candidate.entity === entity);
+        lastSuccess[tenantEntityName(tenant, entity)] = sync ? sync.finishedAt : null;
+      }
     }
+    
+    await notifier.checkStaleness(lastSuccess);
+  } catch (error) {
+    logger.error('Error checking for stale data', { error: error.message });
   }
+}
+
+// Count a finished entity sync in the metrics
+function recordSyncMetrics(tenant, entity, mode, result, startedAt) {
+  const status = result.cancelled ? 'cancelled' : (result.success ? 'success' : 'error');
+  const labels = { tenant: tenant.id, entity };
+  
+  metrics.syncDuration.observe({ ...labels, mode: result.mode || mode, status }, (Date.now() - startedAt) / 1000);
+  metrics.syncRuns.inc({ ...labels, status });
+  metrics.rowsFetched.inc(labels, result.fetched || 0);
+  metrics.rowsInserted.inc(labels, result.count || 0);
+  metrics.rowsFailed.inc(labels, result.failed || 0);
+}
+
+// Sync all entities of a tenant as part of a job
+async function syncAll(tenant, mode, trigger, job) {
+  logger.info(`Starting ${mode} sync for all entities...`);
+  
+  // Alerts on syncs of everything are per tenant
+  const alertName = tenantEntityName(tenant, 'all');
   
-  // Get all products
-  async getProducts() {
-    return this.request('get', 'products');
+  try {
+    // Sync all entities in sequence, skipping the rest once the job is cancelled
+    const results = {};
+    for (const entity of Object.keys(tenant.registry)) {
+      if (job.cancelRequested) {
+        job.setPhase(entity, 'cancelled');
+        results[entity] = {
+          success: false,
+          cancelled: true,
+          error: 'Sync cancelled'
+        };
+        continue;
+      }
+      
+      results[entity] = await runEntitySync(tenant, entity, mode, trigger, job);
+    }
+    
+    // Store results
+    lastSyncResults[tenant.id] = {
+      timestamp: new Date().toISOString(),
+      mode,
+      jobId: job.id,
+      ...results,
+      success: Object.values(results).some(result => result.success)
+    };
+    
+    logger.info('Sync completed for all entities');
+    
+    // Failed entities have alerts of their own; this one only clears once
+    // every entity synced again
+    if (Object.values(results).every(result => result.success)) {
+      notifier.resolve(`sync_failed:${alertName}`, `Sync of ${alertName} entities recovered`, `The sync of ${alertName} entities completed again`)
+        .catch(notifyError => logger.error('Error sending sync notifications', { error: notifyError.message }));
+    }
+    return lastSyncResults[tenant.id];
+  } catch (error) {
+    logger.error('Error in syncAll', { error: error.message });
+    notifier.raise({
+      key: `sync_failed:${alertName}`,
+      severity: 'error',
+      title: `Sync of ${alertName} entities failed`,
+      message: `The sync of ${alertName} entities failed: ${error.message}`,
+      details: {
+        jobId: job.id
+      }
+    }).catch(notifyError => logger.error('Error sending sync notifications', { error: notifyError.message }));
+    
+    lastSyncResults[tenant.id] = {
+      timestamp: new Date().toISOString(),
+      jobId: job.id,
+      error: error.message,
+      success: false
+    };
+    
+    return lastSyncResults[tenant.id];
+  }
+}
+
+// Sync an entity as part of a job after the entities it references (e.g.
+// warehouses before products), so its rows pass their foreign keys. The job
+// result is that of the entity; its dependencies record runs of their own.
+async function syncWithDependencies(tenant, entity, dependencies, mode, trigger, job) {
+  for (const dependency of dependencies) {
+    if (job.cancelRequested) {
+      break;
+    }
+    
+    await runEntitySync(tenant, dependency, mode, trigger, job);
   }
   
-  // Get all picklists
-  async getPicklists() {
-    return this.request('get', 'picklists');
+  return runEntitySync(tenant, entity, mode, trigger, job);
+}
+
+// Start a sync job for all entities ('all') or a single entity of a tenant,
+// together with the entities it references.
+// Throws JobConflictError when another job holds a lock on one of the
+// tenant's entities, unless options.queue is set to wait for it instead.
+function startSyncJob(tenant, target, mode, trigger, options = {}) {
+  const dependencies = target === 'all'
+    ? []
+    : entityDependencies(tenant.registry[target], Object.values(tenant.registry));
+  const entities = target === 'all' ? Object.keys(tenant.registry) : [...dependencies, target];
+  
+  return syncJobs.create({
+    tenant: tenant.id,
+    target,
+    entities,
+    mode,
+    trigger,
+    run: job => (target === 'all'
+      ? syncAll(tenant, mode, trigger, job)
+      : syncWithDependencies(tenant, target, dependencies, mode, trigger, job))
+  }, options);
+}
+
+// Outcome of a scheduled run over all tenants: the result itself with a
+// single tenant, otherwise the results per tenant, successful if all were
+function combineTenantResults(results) {
+  if (results.length === 1) {
+    return results[0];
   }
   
-  // Get all warehouses
-  async getWarehouses() {
-    return this.request('get', 'warehouses');
+  const failed = tenants.filter((tenant, index) => !results[index].success);
+  
+  return {
+    success: failed.length === 0,
+    error: failed.length > 0
+      ? failed.map(tenant => `${tenant.id}: ${results[tenants.indexOf(tenant)].error}`).join('; ')
+      : null,
+    tenants: Object.fromEntries(tenants.map((tenant, index) => [tenant.id, results[index]]))
+  };
+}
+
+// Run a scheduled sync of a tenant and wait for it to finish.
+// Runs that would overlap with a sync already holding the entity locks are skipped.
+async function runScheduledTenantSync(tenant, target, mode) {
+  try {
+    const job = await startSyncJob(tenant, target, mode, 'scheduled').finished;
+    return job.result || {
+      success: false,
+      error: job.error
+    };
+  } catch (error) {
+    if (error instanceof JobConflictError) {
+      logger.info(`Skipping scheduled ${target} sync of tenant ${tenant.id}: ${error.message}`);
+      return {
+        success: false,
+        skipped: true,
+        error: error.message
+      };
+    }
+    
+    throw error;
   }
 }
 
-// Create Picqer client
-const picqerClient = new PicqerClient(picqerConfig);
+// Run a scheduled sync for every tenant. Tenants sync side by side, each
+// with its own Picqer client and rate limit.
+async function runScheduledSync(target, mode) {
+  const syncMode = mode || syncConfig.defaultMode;
+  
+  return combineTenantResults(await Promise.all(tenants.map(tenant => runScheduledTenantSync(tenant, target, syncMode))));
+}
+
+// Create sync scheduler
+const syncScheduler = new SyncScheduler(runScheduledSync, {
+  timezone: process.env.SYNC_SCHEDULE_TIMEZONE,
+  modes: SYNC_MODES
+});
 
-// Sync products
-async function syncProducts() {
+// Reconcile an entity of a tenant as part of a job and store the report in reconcile_runs
+async function runEntityReconcile(tenant, entity, trigger, job) {
+  const definition = tenant.registry[entity];
+  const startedAt = new Date();
+  let runId = null;
+  
+  try {
+    runId = await storage.insert('reconcile_runs', {
+      tenant: tenant.id,
+      entity,
+      trigger_type: trigger,
+      status: 'running',
+      started_at: startedAt
+    }, 'id');
+  } catch (error) {
+    logger.error(`Error recording start of ${entity} reconciliation`, { error: error.message });
+  }
+  
+  let result;
   try {
-    console.log('Syncing products...');
+    // Everything logged while reconciling carries the run id
+    result = await logger.withContext({ tenant: tenant.id, reconcileRunId: runId, entity }, async () => {
+      logger.info(`Reconciling ${entity}...`);
+      const report = await tenant.reconciler.reconcile(definition, job);
+      logger.info(`Reconciled ${entity}: ${report.picqerCount} in Picqer, ${report.databaseCount} in the database, ${report.missingInDatabase.count} missing in the database, ${report.missingInPicqer.count} missing in Picqer, ${report.mismatched.count} mismatched, ${report.brokenReferences.count} with broken references`);
+      return report;
+    });
+  } catch (error) {
+    const cancelled = error instanceof SyncCancelledError;
+    if (!cancelled) {
+      logger.error(`Error reconciling ${entity}`, {
+        reconcileRunId: runId,
+        entity,
+        error: error.message
+      });
+    }
+    job.setPhase(entity, cancelled ? 'cancelled' : 'failed');
+    
+    result = {
+      success: false,
+      cancelled,
+      entity,
+      error: error.message
+    };
+  }
+  
+  if (runId) {
+    try {
+      await storage.query(`
+        UPDATE reconcile_runs SET
+          status = @status,
+          finished_at = @finishedAt,
+          picqer_count = @picqerCount,
+          database_count = @databaseCount,
+          missing_in_database = @missingInDatabase,
+          missing_in_picqer = @missingInPicqer,
+          mismatched = @mismatched,
+          broken_references = @brokenReferences,
+          details = @details,
+          error = @error
+        WHERE id = @id
+      `, {
+        id: runId,
+        status: result.cancelled ? 'cancelled' : (result.success ? 'success' : 'error'),
+        finishedAt: new Date(),
+        picqerCount: result.success ? result.picqerCount : null,
+        databaseCount: result.success ? result.databaseCount : null,
+        missingInDatabase: result.success ? result.missingInDatabase.count : null,
+        missingInPicqer: result.success ? result.missingInPicqer.count : null,
+        mismatched: result.success ? result.mismatched.count : null,
+        brokenReferences: result.success ? result.brokenReferences.count : null,
+        details: result.success ? JSON.stringify({
+          missingInDatabase: result.missingInDatabase.ids,
+          missingInPicqer: result.missingInPicqer.ids,
+          mismatched: result.mismatched.rows,
+          brokenReferences: result.brokenReferences.columns
+        }) : null,
+        error: result.error || null
+      });
+    } catch (error) {
+      logger.error(`Error recording end of reconciliation run ${runId}`, { error: error.message });
+    }
+  }
+  
+  return {
+    ...result,
+    runId
+  };
+}
+
+// Reconcile all entities of a tenant as part of a job
+async function reconcileAll(tenant, trigger, job) {
+  const results = {};
+  
+  for (const entity of Object.keys(tenant.registry)) {
+    if (job.cancelRequested) {
+      job.setPhase(entity, 'cancelled');
+      results[entity] = {
+        success: false,
+        cancelled: true,
+        error: 'Reconciliation cancelled'
+      };
+      continue;
+    }
     
-    // Get products from Picqer
-    const products = await picqerClient.getProducts();
-    console.log(`Retrieved ${products.length} products from Picqer`);
+    results[entity] = await runEntityReconcile(tenant, entity, trigger, job);
+  }
+  
+  return {
+    ...results,
+    success: Object.values(results).some(result => result.success)
+  };
+}
+
+// Start a reconciliation job for a tenant. It takes the same entity locks as
+// syncs, so it never compares against a table that is halfway through a sync.
+function startReconcileJob(tenant, target, trigger) {
+  const entities = target === 'all' ? Object.keys(tenant.registry) : [target];
+  
+  return syncJobs.create({
+    tenant: tenant.id,
+    target,
+    entities,
+    mode: 'reconcile',
+    trigger,
+    run: job => (target === 'all'
+      ? reconcileAll(tenant, trigger, job)
+      : runEntityReconcile(tenant, target, trigger, job))
+  });
+}
+
+// Run a scheduled reconciliation of a tenant and wait for it to finish.
+// Runs that would overlap with a sync of the same entities are skipped.
+async function runScheduledTenantReconcile(tenant, target) {
+  try {
+    const job = await startReconcileJob(tenant, target, 'scheduled').finished;
+    return job.result || {
+      success: false,
+      error: job.error
+    };
+  } catch (error) {
+    if (error instanceof JobConflictError) {
+      logger.info(`Skipping scheduled ${target} reconciliation of tenant ${tenant.id}: ${error.message}`);
+      return {
+        success: false,
+        skipped: true,
+        error: error.message
+      };
+    }
+    
+    throw error;
+  }
+}
+
+// Run a scheduled reconciliation for every tenant
+async function runScheduledReconcile(target) {
+  return combineTenantResults(await Promise.all(tenants.map(tenant => runScheduledTenantReconcile(tenant, target))));
+}
+
+// Create reconciliation scheduler
+const reconcileScheduler = new SyncScheduler(runScheduledReconcile, {
+  timezone: process.env.SYNC_SCHEDULE_TIMEZONE,
+  kind: 'reconciliation'
+});
+
+// Create authenticator for API keys and dashboard sessions
+const auth = new Authenticator({
+  storage,
+  ...authConfig
+});
+
+// Create the configured dashboard admin user if it does not exist yet
+async function ensureAdminUser() {
+  if (!authConfig.adminUsername || !authConfig.adminPassword) {
+    return;
+  }
+  
+  const created = await storage.upsert('dashboard_users', {
+    username: authConfig.adminUsername,
+    password_hash: hashPassword(authConfig.adminPassword),
+    role: 'admin'
+  }, { keys: ['username'], update: false });
+  
+  if (created > 0) {
+    logger.info(`Created dashboard admin user ${authConfig.adminUsername}`);
+  }
+}
+
+// Validate a role from a request body
+function parseRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role: ${role}. Use one of: ${ROLES.join(', ')}`);
+  }
+  
+  return role;
+}
+
+// API Routes
+
+// Dashboard login, sets a session cookie
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Username and password are required'
+      });
+    }
+    
+    const user = await auth.verifyUser(username, password);
+    
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid username or password'
+      });
+    }
+    
+    res.setHeader('Set-Cookie', auth.sessionCookie(auth.createSession(user), req.secure));
+    res.json({
+      success: true,
+      user: {
+        name: user.username,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    logger.error('Error in login endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Dashboard logout, clears the session cookie
+app.post('/api/auth/logout', (req, res) => {
+  res.setHeader('Set-Cookie', auth.sessionCookie('', req.secure));
+  res.json({
+    success: true
+  });
+});
+
+// Current user or API key
+app.get('/api/auth/me', auth.requireRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    user: req.user
+  });
+});
+
+// List API keys (never the keys themselves)
+app.get('/api/auth/keys', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const result = await storage.query(`
+      SELECT id, name, role, created_at, last_used_at, revoked_at
+      FROM api_keys
+      ORDER BY id
+    `);
+    
+    res.json({
+      success: true,
+      keys: result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+        revokedAt: row.revoked_at
+      }))
+    });
+  } catch (error) {
+    logger.error('Error in API keys endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create an API key. The key is only returned in this response.
+app.post('/api/auth/keys', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'A name is required'
+      });
+    }
+    
+    let role;
+    try {
+      role = parseRole(req.body.role);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    const key = generateApiKey();
+    const id = await storage.insert('api_keys', {
+      name,
+      key_hash: hashApiKey(key),
+      role
+    }, 'id');
+    
+    logger.info(`API key ${name} (${role}) created by ${req.user.name}`);
+    
+    res.status(201).json({
+      success: true,
+      id,
+      name,
+      role,
+      key
+    });
+  } catch (error) {
+    logger.error('Error in API key create endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Revoke an API key
+app.delete('/api/auth/keys/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const result = await storage.query(
+      `UPDATE api_keys SET revoked_at = ${storage.now()} WHERE id = @id AND revoked_at IS NULL`,
+      { id: parseInt(req.params.id) }
+    );
+    
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Active API key not found: ${req.params.id}`
+      });
+    }
+    
+    logger.info(`API key ${req.params.id} revoked by ${req.user.name}`);
+    
+    res.json({
+      success: true,
+      message: `API key ${req.params.id} revoked`
+    });
+  } catch (error) {
+    logger.error('Error in API key revoke endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List dashboard users
+app.get('/api/auth/users', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const result = await storage.query(`
+      SELECT id, username, role, disabled, created_at
+      FROM dashboard_users
+      ORDER BY username
+    `);
+    
+    res.json({
+      success: true,
+      users: result.rows.map(row => ({
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        // SQLite returns booleans as 0 and 1
+        disabled: Boolean(row.disabled),
+        createdAt: row.created_at
+      }))
+    });
+  } catch (error) {
+    logger.error('Error in users endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a dashboard user
+app.post('/api/auth/users', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Username and password are required'
+      });
+    }
+    
+    let role;
+    try {
+      role = parseRole(req.body.role);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    const created = await storage.upsert('dashboard_users', {
+      username,
+      password_hash: hashPassword(password),
+      role
+    }, { keys: ['username'], update: false });
+    
+    if (created === 0) {
+      return res.status(409).json({
+        success: false,
+        error: `User already exists: ${username}`
+      });
+    }
+    
+    logger.info(`Dashboard user ${username} (${role}) created by ${req.user.name}`);
+    
+    res.status(201).json({
+      success: true,
+      username,
+      role
+    });
+  } catch (error) {
+    logger.error('Error in user create endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Disable a dashboard user. Their current session stays valid until it expires.
+app.delete('/api/auth/users/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const result = await storage.query(
+      'UPDATE dashboard_users SET disabled = @disabled WHERE id = @id',
+      { id: parseInt(req.params.id), disabled: true }
+    );
+    
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `User not found: ${req.params.id}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `User ${req.params.id} disabled`
+    });
+  } catch (error) {
+    logger.error('Error in user disable endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Gauges read when metrics are scraped. The last successful sync and record
+// counts come from the database, so they survive restarts and stale data
+// can be alerted on right after a deploy.
+metricsRegistry.collect(() => {
+  for (const tenant of tenants) {
+    metrics.picqerQueueDepth.set({ tenant: tenant.id }, tenant.picqerClient.requestQueue.length);
+  }
+  
+  const pool = storage.poolStats();
+  metrics.databaseUp.set({}, storage.connected ? 1 : 0);
+  if (pool) {
+    metrics.databasePoolConnections.set({ state: 'in_use' }, pool.inUse);
+    metrics.databasePoolConnections.set({ state: 'idle' }, pool.idle);
+    metrics.databasePoolWaiting.set({}, pool.waiting);
+    metrics.databasePoolMax.set({}, pool.max);
+  }
+});
+metricsRegistry.collect(async () => {
+  if (!storage.connected) {
+    return;
+  }
+  
+  for (const sync of await lastSuccessfulSyncs()) {
+    metrics.lastSuccess.set({ tenant: sync.tenant, entity: sync.entity }, Math.floor(sync.finishedAt.getTime() / 1000));
+  }
+  
+  const status = await storage.query('SELECT tenant, entity, record_count FROM sync_status');
+  for (const row of status.rows) {
+    metrics.records.set({ tenant: row.tenant, entity: row.entity }, Number(row.record_count) || 0);
+  }
+});
+
+// Prometheus metrics, in the text exposition format. Scrapers authenticate
+// with an API key as bearer token (bearer_token in the scrape config).
+app.get('/metrics', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(await metricsRegistry.render());
+  } catch (error) {
+    logger.error('Error in metrics endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Status endpoint
+app.get('/api/status', auth.requireRole('viewer'), (req, res) => {
+  res.json({
+    online: true,
+    version: '1.0.0',
+    timestamp: new Date().toISOString(),
+    database: storage.connected ? 'connected' : 'disconnected',
+    databaseClient: storage.dialect,
+    picqer: tenants.every(tenant => tenant.baseUrl) ? 'configured' : 'not configured',
+    schedules: syncScheduler.getStatus(),
+    reconcileSchedules: reconcileScheduler.getStatus(),
+    notifications: notifier.getStatus()
+  });
+});
+
+// Send a test notification to every configured channel
+app.post('/api/notifications/test', auth.requireRole('admin'), async (req, res) => {
+  try {
+    if (notifier.channels.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No notification channels configured (NOTIFY_WEBHOOK_URL or SMTP_HOST with NOTIFY_EMAIL_TO)'
+      });
+    }
+    
+    const results = await notifier.deliver({
+      key: 'test',
+      severity: 'resolved',
+      title: 'Test notification',
+      message: `Test notification from the Picqer middleware, sent by ${req.user.name}`
+    });
+    
+    res.json({
+      success: results.every(result => result.success),
+      results
+    });
+  } catch (error) {
+    logger.error('Error in notification test endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Resolve the tenant of a request into req.tenant: the :tenant route
+// parameter, else the tenant query parameter, else the default tenant
+function tenantScope(req, res, next) {
+  const id = String(req.params.tenant || req.query.tenant || defaultTenant.id);
+  
+  req.tenant = findTenant(id);
+  if (!req.tenant) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown tenant: ${id}`
+    });
+  }
+  
+  next();
+}
+
+// Address Picqer sends a tenant's webhooks to. The default tenant keeps the
+// address from before tenants, so webhooks registered back then still match.
+function webhookAddress(tenant, baseUrl) {
+  const route = tenant.id === DEFAULT_TENANT ? '/api/webhooks/picqer' : `/api/tenants/${tenant.id}/webhooks/picqer`;
+  
+  return `${baseUrl.replace(/\/$/, '')}${route}`;
+}
+
+// Tenants served by this deployment, without their credentials
+app.get('/api/tenants', auth.requireRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    defaultTenant: defaultTenant.id,
+    tenants: tenants.map(tenant => ({
+      id: tenant.id,
+      name: tenant.name,
+      picqer: tenant.baseUrl && tenant.apiKey ? 'configured' : 'not configured',
+      baseUrl: tenant.baseUrl || null,
+      tablePrefix: tenant.tablePrefix,
+      webhooks: tenant.webhookSecret ? 'configured' : 'not configured'
+    }))
+  });
+});
+
+// Entity registry, for clients that build on the available entities.
+// Table names are those of the requested tenant.
+app.get('/api/entities', auth.requireRole('viewer'), tenantScope, (req, res) => {
+  res.json({
+    success: true,
+    tenant: req.tenant.id,
+    entities: Object.values(req.tenant.registry).map(entity => ({
+      name: entity.name,
+      label: entity.label,
+      endpoint: entity.endpoint,
+      table: entity.table,
+      incremental: entity.incremental,
+      webhooks: entity.webhooks,
+      search: entity.search,
+      history: keepsHistory(entity) ? entity.history : [],
+      columns: entity.columns.map(column => ({
+        name: column.name,
+        type: column.type,
+        key: column.key === true
+      })),
+      children: entity.children.map(child => ({
+        table: child.name,
+        parentKey: child.parentKey,
+        columns: child.columns.map(column => ({
+          name: column.name,
+          type: column.type,
+          key: column.key === true
+        }))
+      }))
+    }))
+  });
+});
+
+// Sync endpoint, for the default tenant or the tenant in the path
+app.post(['/api/sync', '/api/tenants/:tenant/sync'], auth.requireRole('operator'), tenantScope, async (req, res) => {
+  try {
+    const mode = req.query.mode || syncConfig.defaultMode;
+    if (!SYNC_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown sync mode: ${mode}`
+      });
+    }
+    
+    // Start sync job in background
+    const job = startSyncJob(req.tenant, 'all', mode, 'manual', { queue: req.query.queue === 'true' });
+    
+    // Return the job id immediately
+    res.json({
+      success: true,
+      message: `${mode === 'full' ? 'Full' : 'Incremental'} sync ${job.status === 'queued' ? 'queued' : 'started'} for all entities`,
+      tenant: req.tenant.id,
+      mode,
+      background: true,
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (error) {
+    if (error instanceof JobConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        jobId: error.conflictingJob.id
+      });
+    }
+    
+    logger.error('Error in sync endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Entity-specific sync endpoints, for the default tenant or the tenant in the path
+app.post(['/api/sync/:entity', '/api/tenants/:tenant/sync/:entity'], auth.requireRole('operator'), tenantScope, async (req, res) => {
+  try {
+    const entity = req.params.entity;
+    const mode = req.query.mode || syncConfig.defaultMode;
+    logger.info(`${entity} ${mode} sync request received`);
+    
+    if (!SYNC_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown sync mode: ${mode}`
+      });
+    }
+    
+    if (!req.tenant.registry[entity]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown entity type: ${entity}`
+      });
+    }
+    
+    // Start sync job in background
+    const job = startSyncJob(req.tenant, entity, mode, 'manual', { queue: req.query.queue === 'true' });
+    
+    // Return the job id immediately
+    res.json({
+      success: true,
+      message: `Sync ${job.status === 'queued' ? 'queued' : 'started'} for ${entity}`,
+      tenant: req.tenant.id,
+      mode,
+      background: true,
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (error) {
+    if (error instanceof JobConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        jobId: error.conflictingJob.id
+      });
+    }
+    
+    logger.error(`Error in ${req.params.entity} sync endpoint`, { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Sync results endpoint
+app.get('/api/sync/results', auth.requireRole('viewer'), tenantScope, (req, res) => {
+  res.json({
+    tenant: req.tenant.id,
+    inProgress: syncJobs.isBusy(req.tenant.id),
+    lastResults: lastSyncResults[req.tenant.id] || {}
+  });
+});
+
+// Sync jobs endpoint (most recent jobs first)
+app.get('/api/sync/jobs', auth.requireRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    jobs: syncJobs.list()
+  });
+});
+
+// Sync job status endpoint
+app.get('/api/sync/jobs/:id', auth.requireRole('viewer'), (req, res) => {
+  const job = syncJobs.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown sync job: ${req.params.id}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    job
+  });
+});
+
+// Cancel sync job endpoint
+app.delete('/api/sync/jobs/:id', auth.requireRole('operator'), (req, res) => {
+  const job = syncJobs.cancel(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown sync job: ${req.params.id}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: job.status === 'running' ? 'Cancellation requested' : `Job is ${job.status}`,
+    job
+  });
+});
+
+// Sync history endpoint
+// Supports filtering on tenant, entity, trigger, status and a started_at range
+// (from/to), and paging with limit/offset. Newest runs come first.
+app.get('/api/sync/history', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const { limit, offset } = parsePaging(req.query);
+    
+    if (req.query.trigger && !SYNC_TRIGGERS.includes(req.query.trigger)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown sync trigger: ${req.query.trigger}`
+      });
+    }
+    
+    const filters = [];
+    const params = { limit, offset };
+    
+    if (req.query.tenant) {
+      filters.push('tenant = @tenant');
+      params.tenant = req.query.tenant;
+    }
+    if (req.query.entity) {
+      filters.push('entity = @entity');
+      params.entity = req.query.entity;
+    }
+    if (req.query.trigger) {
+      filters.push('trigger_type = @trigger');
+      params.trigger = req.query.trigger;
+    }
+    if (req.query.status) {
+      filters.push('status = @status');
+      params.status = req.query.status;
+    }
+    for (const [param, operator] of [['from', '>='], ['to', '<=']]) {
+      if (req.query[param]) {
+        const date = new Date(req.query[param]);
+        if (isNaN(date.getTime())) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid date for ${param}: ${req.query[param]}`
+          });
+        }
+        
+        filters.push(`started_at ${operator} @${param}`);
+        params[param] = date;
+      }
+    }
+    
+    const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+    
+    const total = await storage.query(`SELECT COUNT(*) AS total FROM sync_runs ${where}`, params);
+    const result = await storage.query(`
+      SELECT id, tenant, entity, trigger_type, mode, status, started_at, finished_at, duration_ms,
+        fetched_count, inserted_count, failed_count, retry_count, error
+      FROM sync_runs
+      ${where}
+      ORDER BY started_at DESC, id DESC
+      ${storage.pageClause()}
+    `, params);
+    
+    const runs = result.rows.map(row => ({
+      id: row.id,
+      tenant: row.tenant,
+      entity: row.entity,
+      trigger: row.trigger_type,
+      mode: row.mode,
+      status: row.status,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      durationMs: row.duration_ms,
+      fetched: row.fetched_count,
+      inserted: row.inserted_count,
+      failed: row.failed_count,
+      retries: row.retry_count,
+      error: row.error
+    }));
+    
+    res.json({
+      success: true,
+      total: parseInt(total.rows[0].total),
+      limit,
+      offset,
+      runs
+    });
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.error('Error in sync history endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Correlation ids the log endpoint filters on
+const LOG_FILTERS = ['tenant', 'runId', 'jobId', 'requestId', 'reconcileRunId', 'webhookEventId'];
+
+// Recent log entries from the in-memory buffer, newest first.
+// Filters on the lowest level and on correlation ids, e.g. ?runId=12&level=warn
+app.get('/api/logs', auth.requireRole('viewer'), (req, res) => {
+  const level = req.query.level ? String(req.query.level).toLowerCase() : null;
+  
+  if (level && !LOG_LEVELS.includes(level)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown log level: ${req.query.level}. Use one of: ${LOG_LEVELS.join(', ')}`
+    });
+  }
+  
+  let limit;
+  try {
+    ({ limit } = parsePaging(req.query, 200, 1000));
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  const filters = Object.fromEntries(LOG_FILTERS
+    .filter(name => req.query[name])
+    .map(name => [name, String(req.query[name])]));
+  
+  res.json({
+    success: true,
+    logs: logger.entries({
+      ...filters,
+      level,
+      limit
+    })
+  });
+});
+
+// Live sync events as Server-Sent Events (see lib/events.js). Browsers
+// reconnect by themselves and send Last-Event-ID to get what they missed.
+app.get('/api/events', auth.requireRole('viewer'), (req, res) => {
+  events.subscribe(req, res, req.get('Last-Event-ID'));
+});
+
+// Picqer webhook receiver, for the default tenant or the tenant in the path.
+// Not behind authentication: Picqer cannot send an API key, requests are
+// verified by their signature with the tenant's secret instead.
+app.post(['/api/webhooks/picqer', '/api/tenants/:tenant/webhooks/picqer'], tenantScope, async (req, res) => {
+  if (!req.tenant.webhookSecret) {
+    return res.status(503).json({
+      success: false,
+      error: 'Webhook secret not configured'
+    });
+  }
+  
+  if (!verifyWebhookSignature(req.rawBody, req.get('X-Picqer-Signature'), req.tenant.webhookSecret)) {
+    logger.warn(`Rejected Picqer webhook for tenant ${req.tenant.id} with invalid signature`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid signature'
+    });
+  }
+  
+  let eventId = null;
+  try {
+    eventId = await webhooks.logEvent(req.tenant, req.body);
+    await webhooks.handleEvent(req.tenant, eventId, req.body);
+    
+    res.json({
+      success: true,
+      eventId
+    });
+  } catch (error) {
+    // A 5xx response makes Picqer retry the webhook later, so it is kept
+    // for failures that can pass, such as the database being unreachable
+    res.status(error instanceof WebhookEventError ? error.statusCode : 500).json({
+      success: false,
+      eventId,
+      error: error.message
+    });
+  }
+});
+
+// List webhooks registered in a tenant's Picqer account
+app.get('/api/webhooks', auth.requireRole('operator'), tenantScope, async (req, res) => {
+  try {
+    const hooks = await req.tenant.picqerClient.getHooks();
+    
+    res.json({
+      success: true,
+      tenant: req.tenant.id,
+      address: webhookConfig.baseUrl ? webhookAddress(req.tenant, webhookConfig.baseUrl) : null,
+      events: webhookConfig.events,
+      hooks
+    });
+  } catch (error) {
+    logger.error('Error in webhooks endpoint', { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Register the configured webhook events in a tenant's Picqer account.
+// Events that already have an active webhook for our address are skipped.
+app.post('/api/webhooks/register', auth.requireRole('admin'), tenantScope, async (req, res) => {
+  try {
+    const baseUrl = req.body.baseUrl || webhookConfig.baseUrl;
+    if (!baseUrl || !req.tenant.webhookSecret) {
+      return res.status(400).json({
+        success: false,
+        message: `WEBHOOK_BASE_URL and the webhook secret of tenant ${req.tenant.id} must be configured to register webhooks`
+      });
+    }
     
-    // Clear existing products
-    await dbPool.request().query('DELETE FROM products');
+    const address = webhookAddress(req.tenant, baseUrl);
+    const events = req.body.events || webhookConfig.events;
+    const existing = await req.tenant.picqerClient.getHooks();
     
-    // Insert products into database
-    let insertedCount = 0;
-    for (const product of products) {
-      try {
-        await dbPool.request()
-          .input('id', sql.Int, product.idproduct)
-          .input('idproduct', sql.VarChar(255), product.idproduct)
-          .input('name', sql.NVarChar(255), product.name)
-          .input('sku', sql.VarChar(255), product.sku || '')
-          .input('barcode', sql.VarChar(255), product.barcode || '')
-          .input('price', sql.Decimal(10, 2), product.price || 0)
-          .input('stock', sql.Int, product.stock || 0)
-          .query(`
-            INSERT INTO products (id, idproduct, name, sku, barcode, price, stock, sync_date)
-            VALUES (@id, @idproduct, @name, @sku, @barcode, @price, @stock, GETDATE())
-          `);
-        
-        insertedCount++;
-      } catch (error) {
-        console.error(`Error inserting product ${product.idproduct}:`, error.message);
+    const registered = [];
+    const skipped = [];
+    for (const event of events) {
+      if (existing.some(hook => hook.event === event && hook.address === address && hook.active !== false)) {
+        skipped.push(event);
+        continue;
       }
+      
+      registered.push(await req.tenant.picqerClient.createHook({
+        name: `Picqer middleware - ${event}`,
+        event,
+        address,
+        secret: req.tenant.webhookSecret
+      }));
     }
     
-    // Update sync status
-    await dbPool.request()
-      .input('entity', sql.VarChar(50), 'products')
-      .input('count', sql.Int, insertedCount)
-      .query(`
-        IF EXISTS (SELECT * FROM sync_status WHERE entity = @entity)
-          UPDATE sync_status SET last_sync = GETDATE(), record_count = @count, status = 'success'
-          WHERE entity = @entity
-        ELSE
-          INSERT INTO sync_status (entity, last_sync, record_count, status)
-          VALUES (@entity, GETDATE(), @count, 'success')
-      `);
-    
-    console.log(`Synced ${insertedCount} products successfully`);
-    return {
+    res.json({
       success: true,
-      count: insertedCount
-    };
+      tenant: req.tenant.id,
+      address,
+      registered,
+      skipped
+    });
   } catch (error) {
-    console.error('Error syncing products:', error.message);
-    
-    // Update sync status
-    try {
-      await dbPool.request()
-        .input('entity', sql.VarChar(50), 'products')
-        .input('error', sql.VarChar(255), error.message.substring(0, 255))
-        .query(`
-          IF EXISTS (SELECT * FROM sync_status WHERE entity = @entity)
-            UPDATE sync_status SET last_sync = GETDATE(), status = 'error: ' + @error
-            WHERE entity = @entity
-          ELSE
-            INSERT INTO sync_status (entity, last_sync, record_count, status)
-            VALUES (@entity, GETDATE(), 0, 'error: ' + @error)
-        `);
-    } catch (statusError) {
-      console.error('Error updating sync status:', statusError.message);
-    }
-    
-    return {
+    logger.error('Error in webhook register endpoint', { error });
+    res.status(500).json({
       success: false,
       error: error.message
-    };
+    });
   }
-}
+});
 
-// Sync picklists
-async function syncPicklists() {
+// Received webhook events log
+app.get('/api/webhooks/events', auth.requireRole('viewer'), async (req, res) => {
   try {
-    console.log('Syncing picklists...');
-    
-    // Get picklists from Picqer
-    const picklists = await picqerClient.getPicklists();
-    console.log(`Retrieved ${picklists.length} picklists from Picqer`);
+    const { limit, offset } = parsePaging(req.query);
     
-    // Clear existing picklists
-    await dbPool.request().query('DELETE FROM picklists');
+    const filters = [];
+    const params = { limit, offset };
     
-    // Insert picklists into database
-    let insertedCount = 0;
-    for (const picklist of picklists) {
-      try {
-        await dbPool.request()
-          .input('id', sql.Int, picklist.idpicklist)
-          .input('idpicklist', sql.VarChar(255), picklist.idpicklist)
-          .input('status', sql.VarChar(50), picklist.status || '')
-          .input('created', sql.DateTime, new Date(picklist.created))
-          .input('completed', sql.DateTime, picklist.completed ? new Date(picklist.completed) : null)
-          .input('warehouse_id', sql.Int, picklist.warehouse_id || 0)
-          .query(`
-            INSERT INTO picklists (id, idpicklist, status, created, completed, warehouse_id, sync_date)
-            VALUES (@id, @idpicklist, @status, @created, @completed, @warehouse_id, GETDATE())
-          `);
-        
-        insertedCount++;
-      } catch (error) {
-        console.error(`Error inserting picklist ${picklist.idpicklist}:`, error.message);
-      }
+    if (req.query.tenant) {
+      filters.push('tenant = @tenant');
+      params.tenant = req.query.tenant;
+    }
+    if (req.query.status) {
+      filters.push('status = @status');
+      params.status = req.query.status;
     }
     
-    // Update sync status
-    await dbPool.request()
-      .input('entity', sql.VarChar(50), 'picklists')
-      .input('count', sql.Int, insertedCount)
-      .query(`
-        IF EXISTS (SELECT * FROM sync_status WHERE entity = @entity)
-          UPDATE sync_status SET last_sync = GETDATE(), record_count = @count, status = 'success'
-          WHERE entity = @entity
-        ELSE
-          INSERT INTO sync_status (entity, last_sync, record_count, status)
-          VALUES (@entity, GETDATE(), @count, 'success')
-      `);
-    
-    console.log(`Synced ${insertedCount} picklists successfully`);
-    return {
+    const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+    
+    const result = await storage.query(`
+      SELECT id, tenant, idhook, event, received_at, processed_at, status, error
+      FROM webhook_events
+      ${where}
+      ORDER BY received_at DESC, id DESC
+      ${storage.pageClause()}
+    `, params);
+    
+    res.json({
       success: true,
-      count: insertedCount
-    };
+      limit,
+      offset,
+      events: result.rows
+    });
   } catch (error) {
-    console.error('Error syncing picklists:', error.message);
-    
-    // Update sync status
-    try {
-      await dbPool.request()
-        .input('entity', sql.VarChar(50), 'picklists')
-        .input('error', sql.VarChar(255), error.message.substring(0, 255))
-        .query(`
-          IF EXISTS (SELECT * FROM sync_status WHERE entity = @entity)
-            UPDATE sync_status SET last_sync = GETDATE(), status = 'error: ' + @error
-            WHERE entity = @entity
-          ELSE
-            INSERT INTO sync_status (entity, last_sync, record_count, status)
-            VALUES (@entity, GETDATE(), 0, 'error: ' + @error)
-        `);
-    } catch (statusError) {
-      console.error('Error updating sync status:', statusError.message);
+    if (error instanceof QueryError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
     }
     
-    return {
+    logger.error('Error in webhook events endpoint', { error });
+    res.status(500).json({
       success: false,
       error: error.message
-    };
+    });
   }
-}
+});
 
-// Sync warehouses
-async function syncWarehouses() {
+// Replay a logged webhook event
+app.post('/api/webhooks/events/:id/replay', auth.requireRole('operator'), async (req, res) => {
   try {
-    console.log('Syncing warehouses...');
+    const eventId = parseInt(req.params.id);
+    const result = await storage.query('SELECT tenant, payload FROM webhook_events WHERE id = @id', { id: eventId });
     
-    // Get warehouses from Picqer
-    const warehouses = await picqerClient.getWarehouses();
-    console.log(`Retrieved ${warehouses.length} warehouses from Picqer`);
-    
-    // Clear existing warehouses
-    await dbPool.request().query('DELETE FROM warehouses');
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown webhook event: ${req.params.id}`
+      });
+    }
     
-    // Insert warehouses into database
-    let insertedCount = 0;
-    for (const warehouse of warehouses) {
-      try {
-        await dbPool.request()
-          .input('id', sql.Int, warehouse.idwarehouse)
-          .input('idwarehouse', sql.VarChar(255), warehouse.idwarehouse)
-          .input('name', sql.NVarChar(255), warehouse.name)
-          .query(`
-            INSERT INTO warehouses (id, idwarehouse, name, sync_date)
-            VALUES (@id, @idwarehouse, @name, GETDATE())
-          `);
-        
-        insertedCount++;
-      } catch (error) {
-        console.error(`Error inserting warehouse ${warehouse.idwarehouse}:`, error.message);
-      }
+    const tenant = findTenant(result.rows[0].tenant);
+    if (!tenant) {
+      return res.status(400).json({
+        success: false,
+        message: `Webhook event ${req.params.id} belongs to tenant ${result.rows[0].tenant}, which is no longer configured`
+      });
     }
     
-    // Update sync status
-    await dbPool.request()
-      .input('entity', sql.VarChar(50), 'warehouses')
-      .input('count', sql.Int, insertedCount)
-      .query(`
-        IF EXISTS (SELECT * FROM sync_status WHERE entity = @entity)
-          UPDATE sync_status SET last_sync = GETDATE(), record_count = @count, status = 'success'
-          WHERE entity = @entity
-        ELSE
-          INSERT INTO sync_status (entity, last_sync, record_count, status)
-          VALUES (@entity, GETDATE(), @count, 'success')
-      `);
-    
-    console.log(`Synced ${insertedCount} warehouses successfully`);
-    return {
+    await webhooks.handleEvent(tenant, eventId, JSON.parse(result.rows[0].payload));
+    
+    res.json({
       success: true,
-      count: insertedCount
-    };
+      eventId
+    });
   } catch (error) {
-    console.error('Error syncing warehouses:', error.message);
-    
-    // Update sync status
-    try {
-      await dbPool.request()
-        .input('entity', sql.VarChar(50), 'warehouses')
-        .input('error', sql.VarChar(255), error.message.substring(0, 255))
-        .query(`
-          IF EXISTS (SELECT * FROM sync_status WHERE entity = @entity)
-            UPDATE sync_status SET last_sync = GETDATE(), status = 'error: ' + @error
-            WHERE entity = @entity
-          ELSE
-            INSERT INTO sync_status (entity, last_sync, record_count, status)
-            VALUES (@entity, GETDATE(), 0, 'error: ' + @error)
-        `);
-    } catch (statusError) {
-      console.error('Error updating sync status:', statusError.message);
+    if (error instanceof WebhookEventError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
     }
     
-    return {
+    logger.error('Error in webhook replay endpoint', { error });
+    res.status(500).json({
       success: false,
       error: error.message
-    };
+    });
   }
-}
+});
 
-// Sync all entities
-async function syncAll() {
-  if (syncInProgress) {
-    console.log('Sync already in progress, skipping request');
-    return {
+// Deactivate a webhook in a tenant's Picqer account
+app.delete('/api/webhooks/:id', auth.requireRole('admin'), tenantScope, async (req, res) => {
+  try {
+    await req.tenant.picqerClient.deleteHook(parseInt(req.params.id));
+    
+    res.json({
+      success: true,
+      message: `Webhook ${req.params.id} deactivated`
+    });
+  } catch (error) {
+    logger.error('Error in webhook delete endpoint', { error });
+    res.status(500).json({
       success: false,
-      error: 'Sync already in progress'
-    };
+      error: error.message
+    });
   }
-  
-  syncInProgress = true;
-  console.log('Starting sync for all entities...');
-  
+});
+
+// Summary of a reconcile_runs row
+function formatReconcileRun(row) {
+  return {
+    id: row.id,
+    tenant: row.tenant,
+    entity: row.entity,
+    trigger: row.trigger_type,
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    picqerCount: row.picqer_count,
+    databaseCount: row.database_count,
+    missingInDatabase: row.missing_in_database,
+    missingInPicqer: row.missing_in_picqer,
+    mismatched: row.mismatched,
+    brokenReferences: row.broken_references,
+    // Runs from before references were checked have no broken_references
+    inSync: row.status === 'success'
+      ? row.missing_in_database === 0 && row.missing_in_picqer === 0 && row.mismatched === 0 && !row.broken_references
+      : null,
+    error: row.error
+  };
+}
+
+// Start a reconciliation of an entity, or of all entities, for the default
+// tenant or the tenant in the path
+app.post(['/api/reconcile/:entity', '/api/tenants/:tenant/reconcile/:entity'], auth.requireRole('operator'), tenantScope, async (req, res) => {
   try {
-    // Sync all entities in sequence
-    const productsResult = await syncProducts();
-    const picklistsResult = await syncPicklists();
-    const warehousesResult = await syncWarehouses();
+    const target = req.params.entity;
     
-    // Store results
-    lastSyncResults = {
-      timestamp: new Date().toISOString(),
-      products: productsResult,
-      picklists: picklistsResult,
-      warehouses: warehousesResult,
-      success: productsResult.success || picklistsResult.success || warehousesResult.success
-    };
+    if (target !== 'all' && !req.tenant.registry[target]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown entity type: ${target}`
+      });
+    }
     
-    console.log('Sync completed for all entities');
-    syncInProgress = false;
+    const job = startReconcileJob(req.tenant, target, 'manual');
     
-    return lastSyncResults;
+    res.json({
+      success: true,
+      message: `Reconciliation started for ${target}`,
+      tenant: req.tenant.id,
+      background: true,
+      jobId: job.id,
+      status: job.status
+    });
   } catch (error) {
-    console.error('Error in syncAll:', error.message);
-    
-    lastSyncResults = {
-      timestamp: new Date().toISOString(),
-      error: error.message,
-      success: false
-    };
+    if (error instanceof JobConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        jobId: error.conflictingJob.id
+      });
+    }
     
-    syncInProgress = false;
-    return lastSyncResults;
+    logger.error(`Error in ${req.params.entity} reconcile endpoint`, { error });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-}
-
-// API Routes
-
-// Status endpoint
-app.get('/api/status', (req, res) => {
-  res.json({
-    online: true,
-    version: '1.0.0',
-    timestamp: new Date().toISOString(),
-    database: dbPool ? 'connected' : 'disconnected',
-    picqer: picqerConfig.baseUrl ? 'configured' : 'not configured'
-  });
 });
 
-// Sync endpoint
-app.post('/api/sync', async (req, res) => {
+// Latest reconciliation of every entity of a tenant
+app.get('/api/reconcile', auth.requireRole('viewer'), tenantScope, async (req, res) => {
   try {
-    // Start sync in background
-    syncAll().catch(error => {
-      console.error('Error in background sync:', error.message);
-    });
+    const result = await storage.query(`
+      SELECT * FROM reconcile_runs runs
+      WHERE tenant = @tenant
+        AND id = (SELECT MAX(id) FROM reconcile_runs latest WHERE latest.tenant = runs.tenant AND latest.entity = runs.entity)
+      ORDER BY entity
+    `, { tenant: req.tenant.id });
     
-    // Return success immediately
     res.json({
       success: true,
-      message: 'Sync started for all entities',
-      background: true
+      tenant: req.tenant.id,
+      runs: result.rows.map(formatReconcileRun)
     });
   } catch (error) {
-    console.error('Error in sync endpoint:', error);
+    logger.error('Error in reconcile endpoint', { error });
     res.status(500).json({
       success: false,
       error: error.message
@@ -537,44 +2180,32 @@ app.post('/api/sync', async (req, res) => {
   }
 });
 
-// Entity-specific sync endpoints
-app.post('/api/sync/:entity', async (req, res) => {
+// A reconciliation with its report: missing ids, mismatched fields and
+// broken references
+app.get('/api/reconcile/runs/:id', auth.requireRole('viewer'), async (req, res) => {
   try {
-    const entity = req.params.entity;
-    console.log(`${entity} sync request received`);
-    
-    let syncPromise;
+    const result = await storage.query('SELECT * FROM reconcile_runs WHERE id = @id', {
+      id: parseInt(req.params.id) || 0
+    });
     
-    switch (entity) {
-      case 'products':
-        syncPromise = syncProducts();
-        break;
-      case 'picklists':
-        syncPromise = syncPicklists();
-        break;
-      case 'warehouses':
-        syncPromise = syncWarehouses();
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          message: `Unknown entity type: ${entity}`
-        });
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Reconciliation run not found: ${req.params.id}`
+      });
     }
     
-    // Start sync in background
-    syncPromise.catch(error => {
-      console.error(`Error in ${entity} sync:`, error.message);
-    });
+    const row = result.rows[0];
     
-    // Return success immediately
     res.json({
       success: true,
-      message: `Sync started for ${entity}`,
-      background: true
+      run: {
+        ...formatReconcileRun(row),
+        details: row.details ? JSON.parse(row.details) : null
+      }
     });
   } catch (error) {
-    console.error(`Error in ${req.params.entity} sync endpoint:`, error);
+    logger.error('Error in reconcile run endpoint', { error });
     res.status(500).json({
       success: false,
       error: error.message
@@ -582,40 +2213,35 @@ app.post('/api/sync/:entity', async (req, res) => {
   }
 });
 
-// Sync results endpoint
-app.get('/api/sync/results', (req, res) => {
-  res.json({
-    inProgress: syncInProgress,
-    lastResults: lastSyncResults
-  });
-});
-
-// Stats endpoint
-app.get('/api/stats', async (req, res) => {
+// Stats endpoint, per tenant
+app.get('/api/stats', auth.requireRole('viewer'), tenantScope, async (req, res) => {
   try {
     // Get stats from database
-    const result = await dbPool.request().query(`
-      SELECT entity, last_sync, record_count, status
+    const result = await storage.query(`
+      SELECT entity, last_sync, last_full_sync, record_count, status
       FROM sync_status
-    `);
+      WHERE tenant = @tenant
+    `, { tenant: req.tenant.id });
     
     const stats = {};
     
     // Process results
-    for (const row of result.recordset) {
+    for (const row of result.rows) {
       stats[row.entity] = {
         lastSyncDate: row.last_sync,
+        lastFullSyncDate: row.last_full_sync,
         totalCount: row.record_count,
         status: row.status
       };
     }
     
     // Add default values for missing entities
-    const entities = ['products', 'picklists', 'warehouses'];
+    const entities = Object.keys(entityRegistry);
     for (const entity of entities) {
       if (!stats[entity]) {
         stats[entity] = {
           lastSyncDate: null,
+          lastFullSyncDate: null,
           totalCount: 0,
           status: 'Not synced yet'
         };
@@ -624,11 +2250,12 @@ app.get('/api/stats', async (req, res) => {
     
     res.json({
       success: true,
+      tenant: req.tenant.id,
       stats,
-      syncInProgress
+      syncInProgress: syncJobs.isBusy(req.tenant.id)
     });
   } catch (error) {
-    console.error('Error in stats endpoint:', error);
+    logger.error('Error in stats endpoint', { error });
     res.status(500).json({
       success: false,
       error: error.message
@@ -636,13 +2263,292 @@ app.get('/api/stats', async (req, res) => {
   }
 });
 
+// Read API for the mirrored entities: GET /api/<entity> lists records with
+// filters, search, sorting and paging (see lib/query.js), GET /api/<entity>/:id
+// returns one record with the rows of its child tables and, for entities that
+// keep history, GET /api/<entity>/:id/history the versions of a record. All are
+// served from the database, never from Picqer, from the tables of the tenant
+// in the tenant query parameter (default: the default tenant).
+for (const definition of Object.values(entityRegistry)) {
+  app.get(`/api/${definition.name}`, auth.requireRole('viewer'), tenantScope, async (req, res) => {
+    const entity = req.tenant.registry[definition.name];
+    
+    try {
+      let listQuery;
+      try {
+        listQuery = buildListQuery(entity, req.query);
+      } catch (error) {
+        if (error instanceof QueryError) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+        throw error;
+      }
+      
+      const { where, cursorWhere, orderBy, params, limit, offset } = listQuery;
+      
+      const total = await storage.query(`SELECT COUNT(*) AS total FROM ${entity.table} ${where}`, params);
+      const result = await storage.query(`
+        SELECT * FROM ${entity.table}
+        ${cursorWhere}
+        ORDER BY ${orderBy}
+        ${storage.pageClause()}
+      `, params);
+      
+      const records = result.rows.map(row => formatRow(entity.columns, row));
+      const last = records[records.length - 1];
+      
+      res.json({
+        success: true,
+        total: parseInt(total.rows[0].total),
+        limit,
+        offset,
+        // Cursors follow the key, so they are only offered when sorting on it
+        nextCursor: listQuery.sortsOnKey && records.length === limit ? encodeCursor(last[entity.key]) : null,
+        records
+      });
+    } catch (error) {
+      logger.error(`Error in ${entity.name} read endpoint`, { error });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+  
+  app.get(`/api/${definition.name}/:id`, auth.requireRole('viewer'), tenantScope, async (req, res) => {
+    const entity = req.tenant.registry[definition.name];
+    
+    try {
+      const keyColumn = entity.columns.find(column => column.name === entity.key);
+      
+      let id;
+      try {
+        id = parseValue(keyColumn, req.params.id);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      
+      const result = await storage.query(`SELECT * FROM ${entity.table} WHERE ${entity.key} = @id`, { id });
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `No ${entity.name} record with ${entity.key} ${req.params.id}`
+        });
+      }
+      
+      const record = formatRow(entity.columns, result.rows[0]);
+      
+      // Child rows are keyed by the unprefixed table name for every tenant
+      for (const [index, child] of entity.children.entries()) {
+        const rows = await storage.query(`
+          SELECT * FROM ${child.name}
+          WHERE ${child.parentKey} = @id
+          ORDER BY ${child.keys.join(', ')}
+        `, { id });
+        
+        record[definition.children[index].name] = rows.rows.map(row => formatRow(child.columns, row));
+      }
+      
+      res.json({
+        success: true,
+        record
+      });
+    } catch (error) {
+      logger.error(`Error in ${entity.name} read endpoint`, { error });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+  
+  if (!keepsHistory(definition)) {
+    continue;
+  }
+  
+  app.get(`/api/${definition.name}/:id/history`, auth.requireRole('viewer'), tenantScope, async (req, res) => {
+    const entity = req.tenant.registry[definition.name];
+    
+    try {
+      const keyColumn = entity.columns.find(column => column.name === entity.key);
+      
+      let id;
+      try {
+        id = parseValue(keyColumn, req.params.id);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      
+      const timeline = await historyRecorder.timeline(entity, id);
+      
+      if (timeline.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `No ${entity.name} history for ${entity.key} ${req.params.id}`
+        });
+      }
+      
+      res.json({
+        success: true,
+        id,
+        columns: entity.history,
+        timeline
+      });
+    } catch (error) {
+      logger.error(`Error in ${entity.name} history endpoint`, { error });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+}
+
+// Rows read from the database per query while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+// Export an entity table as CSV or NDJSON, with the same filters and search
+// as the read API. Rows are read in batches in key order and written to the
+// response as they come, waiting for the client to keep up, so memory use
+// does not grow with the size of the table.
+app.get('/api/export/:entity', auth.requireRole('viewer'), tenantScope, async (req, res) => {
+  const entity = req.tenant.registry[req.params.entity];
+  const formatName = req.query.format || 'csv';
+  const format = EXPORT_FORMATS[formatName];
+  
+  if (!entity) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown entity: ${req.params.entity}`
+    });
+  }
+  
+  if (!format) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown export format: ${formatName}. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+  
+  // Exports always cover every matching row, in key order
+  const exportQuery = Object.fromEntries(Object.entries(req.query)
+    .filter(([name]) => !['format', 'sort', 'limit', 'offset', 'cursor'].includes(name)));
+  exportQuery.limit = EXPORT_BATCH_SIZE;
+  
+  let listQuery;
+  try {
+    listQuery = buildListQuery(entity, exportQuery);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.error('Error in export endpoint', { error });
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+  
+  const names = [...entity.columns.map(column => column.name), 'sync_date'];
+  const filename = `${req.tenant.id === DEFAULT_TENANT ? '' : `${req.tenant.id}-`}${entity.name}-${new Date().toISOString().substring(0, 10)}.${format.extension}`;
+  
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  
+  try {
+    let exported = 0;
+    
+    while (!closed) {
+      const result = await storage.query(`
+        SELECT * FROM ${entity.table}
+        ${listQuery.cursorWhere}
+        ORDER BY ${listQuery.orderBy}
+        ${storage.pageClause()}
+      `, listQuery.params);
+      
+      // Headers go out with the first batch, so a failing query can still get a JSON error
+      if (!res.headersSent) {
+        res.set('Content-Type', format.contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.write(format.header(names));
+      }
+      
+      for (const row of result.rows) {
+        if (!res.write(format.row(names, formatRow(entity.columns, row)))) {
+          // Wait for the client to catch up (or go away)
+          await new Promise(resolve => {
+            const done = () => {
+              res.off('drain', done);
+              res.off('close', done);
+              resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+          });
+        }
+        
+        if (closed) {
+          break;
+        }
+      }
+      exported += result.rows.length;
+      
+      if (result.rows.length < EXPORT_BATCH_SIZE) {
+        break;
+      }
+      
+      const last = result.rows[result.rows.length - 1];
+      listQuery = buildListQuery(entity, {
+        ...exportQuery,
+        cursor: encodeCursor(last[entity.key])
+      });
+    }
+    
+    res.end();
+    logger.info(`Exported ${exported} ${entity.name} as ${formatName} for ${req.user.name}`);
+  } catch (error) {
+    logger.error('Error in export endpoint', { error });
+    
+    if (res.headersSent) {
+      // The download is already underway, cut it off so it is not mistaken for complete
+      res.destroy(error);
+    } else {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+});
+
 // Create dashboard directory if it doesn't exist
 const dashboardDir = path.join(__dirname, 'dashboard');
 if (!fs.existsSync(dashboardDir)) {
-  console.log('Creating dashboard directory');
+  logger.info('Creating dashboard directory');
   fs.mkdirSync(dashboardDir, { recursive: true });
 }
 
+// Escape text for use in the dashboard HTML; tenant names come from the config
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
 // Create a simple dashboard HTML file
 const dashboardHtml = `
 <!DOCTYPE html>
@@ -698,28 +2604,62 @@ const dashboardHtml = `
     }
     th, td {
       padding: 10px;
-      text-align: left;
+      text-align: left;
+    }
+    th {
+      background-color: #f2f2f2;
+    }
+    .log-warn {
+      background-color: #fff8e1;
+    }
+    .log-error {
+      background-color: #fdecea;
+    }
+    .notice {
+      background: #e8f5e9;
+      border: 1px solid #a5d6a7;
+      border-radius: 4px;
+      padding: 10px;
     }
-    th {
-      background-color: #f2f2f2;
+    .notice-error {
+      background: #fdecea;
+      border-color: #ef9a9a;
+    }
+    progress {
+      width: 200px;
+      vertical-align: middle;
     }
   </style>
 </head>
 <body>
   <div class="container">
     <h1>Picqer Middleware Dashboard</h1>
+    <p>Signed in as <span id="user-name"></span> (<span id="user-role"></span>) <button id="logout-btn" class="button">Log Out</button></p>
+    <p>Live updates: <span id="live-status">connecting...</span></p>
+    <p${tenants.length > 1 ? '' : ' style="display: none;"'}>
+      <label>Tenant
+        <select id="tenant-select">
+          ${tenants.map(tenant => `<option value="${escapeHtml(tenant.id)}">${escapeHtml(tenant.name)}</option>`).join('')}
+        </select>
+      </label>
+    </p>
+    <p id="notice" class="notice" style="display: none;"></p>
     
     <div class="card">
       <h2>Status</h2>
       <div id="status">Loading...</div>
     </div>
     
-    <div class="card">
+    <div class="card" id="sync-card">
       <h2>Sync Data</h2>
-      <button id="sync-all-btn" class="button">Sync All Entities</button>
-      <button id="sync-products-btn" class="button">Sync Products</button>
-      <button id="sync-picklists-btn" class="button">Sync Picklists</button>
-      <button id="sync-warehouses-btn" class="button">Sync Warehouses</button>
+      <button id="sync-all-btn" class="button sync-button">Sync All Entities</button>
+      <button id="full-sync-all-btn" class="button sync-button">Full Sync All Entities</button>
+      ${Object.values(entityRegistry).map(entity => `<button class="button sync-button entity-sync-button" data-entity="${entity.name}">Sync ${entity.label}</button>`).join('\n      ')}
+    </div>
+    
+    <div class="card">
+      <h2>Sync Jobs</h2>
+      <div id="jobs">Loading...</div>
     </div>
     
     <div class="card">
@@ -727,54 +2667,166 @@ const dashboardHtml = `
       <div id="stats">Loading...</div>
     </div>
     
+    <div class="card">
+      <h2>Reconciliation</h2>
+      <div id="reconcile">Loading...</div>
+      <pre id="reconcile-details" style="display: none;"></pre>
+    </div>
+    
     <div class="card">
       <h2>Last Sync Results</h2>
       <div id="results">No sync results yet</div>
     </div>
+    
+    <div class="card">
+      <h2>Sync History</h2>
+      <div id="history">Loading...</div>
+      <button id="history-prev-btn" class="button">Newer</button>
+      <button id="history-next-btn" class="button">Older</button>
+    </div>
+    
+    <div class="card">
+      <h2>Logs</h2>
+      <label>Level
+        <select id="logs-level">
+          ${LOG_LEVELS.map(level => `<option value="${level}"${level === 'info' ? ' selected' : ''}>${level}</option>`).join('')}
+        </select>
+      </label>
+      <label>Sync run <input id="logs-run-id" size="8"></label>
+      <button id="logs-refresh-btn" class="button">Refresh</button>
+      <div id="logs">Loading...</div>
+    </div>
   </div>
 
   <script>
+    // Signed in user, set by fetchUser
+    let currentUser = null;
+    
+    // Escape text for use in HTML. Everything shown from the API goes through
+    // here: error messages, statuses and Picqer data can contain anything.
+    function escapeHtml(text) {
+      return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+    
+    // Tenant whose data the dashboard shows; jobs of every tenant are listed
+    const multiTenant = ${tenants.length > 1};
+    let currentTenant = document.getElementById('tenant-select').value;
+    
+    // Query parameter selecting the current tenant
+    function tenantQuery() {
+      return \`tenant=\${encodeURIComponent(currentTenant)}\`;
+    }
+    
+    // Name of an entity in messages, with its tenant when there are several
+    function tenantEntityName(tenant, entity) {
+      return multiTenant ? \`\${tenant}/\${entity}\` : entity;
+    }
+    
+    // Fetch from the API, back to the login page when the session has expired
+    async function apiFetch(url, options) {
+      const response = await fetch(url, options);
+      
+      if (response.status === 401) {
+        window.location.href = '/login';
+        throw new Error('Not signed in');
+      }
+      
+      return response;
+    }
+    
+    // Whether the signed in user may trigger and cancel syncs
+    function canOperate() {
+      return currentUser && currentUser.role !== 'viewer';
+    }
+    
+    // Function to fetch the signed in user
+    async function fetchUser() {
+      try {
+        const response = await apiFetch('/api/auth/me');
+        const data = await response.json();
+        currentUser = data.user;
+        
+        document.getElementById('user-name').textContent = currentUser.name;
+        document.getElementById('user-role').textContent = currentUser.role;
+        document.getElementById('sync-card').style.display = canOperate() ? '' : 'none';
+      } catch (error) {
+        console.error('Error fetching user:', error);
+      }
+    }
+    
+    // Function to log out
+    async function logout() {
+      await fetch('/api/auth/logout', {
+        method: 'POST'
+      });
+      window.location.href = '/login';
+    }
+    
     // Function to fetch status
     async function fetchStatus() {
       try {
-        const response = await fetch('/api/status');
+        const response = await apiFetch('/api/status');
         const data = await response.json();
         
         let statusHtml = '<table>';
         statusHtml += '<tr><th>Component</th><th>Status</th></tr>';
         statusHtml += \`<tr><td>API</td><td>\${data.online ? 'Online' : 'Offline'}</td></tr>\`;
-        statusHtml += \`<tr><td>Database</td><td>\${data.database}</td></tr>\`;
-        statusHtml += \`<tr><td>Picqer API</td><td>\${data.picqer}</td></tr>\`;
-        statusHtml += \`<tr><td>Version</td><td>\${data.version}</td></tr>\`;
+        statusHtml += \`<tr><td>Database</td><td>\${escapeHtml(data.database)}</td></tr>\`;
+        statusHtml += \`<tr><td>Picqer API</td><td>\${escapeHtml(data.picqer)}</td></tr>\`;
+        statusHtml += \`<tr><td>Version</td><td>\${escapeHtml(data.version)}</td></tr>\`;
         statusHtml += \`<tr><td>Last Check</td><td>\${new Date(data.timestamp).toLocaleString()}</td></tr>\`;
         statusHtml += '</table>';
         
+        if (data.schedules && data.schedules.length > 0) {
+          statusHtml += '<h3>Scheduled Syncs</h3>';
+          statusHtml += '<table>';
+          statusHtml += '<tr><th>Target</th><th>Schedule</th><th>Mode</th><th>Previous Run</th><th>Next Run</th><th>Last Result</th></tr>';
+          
+          for (const schedule of data.schedules) {
+            statusHtml += \`<tr>
+              <td>\${escapeHtml(schedule.target)}</td>
+              <td>\${escapeHtml(schedule.cron)}</td>
+              <td>\${escapeHtml(schedule.mode || 'default')}</td>
+              <td>\${schedule.running ? 'Running' : (schedule.previousRun ? new Date(schedule.previousRun).toLocaleString() : 'Never')}</td>
+              <td>\${schedule.nextRun ? new Date(schedule.nextRun).toLocaleString() : 'Never'}</td>
+              <td>\${schedule.lastResult ? (schedule.lastResult.success ? 'Success' : \`Failed: \${escapeHtml(schedule.lastResult.error || '')}\`) : ''}</td>
+            </tr>\`;
+          }
+          
+          statusHtml += '</table>';
+        }
+        
         document.getElementById('status').innerHTML = statusHtml;
       } catch (error) {
-        document.getElementById('status').innerHTML = \`Error fetching status: \${error.message}\`;
+        document.getElementById('status').innerHTML = \`Error fetching status: \${escapeHtml(error.message)}\`;
       }
     }
     
     // Function to fetch stats
     async function fetchStats() {
       try {
-        const response = await fetch('/api/stats');
+        const response = await apiFetch(\`/api/stats?\${tenantQuery()}\`);
         const data = await response.json();
         
         if (!data.success) {
-          document.getElementById('stats').innerHTML = \`Error: \${data.error}\`;
+          document.getElementById('stats').innerHTML = \`Error: \${escapeHtml(data.error)}\`;
           return;
         }
         
         let statsHtml = '<table>';
-        statsHtml += '<tr><th>Entity</th><th>Last Sync</th><th>Record Count</th><th>Status</th></tr>';
+        statsHtml += '<tr><th>Entity</th><th>Last Sync</th><th>Last Full Sync</th><th>Record Count</th><th>Status</th><th>Export</th></tr>';
         
         for (const [entity, stats] of Object.entries(data.stats)) {
           statsHtml += \`<tr>
-            <td>\${entity}</td>
+            <td>\${escapeHtml(entity)}</td>
             <td>\${stats.lastSyncDate ? new Date(stats.lastSyncDate).toLocaleString() : 'Never'}</td>
-            <td>\${stats.totalCount}</td>
-            <td>\${stats.status}</td>
+            <td>\${stats.lastFullSyncDate ? new Date(stats.lastFullSyncDate).toLocaleString() : 'Never'}</td>
+            <td>\${escapeHtml(stats.totalCount)}</td>
+            <td>\${escapeHtml(stats.status)}</td>
+            <td>
+              <a class="button" href="/api/export/\${escapeHtml(encodeURIComponent(entity))}?format=csv&\${escapeHtml(tenantQuery())}" download>CSV</a>
+              <a class="button" href="/api/export/\${escapeHtml(encodeURIComponent(entity))}?format=ndjson&\${escapeHtml(tenantQuery())}" download>NDJSON</a>
+            </td>
           </tr>\`;
         }
         
@@ -782,21 +2834,77 @@ const dashboardHtml = `
         statsHtml += \`<p>Sync in progress: \${data.syncInProgress ? 'Yes' : 'No'}</p>\`;
         
         document.getElementById('stats').innerHTML = statsHtml;
+      } catch (error) {
+        document.getElementById('stats').innerHTML = \`Error fetching stats: \${escapeHtml(error.message)}\`;
+      }
+    }
+    
+    // Entities that can be reconciled
+    const reconcileEntities = ${JSON.stringify(Object.keys(entityRegistry))};
+    
+    // Function to fetch the latest reconciliation of each entity
+    async function fetchReconcile() {
+      try {
+        const response = await apiFetch(\`/api/reconcile?\${tenantQuery()}\`);
+        const data = await response.json();
         
-        // Update button states
-        const buttons = document.querySelectorAll('.button');
-        buttons.forEach(button => {
-          button.disabled = data.syncInProgress;
-        });
+        if (!data.success) {
+          document.getElementById('reconcile').innerHTML = \`Error: \${escapeHtml(data.error)}\`;
+          return;
+        }
+        
+        const runs = Object.fromEntries(data.runs.map(run => [run.entity, run]));
+        
+        let reconcileHtml = '<table>';
+        reconcileHtml += '<tr><th>Entity</th><th>Last Run</th><th>Status</th><th>Picqer</th><th>Database</th><th>Missing in DB</th><th>Missing in Picqer</th><th>Mismatched</th><th></th></tr>';
+        
+        for (const entity of reconcileEntities) {
+          const run = runs[entity];
+          const status = run ? (run.inSync === null ? run.status : (run.inSync ? 'In sync' : 'Drift')) : '';
+          
+          reconcileHtml += \`<tr>
+            <td>\${escapeHtml(entity)}</td>
+            <td>\${run ? new Date(run.startedAt).toLocaleString() : 'Never'}</td>
+            <td>\${escapeHtml(status)}\${run && run.error ? \`: \${escapeHtml(run.error)}\` : ''}</td>
+            <td>\${escapeHtml(run && run.picqerCount !== null ? run.picqerCount : '')}</td>
+            <td>\${escapeHtml(run && run.databaseCount !== null ? run.databaseCount : '')}</td>
+            <td>\${escapeHtml(run && run.missingInDatabase !== null ? run.missingInDatabase : '')}</td>
+            <td>\${escapeHtml(run && run.missingInPicqer !== null ? run.missingInPicqer : '')}</td>
+            <td>\${escapeHtml(run && run.mismatched !== null ? run.mismatched : '')}</td>
+            <td>
+              \${run ? \`<button class="button" onclick="showReconcileDetails(\${escapeHtml(run.id)})">Details</button>\` : ''}
+              \${canOperate() ? \`<button class="button sync-button" onclick="triggerSync('reconcile/\${escapeHtml(entity)}')">Reconcile</button>\` : ''}
+            </td>
+          </tr>\`;
+        }
+        
+        reconcileHtml += '</table>';
+        document.getElementById('reconcile').innerHTML = reconcileHtml;
+      } catch (error) {
+        document.getElementById('reconcile').innerHTML = \`Error fetching reconciliations: \${escapeHtml(error.message)}\`;
+      }
+    }
+    
+    // Function to show the drift details of a reconciliation
+    async function showReconcileDetails(id) {
+      const details = document.getElementById('reconcile-details');
+      
+      try {
+        const response = await apiFetch(\`/api/reconcile/runs/\${id}\`);
+        const data = await response.json();
+        
+        details.textContent = data.success ? JSON.stringify(data.run.details, null, 2) : \`Error: \${data.error}\`;
       } catch (error) {
-        document.getElementById('stats').innerHTML = \`Error fetching stats: \${error.message}\`;
+        details.textContent = \`Error fetching reconciliation: \${error.message}\`;
       }
+      
+      details.style.display = '';
     }
     
     // Function to fetch sync results
     async function fetchResults() {
       try {
-        const response = await fetch('/api/sync/results');
+        const response = await apiFetch(\`/api/sync/results?\${tenantQuery()}\`);
         const data = await response.json();
         
         if (!data.lastResults || Object.keys(data.lastResults).length === 0) {
@@ -806,20 +2914,26 @@ const dashboardHtml = `
         
         let resultsHtml = \`<p>Last sync: \${new Date(data.lastResults.timestamp).toLocaleString()}</p>\`;
         resultsHtml += \`<p>Overall status: \${data.lastResults.success ? 'Success' : 'Failed'}</p>\`;
+        if (data.lastResults.mode) {
+          resultsHtml += \`<p>Mode: \${escapeHtml(data.lastResults.mode)}</p>\`;
+        }
         
         if (data.lastResults.error) {
-          resultsHtml += \`<p>Error: \${data.lastResults.error}</p>\`;
+          resultsHtml += \`<p>Error: \${escapeHtml(data.lastResults.error)}</p>\`;
         } else {
           resultsHtml += '<table>';
-          resultsHtml += '<tr><th>Entity</th><th>Status</th><th>Count</th><th>Error</th></tr>';
+          resultsHtml += '<tr><th>Entity</th><th>Status</th><th>Mode</th><th>Count</th><th>Failed</th><th>Retries</th><th>Error</th></tr>';
           
           for (const [entity, result] of Object.entries(data.lastResults)) {
-            if (entity !== 'timestamp' && entity !== 'success') {
+            if (entity !== 'timestamp' && entity !== 'success' && entity !== 'mode' && entity !== 'jobId') {
               resultsHtml += \`<tr>
-                <td>\${entity}</td>
+                <td>\${escapeHtml(entity)}</td>
                 <td>\${result.success ? 'Success' : 'Failed'}</td>
-                <td>\${result.count || 0}</td>
-                <td>\${result.error || ''}</td>
+                <td>\${escapeHtml(result.mode || '')}</td>
+                <td>\${escapeHtml(result.count || 0)}</td>
+                <td>\${escapeHtml(result.failed || 0)}</td>
+                <td>\${escapeHtml(result.retries || 0)}</td>
+                <td>\${escapeHtml(result.error || '')}</td>
               </tr>\`;
             }
           }
@@ -829,60 +2943,354 @@ const dashboardHtml = `
         
         document.getElementById('results').innerHTML = resultsHtml;
       } catch (error) {
-        document.getElementById('results').innerHTML = \`Error fetching results: \${error.message}\`;
+        document.getElementById('results').innerHTML = \`Error fetching results: \${escapeHtml(error.message)}\`;
+      }
+    }
+    
+    // Latest sync jobs, newest first, kept up to date by live events
+    let jobs = [];
+    let jobsRenderPending = false;
+    
+    // Function to fetch sync jobs
+    async function fetchJobs() {
+      try {
+        const response = await apiFetch('/api/sync/jobs');
+        const data = await response.json();
+        
+        jobs = data.jobs.slice(0, 10);
+        renderJobs();
+      } catch (error) {
+        document.getElementById('jobs').innerHTML = \`Error fetching jobs: \${escapeHtml(error.message)}\`;
+      }
+    }
+    
+    // Progress of an entity in a job: a bar against the expected row count,
+    // or a moving bar while the total is unknown
+    function progressBar(entity, p) {
+      const active = !['pending', 'done', 'failed', 'cancelled'].includes(p.phase);
+      let bar = '<progress value="0" max="1"></progress>';
+      
+      if (p.phase === 'done') {
+        bar = '<progress value="1" max="1"></progress>';
+      } else if (active && p.rowsExpected) {
+        bar = \`<progress value="\${escapeHtml(Math.min(p.rowsFetched, p.rowsExpected))}" max="\${escapeHtml(p.rowsExpected)}"></progress>\`;
+      } else if (active) {
+        bar = '<progress></progress>';
+      }
+      
+      return \`\${escapeHtml(entity)}: \${bar} \${escapeHtml(p.phase)}, \${escapeHtml(p.rowsFetched)}\${p.rowsExpected ? \` of ~\${escapeHtml(p.rowsExpected)}\` : ''} fetched, \${escapeHtml(p.rowsWritten)} written\${p.rowsFailed ? \`, \${escapeHtml(p.rowsFailed)} failed\` : ''}\`;
+    }
+    
+    // Render the jobs table, at most once per animation frame as progress
+    // events can arrive in quick succession
+    function renderJobs() {
+      if (jobsRenderPending) {
+        return;
+      }
+      jobsRenderPending = true;
+      
+      requestAnimationFrame(() => {
+        jobsRenderPending = false;
+        updateSyncButtons();
+        
+        if (jobs.length === 0) {
+          document.getElementById('jobs').innerHTML = 'No sync jobs yet';
+          return;
+        }
+        
+        let jobsHtml = '<table>';
+        jobsHtml += \`<tr><th>Job</th>\${multiTenant ? '<th>Tenant</th>' : ''}<th>Target</th><th>Trigger</th><th>Status</th><th>Progress</th><th></th></tr>\`;
+        
+        for (const job of jobs) {
+          const progress = Object.entries(job.progress)
+            .map(([entity, p]) => progressBar(entity, p))
+            .join('<br>');
+          const cancellable = canOperate() && (job.status === 'running' || job.status === 'queued') && !job.cancelRequested;
+          
+          jobsHtml += \`<tr>
+            <td>\${escapeHtml(job.id.substring(0, 8))}</td>
+            \${multiTenant ? \`<td>\${escapeHtml(job.tenant)}</td>\` : ''}
+            <td>\${escapeHtml(job.target)}</td>
+            <td>\${escapeHtml(job.trigger)}</td>
+            <td>\${escapeHtml(job.cancelRequested && job.status === 'running' ? 'cancelling' : job.status)}</td>
+            <td>\${progress}</td>
+            <td>\${cancellable ? \`<button class="button" onclick="cancelJob('\${escapeHtml(job.id)}')">Cancel</button>\` : ''}</td>
+          </tr>\`;
+        }
+        
+        jobsHtml += '</table>';
+        document.getElementById('jobs').innerHTML = jobsHtml;
+      });
+    }
+    
+    // Sync buttons are disabled while a job is running or queued
+    function updateSyncButtons() {
+      const busy = jobs.some(job => job.status === 'running' || job.status === 'queued');
+      
+      document.querySelectorAll('.sync-button').forEach(button => {
+        button.disabled = busy;
+      });
+    }
+    
+    // Show a message above the dashboard, in place of alert popups
+    function showNotice(message, isError) {
+      const notice = document.getElementById('notice');
+      
+      notice.textContent = message;
+      notice.className = isError ? 'notice notice-error' : 'notice';
+      notice.style.display = '';
+    }
+    
+    // Function to cancel a sync job
+    async function cancelJob(id) {
+      try {
+        await apiFetch(\`/api/sync/jobs/\${id}\`, {
+          method: 'DELETE'
+        });
+      } catch (error) {
+        showNotice(\`Error cancelling job: \${error.message}\`, true);
+      }
+    }
+    
+    // Sync history paging state
+    const historyPageSize = 20;
+    let historyOffset = 0;
+    
+    // Function to fetch sync history
+    async function fetchHistory() {
+      try {
+        const response = await apiFetch(\`/api/sync/history?limit=\${historyPageSize}&offset=\${historyOffset}&\${tenantQuery()}\`);
+        const data = await response.json();
+        
+        if (!data.success) {
+          document.getElementById('history').innerHTML = \`Error: \${escapeHtml(data.error)}\`;
+          return;
+        }
+        
+        if (data.runs.length === 0) {
+          document.getElementById('history').innerHTML = 'No sync runs recorded yet';
+        } else {
+          let historyHtml = '<table>';
+          historyHtml += '<tr><th>Run</th><th>Entity</th><th>Trigger</th><th>Mode</th><th>Status</th><th>Started</th><th>Duration</th><th>Fetched</th><th>Inserted</th><th>Failed</th><th>Error</th><th></th></tr>';
+          
+          for (const run of data.runs) {
+            historyHtml += \`<tr>
+              <td>\${escapeHtml(run.id)}</td>
+              <td>\${escapeHtml(run.entity)}</td>
+              <td>\${escapeHtml(run.trigger)}</td>
+              <td>\${escapeHtml(run.mode || '')}</td>
+              <td>\${escapeHtml(run.status)}</td>
+              <td>\${new Date(run.startedAt).toLocaleString()}</td>
+              <td>\${run.durationMs !== null ? (run.durationMs / 1000).toFixed(1) + 's' : ''}</td>
+              <td>\${escapeHtml(run.fetched || 0)}</td>
+              <td>\${escapeHtml(run.inserted || 0)}</td>
+              <td>\${escapeHtml(run.failed || 0)}</td>
+              <td>\${escapeHtml(run.error || '')}</td>
+              <td><button class="button" onclick="showRunLogs(\${escapeHtml(run.id)})">Logs</button></td>
+            </tr>\`;
+          }
+          
+          historyHtml += '</table>';
+          historyHtml += \`<p>Showing \${data.offset + 1}-\${data.offset + data.runs.length} of \${data.total}</p>\`;
+          
+          document.getElementById('history').innerHTML = historyHtml;
+        }
+        
+        document.getElementById('history-prev-btn').disabled = historyOffset === 0;
+        document.getElementById('history-next-btn').disabled = data.offset + data.runs.length >= data.total;
+      } catch (error) {
+        document.getElementById('history').innerHTML = \`Error fetching history: \${escapeHtml(error.message)}\`;
+      }
+    }
+    
+    // Function to fetch recent log entries
+    async function fetchLogs() {
+      try {
+        const params = new URLSearchParams({
+          level: document.getElementById('logs-level').value,
+          limit: '100'
+        });
+        const runId = document.getElementById('logs-run-id').value.trim();
+        if (runId) {
+          params.set('runId', runId);
+        }
+        
+        const response = await apiFetch(\`/api/logs?\${params}\`);
+        const data = await response.json();
+        
+        if (!data.success) {
+          document.getElementById('logs').innerHTML = \`Error: \${escapeHtml(data.error)}\`;
+          return;
+        }
+        
+        if (data.logs.length === 0) {
+          document.getElementById('logs').innerHTML = 'No log entries';
+          return;
+        }
+        
+        let logsHtml = '<table>';
+        logsHtml += '<tr><th>Time</th><th>Level</th><th>Message</th><th>Run</th><th>Job</th><th>Error</th></tr>';
+        
+        for (const entry of data.logs) {
+          logsHtml += \`<tr class="log-\${escapeHtml(entry.level)}">
+            <td>\${new Date(entry.time).toLocaleString()}</td>
+            <td>\${escapeHtml(entry.level)}</td>
+            <td>\${escapeHtml(entry.message)}</td>
+            <td>\${escapeHtml(entry.runId || '')}</td>
+            <td>\${escapeHtml(entry.jobId ? entry.jobId.substring(0, 8) : '')}</td>
+            <td>\${escapeHtml(entry.error || '')}</td>
+          </tr>\`;
+        }
+        
+        logsHtml += '</table>';
+        document.getElementById('logs').innerHTML = logsHtml;
+      } catch (error) {
+        document.getElementById('logs').innerHTML = \`Error fetching logs: \${escapeHtml(error.message)}\`;
       }
     }
     
-    // Function to trigger sync
+    // Function to show the logs of a sync run
+    function showRunLogs(runId) {
+      document.getElementById('logs-run-id').value = runId;
+      document.getElementById('logs-level').value = 'debug';
+      fetchLogs();
+    }
+    
+    // Function to trigger a sync or reconciliation of the current tenant
     async function triggerSync(endpoint) {
       try {
-        const buttons = document.querySelectorAll('.button');
+        const buttons = document.querySelectorAll('.sync-button');
         buttons.forEach(button => {
           button.disabled = true;
         });
         
-        const response = await fetch(\`/api/\${endpoint}\`, {
+        const response = await apiFetch(\`/api/tenants/\${encodeURIComponent(currentTenant)}/\${endpoint}\`, {
           method: 'POST'
         });
         
         const data = await response.json();
         
+        // Progress follows through live events
         if (data.success) {
-          alert(\`\${data.message}. Check results in a few moments.\`);
+          showNotice(data.message);
         } else {
-          alert(\`Error: \${data.error}\`);
+          showNotice(\`Error: \${data.error || data.message}\`, true);
+          updateSyncButtons();
         }
-        
-        // Refresh stats after a delay
-        setTimeout(() => {
-          fetchStats();
-          fetchResults();
-        }, 2000);
       } catch (error) {
-        alert(\`Error triggering sync: \${error.message}\`);
-        
-        const buttons = document.querySelectorAll('.button');
-        buttons.forEach(button => {
-          button.disabled = false;
-        });
+        showNotice(\`Error triggering sync: \${error.message}\`, true);
+        updateSyncButtons();
       }
     }
     
     // Add event listeners
+    document.getElementById('logout-btn').addEventListener('click', logout);
     document.getElementById('sync-all-btn').addEventListener('click', () => triggerSync('sync'));
-    document.getElementById('sync-products-btn').addEventListener('click', () => triggerSync('sync/products'));
-    document.getElementById('sync-picklists-btn').addEventListener('click', () => triggerSync('sync/picklists'));
-    document.getElementById('sync-warehouses-btn').addEventListener('click', () => triggerSync('sync/warehouses'));
+    document.getElementById('full-sync-all-btn').addEventListener('click', () => triggerSync('sync?mode=full'));
+    document.querySelectorAll('.entity-sync-button').forEach(button => {
+      button.addEventListener('click', () => triggerSync(\`sync/\${button.dataset.entity}\`));
+    });
+    document.getElementById('tenant-select').addEventListener('change', event => {
+      currentTenant = event.target.value;
+      historyOffset = 0;
+      fetchStats();
+      fetchResults();
+      fetchReconcile();
+      fetchHistory();
+    });
+    document.getElementById('logs-refresh-btn').addEventListener('click', fetchLogs);
+    document.getElementById('logs-level').addEventListener('change', fetchLogs);
+    document.getElementById('history-prev-btn').addEventListener('click', () => {
+      historyOffset = Math.max(historyOffset - historyPageSize, 0);
+      fetchHistory();
+    });
+    document.getElementById('history-next-btn').addEventListener('click', () => {
+      historyOffset += historyPageSize;
+      fetchHistory();
+    });
     
     // Initial data fetch
+    fetchUser();
     fetchStatus();
     fetchStats();
+    fetchJobs();
     fetchResults();
+    fetchReconcile();
+    fetchHistory();
+    fetchLogs();
+    
+    // Refresh everything that a finished job can have changed
+    function refreshAfterJob() {
+      fetchStatus();
+      fetchStats();
+      fetchResults();
+      fetchReconcile();
+      fetchHistory();
+      fetchLogs();
+    }
+    
+    // Follow syncs live instead of polling
+    const liveStatus = document.getElementById('live-status');
+    const eventSource = new EventSource('/api/events');
+    let streamOpened = false;
+    
+    eventSource.addEventListener('open', () => {
+      liveStatus.textContent = 'connected';
+      
+      // Catch up on anything missed while the stream was down
+      if (streamOpened) {
+        fetchJobs();
+        refreshAfterJob();
+      }
+      streamOpened = true;
+    });
+    
+    eventSource.addEventListener('error', () => {
+      liveStatus.textContent = 'reconnecting...';
+      // Back to the login page if the stream dropped because the session expired
+      fetchUser();
+    });
     
-    // Refresh data periodically
-    setInterval(fetchStatus, 30000);
-    setInterval(fetchStats, 10000);
-    setInterval(fetchResults, 10000);
+    eventSource.addEventListener('job.updated', event => {
+      const job = JSON.parse(event.data);
+      const index = jobs.findIndex(existing => existing.id === job.id);
+      
+      if (index === -1) {
+        jobs = [job, ...jobs].slice(0, 10);
+      } else {
+        jobs[index] = job;
+      }
+      renderJobs();
+      
+      if (job.finishedAt) {
+        refreshAfterJob();
+      }
+    });
+    
+    eventSource.addEventListener('sync.progress', event => {
+      const { jobId, tenant, entity, time, ...progress } = JSON.parse(event.data);
+      const job = jobs.find(existing => existing.id === jobId);
+      
+      if (job && job.progress[entity]) {
+        job.progress[entity] = progress;
+        renderJobs();
+      }
+    });
+    
+    eventSource.addEventListener('sync.completed', event => {
+      const data = JSON.parse(event.data);
+      showNotice(\`\${tenantEntityName(data.tenant, data.entity)} sync completed: \${data.inserted} of \${data.fetched} records written\${data.failed ? \`, \${data.failed} failed\` : ''} in \${(data.durationMs / 1000).toFixed(1)}s\`);
+      fetchStats();
+      fetchHistory();
+    });
+    
+    eventSource.addEventListener('sync.failed', event => {
+      const data = JSON.parse(event.data);
+      const name = tenantEntityName(data.tenant, data.entity);
+      showNotice(data.cancelled ? \`\${name} sync cancelled\` : \`\${name} sync failed: \${data.error}\`, !data.cancelled);
+      fetchStats();
+      fetchHistory();
+    });
   </script>
 </body>
 </html>
@@ -891,20 +3299,123 @@ const dashboardHtml = `
 // Write dashboard HTML file
 fs.writeFileSync(path.join(dashboardDir, 'dashboard.html'), dashboardHtml);
 
+// Create the dashboard login page
+const loginHtml = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Picqer Middleware Login</title>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      margin: 0;
+      padding: 20px;
+      line-height: 1.6;
+    }
+    .container {
+      max-width: 400px;
+      margin: 40px auto;
+    }
+    .card {
+      background: #f9f9f9;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      padding: 15px;
+    }
+    label, input {
+      display: block;
+      width: 100%;
+      box-sizing: border-box;
+    }
+    input {
+      padding: 8px;
+      margin-bottom: 10px;
+    }
+    .button {
+      background: #4CAF50;
+      color: white;
+      border: none;
+      padding: 10px 15px;
+      font-size: 16px;
+      cursor: pointer;
+      border-radius: 4px;
+    }
+    #error {
+      color: #c00;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Picqer Middleware</h1>
+    
+    <form id="login-form" class="card">
+      <label for="username">Username</label>
+      <input id="username" name="username" autocomplete="username" required>
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password" required>
+      <p id="error"></p>
+      <button type="submit" class="button">Log In</button>
+    </form>
+  </div>
+
+  <script>
+    document.getElementById('login-form').addEventListener('submit', async event => {
+      event.preventDefault();
+      
+      try {
+        const response = await fetch('/api/auth/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            username: document.getElementById('username').value,
+            password: document.getElementById('password').value
+          })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+          window.location.href = '/dashboard/';
+        } else {
+          document.getElementById('error').textContent = data.error;
+        }
+      } catch (error) {
+        document.getElementById('error').textContent = \`Error logging in: \${error.message}\`;
+      }
+    });
+  </script>
+</body>
+</html>
+`;
+
+// Write login HTML file
+fs.writeFileSync(path.join(dashboardDir, 'login.html'), loginHtml);
+
+// Login page, the only page reachable without a session
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'dashboard', 'login.html'));
+});
+
+// Dashboard pages require a signed in user
+const requireDashboardUser = auth.requireRole('viewer', { redirect: '/login' });
+
 // Serve static dashboard files
-app.use(express.static(path.join(__dirname, 'dashboard')));
+app.use(requireDashboardUser, express.static(path.join(__dirname, 'dashboard')));
 
 // Add explicit route for /dashboard/ path
-app.get('/dashboard', (req, res) => {
+app.get('/dashboard', requireDashboardUser, (req, res) => {
   res.sendFile(path.join(__dirname, 'dashboard', 'dashboard.html'));
 });
 
-app.get('/dashboard/', (req, res) => {
+app.get('/dashboard/', requireDashboardUser, (req, res) => {
   res.sendFile(path.join(__dirname, 'dashboard', 'dashboard.html'));
 });
 
 // Serve dashboard at root
-app.get('/', (req, res) => {
+app.get('/', requireDashboardUser, (req, res) => {
   res.sendFile(path.join(__dirname, 'dashboard', 'dashboard.html'));
 });
 
@@ -914,16 +3425,34 @@ initializeDatabase()
     if (success) {
       // Start the server
       app.listen(port, () => {
-        console.log(`Simplified Picqer middleware running on port ${port}`);
-        console.log(`Dashboard available at: http://localhost:${port}/dashboard/`);
-        console.log(`API available at: http://localhost:${port}/api/`);
+        logger.info(`Simplified Picqer middleware running on port ${port}`);
+        logger.info(`Dashboard available at: http://localhost:${port}/dashboard/`);
+        logger.info(`API available at: http://localhost:${port}/api/`);
       });
+      
+      if (authConfig.disabled) {
+        logger.warn('Authentication is disabled (AUTH_DISABLED=true)');
+      }
+      
+      // Start scheduled syncs and reconciliations
+      const targets = ['all', ...Object.keys(entityRegistry)];
+      syncScheduler.start(loadSchedules(targets));
+      reconcileScheduler.start(loadSchedules(targets, process.env, {
+        prefix: 'RECONCILE_SCHEDULE',
+        defaultFile: 'reconcile-schedules.json'
+      }));
+      
+      // Check for stale data now and then, when enabled
+      if (notifier.staleHours) {
+        checkStaleData();
+        setInterval(checkStaleData, STALE_CHECK_INTERVAL_MS);
+      }
     } else {
-      console.error('Failed to initialize database, server not started');
+      logger.error('Failed to initialize database, server not started');
     }
   })
   .catch(error => {
-    console.error('Error during initialization:', error);
+    logger.error('Error during initialization', { error });
   });
 
 module.exports = app;
@@ -0,0 +1,239 @@
+/**
+ * Authentication and Roles
+ *
+ * Two ways to authenticate:
+ * - API keys, sent as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+ *   Only a SHA-256 hash of each key is stored (api_keys table).
+ * - Dashboard users, who log in with username and password (dashboard_users
+ *   table, scrypt hashes) and get a signed session cookie.
+ *
+ * Roles are ordered: viewer < operator < admin. A viewer can read status and
+ * stats, an operator can also trigger and cancel syncs, an admin can also
+ * manage API keys, users and webhooks.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'picqer_session';
+
+// Whether a role grants at least the required role
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+// Generate a new random API key
+function generateApiKey() {
+  return `pm_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Hash an API key for storage and lookup.
+// Keys are long and random, so a plain SHA-256 is enough here.
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Hash a password with a random salt (scrypt$salt$hash)
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Check a password against a stored hash
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Parse the Cookie header into an object
+function parseCookies(header) {
+  const cookies = {};
+  
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.substring(0, index).trim()] = decodeURIComponent(part.substring(index + 1).trim());
+    }
+  }
+  
+  return cookies;
+}
+
+// Handles API key and session authentication and role checks
+class Authenticator {
+  // options: { storage, sessionSecret, sessionTtlHours, bootstrapApiKey, disabled }
+  constructor(options) {
+    this.storage = options.storage;
+    this.sessionSecret = options.sessionSecret || crypto.randomBytes(32).toString('hex');
+    this.sessionTtl = (options.sessionTtlHours || 12) * 60 * 60 * 1000;
+    this.bootstrapKeyHash = options.bootstrapApiKey ? hashApiKey(options.bootstrapApiKey) : null;
+    this.disabled = options.disabled || false;
+    
+    if (!options.sessionSecret) {
+      logger.info('SESSION_SECRET not set, dashboard sessions will not survive a restart');
+    }
+  }
+  
+  // Create a signed session token for a dashboard user
+  createSession(user) {
+    const payload = Buffer.from(JSON.stringify({
+      name: user.username,
+      role: user.role,
+      exp: Date.now() + this.sessionTtl
+    })).toString('base64url');
+    
+    return `${payload}.${this.sign(payload)}`;
+  }
+  
+  // Verify a session token and return its identity, or null
+  verifySession(token) {
+    const [payload, signature] = (token || '').split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+    
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    
+    try {
+      const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (session.exp < Date.now()) {
+        return null;
+      }
+      
+      return { name: session.name, role: session.role, via: 'session' };
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  sign(payload) {
+    return crypto.createHmac('sha256', this.sessionSecret).update(payload).digest('base64url');
+  }
+  
+  // Session cookie header value for a token (an empty token clears the cookie)
+  sessionCookie(token, secure) {
+    const maxAge = token ? Math.floor(this.sessionTtl / 1000) : 0;
+    return `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+  }
+  
+  // Look up an API key and return its identity, or null
+  async verifyApiKey(key) {
+    const keyHash = hashApiKey(key);
+    
+    if (this.bootstrapKeyHash && keyHash === this.bootstrapKeyHash) {
+      return { name: 'bootstrap', role: 'admin', via: 'api-key' };
+    }
+    
+    if (!this.storage.connected) {
+      return null;
+    }
+    
+    const result = await this.storage.query(`
+      SELECT id, name, role FROM api_keys
+      WHERE key_hash = @hash AND revoked_at IS NULL
+    `, { hash: keyHash });
+    
+    const apiKey = result.rows[0];
+    if (!apiKey) {
+      return null;
+    }
+    
+    // Usage tracking is best effort and never delays the request
+    this.storage.query(`UPDATE api_keys SET last_used_at = ${this.storage.now()} WHERE id = @id`, { id: apiKey.id })
+      .catch(error => logger.error('Error updating API key usage', { error: error.message }));
+    
+    return { name: apiKey.name, role: apiKey.role, via: 'api-key' };
+  }
+  
+  // Check a dashboard user's credentials and return the user, or null
+  async verifyUser(username, password) {
+    const result = await this.storage.query(`
+      SELECT username, password_hash, role FROM dashboard_users
+      WHERE username = @username AND disabled = @disabled
+    `, { username, disabled: false });
+    
+    const user = result.rows[0];
+    if (!user || !verifyPassword(password, user.password_hash)) {
+      return null;
+    }
+    
+    return { username: user.username, role: user.role };
+  }
+  
+  // Identify the caller of a request from its API key or session cookie
+  async authenticate(req) {
+    const header = req.get('Authorization') || '';
+    const apiKey = header.startsWith('Bearer ') ? header.substring(7).trim() : req.get('X-API-Key');
+    
+    if (apiKey) {
+      return this.verifyApiKey(apiKey);
+    }
+    
+    const cookies = parseCookies(req.get('Cookie'));
+    return this.verifySession(cookies[SESSION_COOKIE]);
+  }
+  
+  // Express middleware requiring at least the given role.
+  // With options.redirect, unauthenticated requests are redirected there
+  // (for pages) instead of getting a 401 (for the API).
+  requireRole(role, options = {}) {
+    return async (req, res, next) => {
+      if (this.disabled) {
+        req.user = { name: 'anonymous', role: 'admin', via: 'disabled' };
+        return next();
+      }
+      
+      try {
+        const user = await this.authenticate(req);
+        
+        if (!user) {
+          if (options.redirect) {
+            return res.redirect(options.redirect);
+          }
+          
+          return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+          });
+        }
+        
+        if (!hasRole(user.role, role)) {
+          return res.status(403).json({
+            success: false,
+            error: `This requires the ${role} role`
+          });
+        }
+        
+        req.user = user;
+        next();
+      } catch (error) {
+        logger.error('Error authenticating request', { error: error.message });
+        res.status(500).json({
+          success: false,
+          error: 'Authentication failed'
+        });
+      }
+    };
+  }
+}
+
+module.exports = {
+  ROLES,
+  Authenticator,
+  generateApiKey,
+  hashApiKey,
+  hashPassword,
+  verifyPassword
+};
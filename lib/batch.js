@@ -0,0 +1,135 @@
+/**
+ * Batched Writes
+ *
+ * Entity syncs write their rows through a BatchWriter per table. Rows are
+ * collected until the batch size is reached and written in one go by the
+ * storage adapter (a bulk load and merge on SQL Server). If a batch fails,
+ * its rows are retried one by one so the offending rows are still
+ * identified and the rest of the batch is written.
+ */
+
+const { logger } = require('./logger');
+
+// Failed rows kept for the sync result; the rest are only counted
+const FAILED_ROW_LIMIT = 50;
+
+// Batched writer for one table of an entity sync.
+// definition is the table definition of the entity (or child) table in the
+// registry ({ name, columns, keys }), table the table actually written to
+// (the entity table or its staging table).
+// Rows are written with db: the storage, or a transaction of it.
+class BatchWriter {
+  constructor(storage, definition, table = definition.name, batchSize = 1000) {
+    this.storage = storage;
+    this.entity = definition.name;
+    this.table = table;
+    this.definition = definition;
+    this.keys = definition.keys;
+    this.batchSize = batchSize;
+    this.rows = new Map();
+    this.insertedCount = 0;
+    this.failedCount = 0;
+    this.failedRows = [];
+  }
+  
+  // Add a row, flushing the batch once it is full.
+  // Rows are keyed so a record that shows up twice (e.g. because it moved
+  // between pages while paging) is only written once per batch.
+  async add(row, db = this.storage) {
+    this.rows.set(this.rowKey(row), row);
+    
+    if (this.rows.size >= this.batchSize) {
+      await this.flush(db);
+    }
+  }
+  
+  // Write the current batch to the target table.
+  // The batch and every retried row get their own transaction (a savepoint
+  // when db is a transaction already), so a failed write is undone on its own.
+  async flush(db = this.storage) {
+    if (this.rows.size === 0) {
+      return;
+    }
+    
+    const rows = Array.from(this.rows.values());
+    this.rows.clear();
+    
+    try {
+      await db.transaction(tx => tx.bulkUpsert(this.definition, this.table, rows));
+      this.insertedCount += rows.length;
+    } catch (error) {
+      logger.warn(`Error writing batch of ${rows.length} ${this.entity}, retrying row by row`, {
+        table: this.entity,
+        error: error.message
+      });
+      
+      for (const row of rows) {
+        try {
+          await db.transaction(tx => this.upsertRow(row, tx));
+          this.insertedCount++;
+        } catch (rowError) {
+          logger.error(`Error inserting ${this.entity} ${this.rowKey(row)}`, {
+            table: this.entity,
+            id: this.rowKey(row),
+            error: rowError.message
+          });
+          this.recordFailure(row, rowError);
+        }
+      }
+    }
+  }
+  
+  // Flush remaining rows
+  async close(db = this.storage) {
+    await this.flush(db);
+  }
+  
+  // Upsert a single row into the target table
+  async upsertRow(row, db = this.storage) {
+    const values = Object.fromEntries(this.definition.columns.map(column => [column.name, row[column.name]]));
+    
+    await db.upsert(this.table, values, {
+      keys: this.keys,
+      touch: 'sync_date'
+    });
+  }
+  
+  // Key of a row, joined with ':' for composite keys
+  rowKey(row) {
+    return this.keys.map(key => row[key]).join(':');
+  }
+  
+  // Remember a failed row; only the first few are kept for the sync result
+  recordFailure(row, error) {
+    this.failedCount++;
+    
+    if (this.failedRows.length < FAILED_ROW_LIMIT) {
+      this.failedRows.push({
+        id: this.rowKey(row),
+        error: error.message
+      });
+    }
+  }
+}
+
+// Delete the child rows of the given parent records, so they can be replaced.
+// Used by incremental syncs and webhooks, so lines removed in Picqer disappear.
+// Run it in the transaction that writes the replacements (db).
+async function deleteChildRows(definition, parentIds, db) {
+  const ids = parentIds.filter(id => id !== null && id !== undefined);
+  if (ids.length === 0) {
+    return;
+  }
+  
+  const params = Object.fromEntries(ids.map((id, index) => [`id${index}`, id]));
+  const names = Object.keys(params).map(name => `@${name}`);
+  
+  for (const child of definition.children) {
+    await db.query(`DELETE FROM ${child.name} WHERE ${child.parentKey} IN (${names.join(', ')})`, params);
+  }
+}
+
+module.exports = {
+  BatchWriter,
+  deleteChildRows
+};
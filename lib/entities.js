@@ -0,0 +1,453 @@
+/**
+ * Entity Registry
+ *
+ * Every synced entity is declared here once: its Picqer endpoint, target
+ * table, key and columns with their SQL types. Table creation, syncs, stats,
+ * webhooks, routes and the dashboard are all generated from these definitions.
+ *
+ * Columns take their value from the Picqer record by `source` (a field name,
+ * dots for nested fields) or, for built-in entities, from a `value` function.
+ * `default` is used when Picqer leaves the field empty. Child tables hold
+ * lists inside a record (e.g. the stock levels of a product); they are
+ * replaced as a whole whenever their parent changes, and their `parentKey`
+ * column is filled with the key of the parent.
+ *
+ * Entities are readable through the API at /api/<name>. `search` lists the
+ * columns free-text search looks in (default: a name column, if any).
+ *
+ * `history` lists columns whose changes are kept in a <table>_history table
+ * when history tracking is enabled (TRACK_HISTORY=true, see lib/history.js).
+ *
+ * `references` on a column ("warehouses (id)") makes it a foreign key to
+ * that column. A sync of the entity first syncs the entity it references
+ * (warehouses before products), so its rows find the records they point at.
+ * Full syncs swap in whole tables without checking the rows that point at
+ * them (WITH NOCHECK on SQL Server, NOT VALID on PostgreSQL), so
+ * reconciliation reports rows pointing at a record that is missing from the
+ * database.
+ *
+ * Custom entities are read from a JSON file (ENTITY_CONFIG_FILE, default
+ * entities.json) and synced after the built-in entities:
+ *   [
+ *     {
+ *       "name": "suppliers",
+ *       "endpoint": "suppliers",
+ *       "incremental": false,
+ *       "columns": [
+ *         { "name": "id", "type": "INT", "key": true, "source": "idsupplier" },
+ *         { "name": "name", "type": "NVARCHAR(255)", "source": "name", "default": "" }
+ *       ]
+ *     }
+ *   ]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Table and column names end up in SQL, so only plain identifiers are allowed
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/;
+
+// A column reference: "table (column)"
+const REFERENCE = /^([a-z_][a-z0-9_]*) \(([a-z_][a-z0-9_]*)\)$/;
+
+// Entities are served at /api/<name>, so they cannot take the name of another route
+const RESERVED_NAMES = ['auth', 'entities', 'events', 'export', 'logs', 'notifications', 'reconcile', 'stats', 'status', 'sync', 'tenants', 'webhooks'];
+
+// Sum a field over the lines of a record
+function sumLines(lines, field, multiplier) {
+  return (lines || []).reduce((total, line) => total + (line[field] || 0) * (multiplier ? line[multiplier] || 0 : 1), 0);
+}
+
+// Entities that ship with the middleware, in the order they are synced.
+// Warehouses go first because product_stock references them.
+const builtInEntities = [
+  {
+    name: 'warehouses',
+    // Warehouses are few and Picqer has no updated filter for them,
+    // so they are always fully synced
+    incremental: false,
+    columns: [
+      { name: 'id', type: 'INT', key: true, source: 'idwarehouse' },
+      { name: 'idwarehouse', type: 'VARCHAR(255)', source: 'idwarehouse' },
+      { name: 'name', type: 'NVARCHAR(255)', source: 'name' }
+    ]
+  },
+  {
+    name: 'products',
+    webhooks: true,
+    history: ['price', 'stock'],
+    columns: [
+      { name: 'id', type: 'INT', key: true, source: 'idproduct' },
+      { name: 'idproduct', type: 'VARCHAR(255)', source: 'idproduct' },
+      { name: 'name', type: 'NVARCHAR(255)', source: 'name' },
+      { name: 'sku', type: 'VARCHAR(255)', source: 'sku', default: '' },
+      { name: 'barcode', type: 'VARCHAR(255)', source: 'barcode', default: '' },
+      { name: 'price', type: 'DECIMAL(10, 2)', source: 'price', default: 0 },
+      // Total stock over all warehouses, kept for existing reports
+      { name: 'stock', type: 'INT', value: product => sumLines(Array.isArray(product.stock) ? product.stock : [], 'stock') }
+    ],
+    children: [
+      {
+        // Picqer reports stock as a list with one entry per warehouse
+        table: 'product_stock',
+        from: 'stock',
+        parentKey: 'product_id',
+        columns: [
+          { name: 'product_id', type: 'INT', key: true },
+          { name: 'warehouse_id', type: 'INT', key: true, source: 'idwarehouse', references: 'warehouses (id)' },
+          { name: 'free_stock', type: 'INT', source: 'freestock', default: 0 },
+          { name: 'reserved_stock', type: 'INT', source: 'reserved', default: 0 },
+          { name: 'total_stock', type: 'INT', source: 'stock', default: 0 }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'picklists',
+    webhooks: true,
+    search: ['picklistid', 'reference'],
+    columns: [
+      { name: 'id', type: 'INT', key: true, source: 'idpicklist' },
+      { name: 'idpicklist', type: 'VARCHAR(255)', source: 'idpicklist' },
+      { name: 'status', type: 'VARCHAR(50)', source: 'status', default: '' },
+      { name: 'created', type: 'DATETIME', source: 'created' },
+      { name: 'completed', type: 'DATETIME', source: 'completed' },
+      { name: 'warehouse_id', type: 'INT', source: 'warehouse_id', default: 0 },
+      { name: 'picklistid', type: 'VARCHAR(255)', source: 'picklistid', default: '' },
+      { name: 'idorder', type: 'INT', source: 'idorder' },
+      { name: 'reference', type: 'NVARCHAR(255)', source: 'reference', default: '' },
+      { name: 'assigned_to_iduser', type: 'INT', source: 'assigned_to_iduser' },
+      { name: 'closed_by_iduser', type: 'INT', source: 'closed_by_iduser' },
+      { name: 'updated', type: 'DATETIME', source: 'updated' },
+      { name: 'closed_at', type: 'DATETIME', source: 'closed_at' },
+      { name: 'total_products', type: 'INT', value: picklist => picklist.totalproducts || sumLines(picklist.products, 'amount') },
+      { name: 'total_picked', type: 'INT', value: picklist => picklist.totalpicked || sumLines(picklist.products, 'amount_picked') }
+    ],
+    children: [
+      {
+        table: 'picklist_products',
+        from: 'products',
+        parentKey: 'picklist_id',
+        columns: [
+          { name: 'id', type: 'INT', key: true, source: 'idpicklist_product' },
+          { name: 'picklist_id', type: 'INT' },
+          { name: 'idproduct', type: 'INT', source: 'idproduct' },
+          { name: 'productcode', type: 'VARCHAR(255)', source: 'productcode', default: '' },
+          { name: 'name', type: 'NVARCHAR(255)', source: 'name', default: '' },
+          { name: 'amount', type: 'INT', source: 'amount', default: 0 },
+          { name: 'amount_picked', type: 'INT', source: 'amount_picked', default: 0 }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'orders',
+    webhooks: true,
+    search: ['orderid', 'reference', 'customer_name'],
+    columns: [
+      { name: 'id', type: 'INT', key: true, source: 'idorder' },
+      { name: 'idorder', type: 'VARCHAR(255)', source: 'idorder' },
+      { name: 'orderid', type: 'VARCHAR(255)', source: 'orderid', default: '' },
+      { name: 'reference', type: 'NVARCHAR(255)', source: 'reference', default: '' },
+      { name: 'idcustomer', type: 'INT', source: 'idcustomer' },
+      { name: 'customer_name', type: 'NVARCHAR(255)', value: order => order.deliveryname || order.invoicename || '' },
+      { name: 'status', type: 'VARCHAR(50)', source: 'status', default: '' },
+      { name: 'created', type: 'DATETIME', source: 'created' },
+      { name: 'updated', type: 'DATETIME', source: 'updated' },
+      { name: 'total_products', type: 'INT', value: order => sumLines(order.products, 'amount') },
+      { name: 'total_price', type: 'DECIMAL(12, 2)', value: order => sumLines(order.products, 'amount', 'price') }
+    ],
+    children: [
+      {
+        table: 'order_products',
+        from: 'products',
+        parentKey: 'order_id',
+        columns: [
+          { name: 'id', type: 'INT', key: true, source: 'idorder_product' },
+          { name: 'order_id', type: 'INT' },
+          { name: 'idproduct', type: 'INT', source: 'idproduct' },
+          { name: 'productcode', type: 'VARCHAR(255)', source: 'productcode', default: '' },
+          { name: 'name', type: 'NVARCHAR(255)', source: 'name', default: '' },
+          { name: 'amount', type: 'INT', source: 'amount', default: 0 },
+          { name: 'price', type: 'DECIMAL(10, 2)', source: 'price', default: 0 }
+        ]
+      }
+    ]
+  }
+];
+
+// Column types entities can declare. Storage adapters translate them to
+// the types of their database.
+const COLUMN_TYPES = ['INT', 'BIGINT', 'BIT', 'FLOAT', 'DATE', 'DATETIME', 'CHAR', 'VARCHAR', 'NVARCHAR', 'DECIMAL'];
+
+// Split a declared column type into its name, length and scale,
+// e.g. DECIMAL(10, 2) -> { name: 'DECIMAL', length: 10, scale: 2 }
+function parseColumnType(type) {
+  const match = /^(\w+)(?:\((\d+|MAX)(?:,\s*(\d+))?\))?$/i.exec(type || '');
+  if (!match || !COLUMN_TYPES.includes(match[1].toUpperCase())) {
+    throw new Error(`Unsupported column type: ${type}`);
+  }
+  
+  return {
+    name: match[1].toUpperCase(),
+    length: match[2] ? (match[2].toUpperCase() === 'MAX' ? 'MAX' : parseInt(match[2])) : null,
+    scale: match[3] ? parseInt(match[3]) : null
+  };
+}
+
+// Split a column reference into its table and column,
+// e.g. warehouses (id) -> { table: 'warehouses', column: 'id' }
+function parseReference(reference) {
+  const match = REFERENCE.exec(reference || '');
+  if (!match) {
+    throw new Error(`Invalid reference: ${reference}`);
+  }
+  
+  return { table: match[1], column: match[2] };
+}
+
+// Validate a table definition
+function normalizeTable(table, entityName) {
+  if (!IDENTIFIER.test(table.name || '')) {
+    throw new Error(`Invalid table name in entity ${entityName}: ${table.name}`);
+  }
+  
+  if (!Array.isArray(table.columns) || table.columns.length === 0) {
+    throw new Error(`Table ${table.name} has no columns`);
+  }
+  
+  const columns = table.columns.map(column => {
+    if (!IDENTIFIER.test(column.name || '')) {
+      throw new Error(`Invalid column name in table ${table.name}: ${column.name}`);
+    }
+    
+    if (column.references && !REFERENCE.test(column.references)) {
+      throw new Error(`Invalid reference on ${table.name}.${column.name}: ${column.references}`);
+    }
+    
+    parseColumnType(column.type);
+    
+    return {
+      ...column,
+      type: column.type.toUpperCase()
+    };
+  });
+  
+  const keys = columns.filter(column => column.key).map(column => column.name);
+  if (keys.length === 0) {
+    throw new Error(`Table ${table.name} has no key column`);
+  }
+  
+  if (table.parentKey && !columns.some(column => column.name === table.parentKey)) {
+    throw new Error(`Table ${table.name} has no column for its parent key ${table.parentKey}`);
+  }
+  
+  return {
+    ...table,
+    columns,
+    keys
+  };
+}
+
+// Validate an entity definition and fill in defaults
+function normalizeEntity(definition) {
+  if (!IDENTIFIER.test(definition.name || '')) {
+    throw new Error(`Invalid entity name: ${definition.name}`);
+  }
+  
+  if (RESERVED_NAMES.includes(definition.name)) {
+    throw new Error(`Entity name ${definition.name} is reserved for the API`);
+  }
+  
+  const table = normalizeTable({
+    name: definition.table || definition.name,
+    columns: definition.columns
+  }, definition.name);
+  
+  if (table.keys.length !== 1) {
+    throw new Error(`Entity ${definition.name} needs exactly one key column`);
+  }
+  
+  const search = definition.search || table.columns.filter(column => column.name === 'name').map(column => column.name);
+  for (const name of search) {
+    if (!table.columns.some(column => column.name === name)) {
+      throw new Error(`Entity ${definition.name} searches unknown column ${name}`);
+    }
+  }
+  
+  const history = definition.history || [];
+  for (const name of history) {
+    if (name === table.keys[0] || !table.columns.some(column => column.name === name)) {
+      throw new Error(`Entity ${definition.name} keeps history of unknown column ${name}`);
+    }
+  }
+  
+  return {
+    name: definition.name,
+    label: definition.label || definition.name.charAt(0).toUpperCase() + definition.name.slice(1).replace(/_/g, ' '),
+    endpoint: definition.endpoint || definition.name,
+    incremental: definition.incremental !== false,
+    // Picqer filter for records changed since a date
+    updatedFilter: definition.updatedFilter || 'updated_after',
+    webhooks: definition.webhooks === true,
+    table: table.name,
+    columns: table.columns,
+    key: table.keys[0],
+    search,
+    history,
+    historyTable: history.length > 0 ? `${table.name}_history` : null,
+    children: (definition.children || []).map(child => {
+      if (!child.from || !child.parentKey) {
+        throw new Error(`Child table ${child.table} of entity ${definition.name} needs from and parentKey`);
+      }
+      
+      return normalizeTable({
+        name: child.table,
+        from: child.from,
+        parentKey: child.parentKey,
+        columns: child.columns
+      }, definition.name);
+    })
+  };
+}
+
+// Read custom entity definitions from the config file
+function loadCustomEntities(env) {
+  const file = path.resolve(env.ENTITY_CONFIG_FILE || 'entities.json');
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const definitions = Array.isArray(config) ? config : config.entities || [];
+  
+  for (const definition of definitions) {
+    for (const column of [...(definition.columns || []), ...(definition.children || []).flatMap(child => child.columns || [])]) {
+      if (column.value !== undefined) {
+        throw new Error(`Column ${column.name} of entity ${definition.name}: computed values are only available to built-in entities`);
+      }
+    }
+  }
+  
+  logger.info(`Loaded ${definitions.length} custom entities from ${file}`);
+  return definitions;
+}
+
+// All entities, built-in first, validated and in sync order.
+// An invalid custom entity config stops startup rather than syncing half of it.
+function loadEntities(env = process.env) {
+  const entities = [];
+  const tables = new Set();
+  
+  for (const definition of [...builtInEntities, ...loadCustomEntities(env)]) {
+    const entity = normalizeEntity(definition);
+    
+    if (entities.some(existing => existing.name === entity.name)) {
+      throw new Error(`Duplicate entity: ${entity.name}`);
+    }
+    
+    for (const table of [entity.table, entity.historyTable, ...entity.children.map(child => child.name)].filter(name => name)) {
+      if (tables.has(table)) {
+        throw new Error(`Table ${table} is used by more than one entity`);
+      }
+      tables.add(table);
+    }
+    
+    entities.push(entity);
+  }
+  
+  return entities;
+}
+
+// Names of the other entities whose tables the tables of an entity reference
+function entityDependencies(entity, entities) {
+  const referenced = [{ columns: entity.columns }, ...entity.children]
+    .flatMap(table => table.columns.filter(column => column.references))
+    .map(column => parseReference(column.references).table);
+  
+  return entities
+    .filter(other => other.name !== entity.name && referenced.includes(other.table))
+    .map(other => other.name);
+}
+
+// All tables of the given entities, parents before their children
+function entityTables(entities) {
+  return entities.flatMap(entity => [
+    { name: entity.table, columns: entity.columns, keys: [entity.key] },
+    ...entity.children
+  ]);
+}
+
+// Column definitions for CREATE TABLE, in the types of the given storage.
+// Shared by table creation and the staging tables used by full syncs, so a
+// staging table always has the same shape as the table it replaces.
+// Foreign keys are left unnamed: staging tables carry the same constraints
+// and names must be unique per schema.
+function tableColumnsDdl(table, storage) {
+  const columns = table.columns.map(column => [
+    column.name,
+    storage.columnType(column.type),
+    column.key ? 'NOT NULL' : '',
+    column.references ? `REFERENCES ${column.references}` : ''
+  ].filter(part => part).join(' '));
+  
+  return [
+    ...columns,
+    `sync_date ${storage.columnType('DATETIME')} DEFAULT ${storage.now()}`,
+    `PRIMARY KEY (${table.keys.join(', ')})`
+  ].join(',\n    ');
+}
+
+// Read a (dotted) field from a record
+function readField(record, source) {
+  return source.split('.').reduce((value, field) => (value == null ? undefined : value[field]), record);
+}
+
+// Map a Picqer record to a row of the given columns
+function mapRow(columns, record) {
+  const row = {};
+  
+  for (const column of columns) {
+    let value = column.value ? column.value(record) : (column.source ? readField(record, column.source) : undefined);
+    
+    if (value === undefined || value === null) {
+      value = column.default !== undefined ? column.default : null;
+    }
+    
+    if (value !== null && (column.type === 'DATETIME' || column.type === 'DATE')) {
+      value = new Date(value);
+    }
+    
+    row[column.name] = value;
+  }
+  
+  return row;
+}
+
+// Map a Picqer record to its entity row and the rows of its child tables
+function mapRecord(entity, record) {
+  const row = mapRow(entity.columns, record);
+  const children = {};
+  
+  for (const child of entity.children) {
+    const lines = readField(record, child.from);
+    
+    children[child.name] = (Array.isArray(lines) ? lines : []).map(line => ({
+      ...mapRow(child.columns, line),
+      [child.parentKey]: row[entity.key]
+    }));
+  }
+  
+  return { row, children };
+}
+
+module.exports = {
+  loadEntities,
+  entityDependencies,
+  entityTables,
+  tableColumnsDdl,
+  parseColumnType,
+  parseReference,
+  mapRecord
+};
@@ -0,0 +1,99 @@
+/**
+ * Live Events
+ *
+ * Pushes events to browsers over Server-Sent Events (GET /api/events), so
+ * the dashboard follows syncs as they happen instead of polling:
+ * - sync.started, sync.progress, sync.completed and sync.failed for every
+ *   entity sync
+ * - job.updated whenever a sync or reconciliation job is queued, started,
+ *   asked to cancel or finished
+ *
+ * Every event has an increasing id. The latest events are kept in memory
+ * (EVENTS_REPLAY_SIZE, default 200), so a client that reconnects with a
+ * Last-Event-ID header gets the events it missed. A comment is sent every
+ * EVENTS_HEARTBEAT_SECONDS (default 25) to keep proxies from closing idle
+ * streams.
+ */
+
+const { logger } = require('./logger');
+
+class EventStream {
+  constructor({ replaySize = 200, heartbeatSeconds = 25 } = {}) {
+    this.replaySize = replaySize;
+    this.heartbeatSeconds = heartbeatSeconds;
+    this.clients = new Set();
+    this.recent = [];
+    this.lastId = 0;
+    this.heartbeat = null;
+  }
+  
+  // Stream events to an HTTP response until the client disconnects.
+  // lastEventId: id of the last event the client received, to replay the rest.
+  subscribe(req, res, lastEventId = null) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stops nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    
+    const after = parseInt(lastEventId);
+    if (!Number.isNaN(after)) {
+      for (const event of this.recent.filter(recentEvent => recentEvent.id > after)) {
+        res.write(event.text);
+      }
+    }
+    
+    this.clients.add(res);
+    this.startHeartbeat();
+    logger.debug(`Event stream opened (${this.clients.size} open)`);
+    
+    req.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+      logger.debug(`Event stream closed (${this.clients.size} open)`);
+    });
+  }
+  
+  // Send an event to every connected client
+  publish(type, data) {
+    const id = ++this.lastId;
+    const text = `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ ...data, time: new Date().toISOString() })}\n\n`;
+    
+    this.recent.push({ id, text });
+    if (this.recent.length > this.replaySize) {
+      this.recent.shift();
+    }
+    
+    for (const client of this.clients) {
+      client.write(text);
+    }
+  }
+  
+  startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+    
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        client.write(': heartbeat\n\n');
+      }
+    }, this.heartbeatSeconds * 1000);
+    // An open stream never keeps the process alive on its own
+    this.heartbeat.unref();
+  }
+  
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+}
+
+module.exports = {
+  EventStream
+};
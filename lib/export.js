@@ -0,0 +1,38 @@
+/**
+ * Export Formats
+ *
+ * Formats for exporting entity tables (GET /api/export/:entity): CSV with a
+ * header row, and NDJSON with one JSON record per line. Both are written
+ * row by row, so exports can be streamed.
+ */
+
+// Text of a value for a CSV cell
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  
+  // Quote cells with separators, quotes or line breaks; quotes are doubled
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: names => `${names.map(csvValue).join(',')}\r\n`,
+    row: (names, row) => `${names.map(name => csvValue(row[name])).join(',')}\r\n`
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    header: () => '',
+    row: (names, row) => `${JSON.stringify(Object.fromEntries(names.map(name => [name, row[name] === undefined ? null : row[name]])))}\n`
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS
+};
@@ -0,0 +1,159 @@
+/**
+ * Change History
+ *
+ * Keeps the history of selected columns of an entity (its `history` columns
+ * in the registry) as a slowly changing dimension (type 2) in a
+ * <table>_history table. Every version of a record is a row valid from
+ * valid_from until valid_to; the current version has no valid_to.
+ * Records that disappear from Picqer get a tombstone: a version with
+ * deleted set and no values, which is closed again if the record returns.
+ *
+ * Versions are derived by comparing the entity table with the open versions
+ * after each sync, so a change is dated to the sync (or webhook) that saw
+ * it. Deletions are only noticed by full syncs and deleted webhooks, as
+ * incremental syncs never see the records that are gone.
+ */
+
+const { formatRow } = require('./query');
+
+// Table definition of the history table of an entity
+function historyTableDefinition(entity) {
+  const keyColumn = entity.columns.find(column => column.name === entity.key);
+  const tracked = entity.columns
+    .filter(column => entity.history.includes(column.name))
+    .map(column => ({ name: column.name, type: column.type }));
+  
+  return {
+    name: entity.historyTable,
+    columns: [
+      { name: keyColumn.name, type: keyColumn.type, key: true },
+      ...tracked,
+      { name: 'valid_from', type: 'DATETIME', key: true },
+      { name: 'valid_to', type: 'DATETIME' },
+      { name: 'deleted', type: 'BIT' }
+    ],
+    keys: [keyColumn.name, 'valid_from']
+  };
+}
+
+// Records and reads the history of entities
+class HistoryRecorder {
+  constructor(storage) {
+    this.storage = storage;
+  }
+  
+  // Create the history table of an entity, or add newly tracked columns
+  async createTable(entity) {
+    const definition = historyTableDefinition(entity);
+    
+    await this.storage.createTable(definition.name, definition);
+    await this.storage.addMissingColumns(definition);
+  }
+  
+  // Record new versions for records whose tracked columns changed since
+  // their open version. options: { ids (only these records, default all),
+  // tombstones (record deletions for records missing from the entity table;
+  // only when the table holds everything, i.e. after a full sync) }.
+  // Returns the number of new versions and deletions recorded.
+  async record(entity, { ids = null, tombstones = false } = {}) {
+    if (ids !== null && ids.length === 0) {
+      return { versions: 0, deleted: 0 };
+    }
+    
+    const table = entity.historyTable;
+    const key = entity.key;
+    const datetime = this.storage.columnType('DATETIME');
+    const bit = this.storage.columnType('BIT');
+    
+    const params = {
+      now: new Date(),
+      isDeleted: true,
+      notDeleted: false
+    };
+    const idNames = (ids || []).map((id, index) => {
+      params[`id${index}`] = id;
+      return `@id${index}`;
+    });
+    const inScope = alias => (ids === null ? '' : `AND ${alias}.${key} IN (${idNames.join(', ')})`);
+    
+    // Null-safe comparison of the tracked columns
+    const changed = entity.history
+      .map(name => `(live.${name} <> ${table}.${name} OR (live.${name} IS NULL AND ${table}.${name} IS NOT NULL) OR (live.${name} IS NOT NULL AND ${table}.${name} IS NULL))`)
+      .join(' OR ');
+    
+    return this.storage.transaction(async tx => {
+      // Close the open versions of records that changed or came back after a deletion
+      await tx.query(`
+        UPDATE ${table} SET valid_to = @now
+        WHERE valid_to IS NULL ${inScope(table)}
+          AND EXISTS (
+            SELECT 1 FROM ${entity.table} live
+            WHERE live.${key} = ${table}.${key}
+              AND (${table}.deleted = @isDeleted OR ${changed})
+          )
+      `, params);
+      
+      let deleted = 0;
+      if (tombstones) {
+        // Tombstones for records that are gone, then close their last version
+        const result = await tx.query(`
+          INSERT INTO ${table} (${key}, valid_from, deleted)
+          SELECT history.${key}, CAST(@now AS ${datetime}), CAST(@isDeleted AS ${bit})
+          FROM ${table} history
+          WHERE history.valid_to IS NULL AND history.deleted = @notDeleted ${inScope('history')}
+            AND NOT EXISTS (SELECT 1 FROM ${entity.table} live WHERE live.${key} = history.${key})
+        `, params);
+        deleted = result.rowCount;
+        
+        await tx.query(`
+          UPDATE ${table} SET valid_to = @now
+          WHERE valid_to IS NULL AND deleted = @notDeleted ${inScope(table)}
+            AND NOT EXISTS (SELECT 1 FROM ${entity.table} live WHERE live.${key} = ${table}.${key})
+        `, params);
+      }
+      
+      // Open a version for every record without one: new, changed or returned records
+      const columns = [key, ...entity.history];
+      const result = await tx.query(`
+        INSERT INTO ${table} (${columns.join(', ')}, valid_from, deleted)
+        SELECT ${columns.map(name => `live.${name}`).join(', ')}, CAST(@now AS ${datetime}), CAST(@notDeleted AS ${bit})
+        FROM ${entity.table} live
+        WHERE NOT EXISTS (
+          SELECT 1 FROM ${table} history
+          WHERE history.${key} = live.${key} AND history.valid_to IS NULL
+        ) ${inScope('live')}
+      `, params);
+      
+      return {
+        versions: result.rowCount,
+        deleted
+      };
+    });
+  }
+  
+  // All versions of a record, oldest first
+  async timeline(entity, id) {
+    const result = await this.storage.query(`
+      SELECT * FROM ${entity.historyTable}
+      WHERE ${entity.key} = @id
+      ORDER BY valid_from
+    `, { id });
+    
+    const tracked = entity.columns.filter(column => entity.history.includes(column.name));
+    
+    return result.rows.map(row => {
+      const values = formatRow(tracked, row);
+      
+      return {
+        validFrom: row.valid_from,
+        validTo: row.valid_to,
+        deleted: Boolean(row.deleted),
+        ...Object.fromEntries(tracked.map(column => [column.name, values[column.name]]))
+      };
+    });
+  }
+}
+
+module.exports = {
+  HistoryRecorder
+};
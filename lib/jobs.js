@@ -0,0 +1,291 @@
+/**
+ * Sync Jobs
+ *
+ * Every sync runs as a job with its own id, so callers can follow its
+ * progress and cancel it. Jobs lock the entities they sync: a job that
+ * conflicts with a running job is either rejected or queued until the
+ * entities it needs are free. Locks are per tenant, so jobs of different
+ * tenants never wait for each other.
+ *
+ * The manager emits 'job' (job) whenever a job is queued, started, asked to
+ * cancel or finished, and 'progress' (job, entity) whenever the phase or
+ * counters of one of its entity syncs change.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+// Number of finished jobs kept in memory for status lookups
+const FINISHED_JOB_LIMIT = 100;
+
+// Thrown inside a sync when its job has been cancelled
+class SyncCancelledError extends Error {
+  constructor() {
+    super('Sync cancelled');
+    this.name = 'SyncCancelledError';
+  }
+}
+
+// Thrown when a job needs entities that are locked by another job
+class JobConflictError extends Error {
+  constructor(entity, conflictingJob) {
+    super(`A ${entity} ${conflictingJob.mode === 'reconcile' ? 'reconciliation' : 'sync'} is already running (job ${conflictingJob.id})`);
+    this.name = 'JobConflictError';
+    this.entity = entity;
+    this.conflictingJob = conflictingJob;
+  }
+}
+
+// A single sync job and its progress per entity
+class SyncJob {
+  constructor({ tenant = null, target, entities, mode, trigger, run }, onProgress = () => {}) {
+    this.id = crypto.randomUUID();
+    this.tenant = tenant;
+    this.target = target;
+    this.entities = entities;
+    this.mode = mode;
+    this.trigger = trigger;
+    this.run = run;
+    this.status = 'queued';
+    this.cancelRequested = false;
+    this.createdAt = new Date();
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.result = null;
+    this.error = null;
+    this.progress = {};
+    // Called with the job and entity whenever an entity's progress changes
+    this.onProgress = onProgress;
+    // Correlation ids of where the job was created (e.g. the HTTP request)
+    this.logContext = logger.context();
+    
+    // Resolves with the job once it has finished, failed or been cancelled
+    this.finished = new Promise(resolve => {
+      this.resolveFinished = resolve;
+    });
+    
+    for (const entity of entities) {
+      this.progress[entity] = {
+        phase: 'pending',
+        pagesFetched: 0,
+        rowsFetched: 0,
+        rowsWritten: 0,
+        rowsFailed: 0,
+        // Estimate of the rows a sync will fetch, when known
+        rowsExpected: null
+      };
+    }
+  }
+  
+  // Set the current phase of an entity sync
+  setPhase(entity, phase) {
+    this.progress[entity].phase = phase;
+    this.onProgress(this, entity);
+  }
+  
+  // Update progress counters of an entity sync
+  updateProgress(entity, counters) {
+    Object.assign(this.progress[entity], counters);
+    this.onProgress(this, entity);
+  }
+  
+  // Key of the lock on an entity, per tenant
+  lockKey(entity) {
+    return this.tenant === null ? entity : `${this.tenant}:${entity}`;
+  }
+  
+  // Called by syncs at safe points (e.g. between pages) to stop a cancelled job
+  throwIfCancelled() {
+    if (this.cancelRequested) {
+      throw new SyncCancelledError();
+    }
+  }
+  
+  toJSON() {
+    return {
+      id: this.id,
+      tenant: this.tenant,
+      target: this.target,
+      entities: this.entities,
+      mode: this.mode,
+      trigger: this.trigger,
+      status: this.status,
+      cancelRequested: this.cancelRequested,
+      createdAt: this.createdAt.toISOString(),
+      startedAt: this.startedAt ? this.startedAt.toISOString() : null,
+      finishedAt: this.finishedAt ? this.finishedAt.toISOString() : null,
+      progress: this.progress,
+      result: this.result,
+      error: this.error
+    };
+  }
+}
+
+// Creates, schedules and tracks sync jobs
+class SyncJobManager extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+    this.queue = [];
+    this.locks = new Map();
+  }
+  
+  // Create a job and start it, or queue it when options.queue is set and
+  // its entities are locked. Throws JobConflictError otherwise.
+  // definition: { tenant, target, entities, mode, trigger, run(job) }
+  create(definition, options = {}) {
+    const job = new SyncJob(definition, (progressJob, entity) => this.emit('progress', progressJob, entity));
+    const conflict = this.findConflict(job);
+    
+    if (conflict && !options.queue) {
+      throw new JobConflictError(conflict.entity, conflict.job);
+    }
+    
+    this.jobs.set(job.id, job);
+    
+    if (conflict) {
+      logger.info(`Queued ${job.target} sync job ${job.id} behind job ${conflict.job.id}`, { jobId: job.id });
+      this.queue.push(job);
+      this.emit('job', job);
+    } else {
+      this.start(job);
+    }
+    
+    return job;
+  }
+  
+  // Find a running job holding a lock on one of the job's entities
+  findConflict(job) {
+    for (const entity of job.entities) {
+      const lockedBy = this.locks.get(job.lockKey(entity));
+      if (lockedBy) {
+        return { entity, job: lockedBy };
+      }
+    }
+    
+    return null;
+  }
+  
+  // Lock the job's entities and run it. The job runs with its own log
+  // context, also when started from the end of another job.
+  start(job) {
+    logger.inContext({ ...job.logContext, jobId: job.id }, () => this.run(job));
+  }
+  
+  run(job) {
+    for (const entity of job.entities) {
+      this.locks.set(job.lockKey(entity), job);
+    }
+    
+    job.status = 'running';
+    job.startedAt = new Date();
+    logger.info(`Started ${job.target} sync job ${job.id}`);
+    this.emit('job', job);
+    
+    Promise.resolve()
+      .then(() => job.run(job))
+      .then(result => {
+        job.result = result;
+        
+        if (job.cancelRequested) {
+          job.status = 'cancelled';
+        } else {
+          job.status = result && result.success === false ? 'failed' : 'completed';
+          job.error = result && result.error ? result.error : null;
+        }
+      })
+      .catch(error => {
+        if (error instanceof SyncCancelledError) {
+          job.status = 'cancelled';
+        } else {
+          logger.error(`Error in sync job ${job.id}`, { error: error.message });
+          job.status = 'failed';
+        }
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.finishedAt = new Date();
+        
+        for (const entity of job.entities) {
+          if (this.locks.get(job.lockKey(entity)) === job) {
+            this.locks.delete(job.lockKey(entity));
+          }
+        }
+        
+        logger.info(`Sync job ${job.id} ${job.status}`);
+        job.resolveFinished(job);
+        this.emit('job', job);
+        this.pruneFinishedJobs();
+        this.startQueuedJobs();
+      });
+  }
+  
+  // Start queued jobs whose entities are free, oldest first
+  startQueuedJobs() {
+    for (const job of [...this.queue]) {
+      if (!this.findConflict(job)) {
+        this.queue.splice(this.queue.indexOf(job), 1);
+        this.start(job);
+      }
+    }
+  }
+  
+  // Cancel a job. Queued jobs are dropped right away, running jobs stop at
+  // their next safe point. Returns the job, or null when it is unknown.
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    
+    if (job.status === 'queued') {
+      this.queue.splice(this.queue.indexOf(job), 1);
+      job.status = 'cancelled';
+      job.cancelRequested = true;
+      job.finishedAt = new Date();
+      job.resolveFinished(job);
+      this.emit('job', job);
+    } else if (job.status === 'running') {
+      logger.info(`Cancellation requested for sync job ${job.id}`, { jobId: job.id });
+      job.cancelRequested = true;
+      this.emit('job', job);
+    }
+    
+    return job;
+  }
+  
+  // Look up a job by id
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+  
+  // All known jobs, newest first
+  list() {
+    return Array.from(this.jobs.values()).reverse();
+  }
+  
+  // Whether any job is running, or any job of the given tenant
+  isBusy(tenant) {
+    if (tenant === undefined) {
+      return this.locks.size > 0;
+    }
+    
+    return Array.from(this.locks.values()).some(job => job.tenant === tenant);
+  }
+  
+  // Forget the oldest finished jobs beyond the retention limit
+  pruneFinishedJobs() {
+    const finished = Array.from(this.jobs.values()).filter(job => job.finishedAt);
+    
+    for (const job of finished.slice(0, Math.max(finished.length - FINISHED_JOB_LIMIT, 0))) {
+      this.jobs.delete(job.id);
+    }
+  }
+}
+
+module.exports = {
+  SyncJobManager,
+  SyncCancelledError,
+  JobConflictError
+};
@@ -0,0 +1,143 @@
+/**
+ * Logging
+ *
+ * Structured logs: every entry is a JSON object on one line, with a time,
+ * level, message, the fields passed with it and the correlation ids of the
+ * context it was logged in. LOG_LEVEL (debug, info, warn or error; default
+ * info) sets the lowest level that is logged.
+ *
+ * Correlation ids follow the work through async calls: HTTP requests get a
+ * requestId, sync jobs a jobId and entity syncs the runId of their sync_runs
+ * row, so every line of a run (including failed inserts deep inside a batch
+ * writer) can be found back. The latest entries are kept in memory
+ * (LOG_BUFFER_SIZE, default 2000) for the log viewer (GET /api/logs).
+ * Stack traces are only written to the output, never kept for the viewer.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Fields to JSON-friendly values; errors become their message and stack
+function serializeFields(fields) {
+  const serialized = {};
+  
+  for (const [name, value] of Object.entries(fields)) {
+    if (value instanceof Error) {
+      serialized[name] = value.message;
+      serialized.stack = value.stack;
+    } else if (value !== undefined) {
+      serialized[name] = value;
+    }
+  }
+  
+  return serialized;
+}
+
+class Logger {
+  constructor({ level = 'info', bufferSize = 2000, output = process.stdout, errorOutput = process.stderr } = {}) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level: ${level}. Use one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    
+    this.level = level;
+    this.bufferSize = bufferSize;
+    this.output = output;
+    this.errorOutput = errorOutput;
+    this.buffer = [];
+    this.contextStorage = new AsyncLocalStorage();
+  }
+  
+  // Correlation ids of the current context
+  context() {
+    return this.contextStorage.getStore() || {};
+  }
+  
+  // Run fn with ids added to the current context
+  withContext(ids, fn) {
+    return this.contextStorage.run({ ...this.context(), ...ids }, fn);
+  }
+  
+  // Run fn with only the given ids, for work that outlives the context it
+  // was started from (e.g. a queued job started when another job finishes)
+  inContext(ids, fn) {
+    return this.contextStorage.run({ ...ids }, fn);
+  }
+  
+  enabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+  
+  log(level, message, fields = {}) {
+    if (!this.enabled(level)) {
+      return;
+    }
+    
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      message,
+      ...this.context(),
+      ...serializeFields(fields)
+    };
+    
+    const { stack, ...buffered } = entry;
+    this.buffer.push(buffered);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+    
+    const output = level === 'error' || level === 'warn' ? this.errorOutput : this.output;
+    output.write(`${JSON.stringify(entry)}\n`);
+  }
+  
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+  
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+  
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+  
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+  
+  // Buffered entries, newest first. filters: { level (the lowest level),
+  // and correlation ids such as runId, jobId, requestId }; limit caps the result.
+  entries({ level = null, limit = 200, ...ids } = {}) {
+    const lowest = level ? LOG_LEVELS.indexOf(level) : 0;
+    const matches = [];
+    
+    for (let index = this.buffer.length - 1; index >= 0 && matches.length < limit; index--) {
+      const entry = this.buffer[index];
+      
+      if (LOG_LEVELS.indexOf(entry.level) < lowest) {
+        continue;
+      }
+      if (Object.entries(ids).some(([name, value]) => String(entry[name]) !== String(value))) {
+        continue;
+      }
+      
+      matches.push(entry);
+    }
+    
+    return matches;
+  }
+}
+
+// The logger of the middleware, configured from the environment
+const logger = new Logger({
+  level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+  bufferSize: parseInt(process.env.LOG_BUFFER_SIZE || '2000')
+});
+
+module.exports = {
+  LOG_LEVELS,
+  Logger,
+  logger
+};
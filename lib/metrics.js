@@ -0,0 +1,196 @@
+/**
+ * Metrics
+ *
+ * Counters, gauges and histograms exposed in the Prometheus text format
+ * (GET /metrics). Metrics are kept in memory and start from zero on every
+ * restart, as Prometheus expects of counters; values that have to survive a
+ * restart (such as the time of the last successful sync) are read from the
+ * database by a collector when the metrics are scraped.
+ */
+
+const { logger } = require('./logger');
+
+// Default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900];
+
+// Escape a label value: backslashes, quotes and line breaks
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Text of a label set, e.g. {entity="products",status="success"}
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Text of a sample value; Prometheus spells infinity and NaN its own way
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Base of all metric types: a name, help text and values per label set
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+  
+  // Values are kept by their formatted label set
+  entry(labels, create) {
+    const key = formatLabels(labels);
+    
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels, ...create() });
+    }
+    return this.values.get(key);
+  }
+  
+  reset() {
+    this.values.clear();
+  }
+  
+  header() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+  }
+  
+  format() {
+    return [
+      ...this.header(),
+      ...Array.from(this.values.values()).map(entry => `${this.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`)
+    ].join('\n');
+  }
+}
+
+// A value that only goes up
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+  
+  inc(labels = {}, amount = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+// A value that goes up and down
+class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+  
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+// Observations counted in cumulative buckets, with their sum and count
+class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+  
+  observe(labels, value) {
+    const entry = this.entry(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index]++;
+      }
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+  
+  format() {
+    const lines = this.header();
+    
+    for (const entry of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+    
+    return lines.join('\n');
+  }
+}
+
+// A set of metrics, rendered together
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+  
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+  
+  gauge(name, help) {
+    return this.register(new Gauge(name, help));
+  }
+  
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+  
+  register(metric) {
+    if (this.metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Duplicate metric: ${metric.name}`);
+    }
+    
+    this.metrics.push(metric);
+    return metric;
+  }
+  
+  // Register a function that updates gauges right before every scrape
+  collect(collector) {
+    this.collectors.push(collector);
+  }
+  
+  // All metrics in the Prometheus text exposition format.
+  // A failing collector leaves its gauges as they were, so the other
+  // metrics are still served (e.g. while the database is unreachable).
+  async render() {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        logger.error('Error collecting metrics', { error: error.message });
+      }
+    }
+    
+    return `${this.metrics.map(metric => metric.format()).join('\n')}\n`;
+  }
+}
+
+// Content type of the Prometheus text format
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  METRICS_CONTENT_TYPE,
+  MetricsRegistry
+};
@@ -0,0 +1,184 @@
+/**
+ * Schema Migrations
+ *
+ * Schema changes live in numbered SQL files in a directory per database
+ * client (e.g. migrations/mssql/002_widen_sync_status_status.sql) and are
+ * applied in order. Applied versions are recorded in schema_migrations, so
+ * each migration runs once. Statements can be split into batches with GO
+ * lines, as in SSMS.
+ *
+ * All pending migrations are applied in one transaction at startup: either
+ * the schema ends up at the latest version or nothing changes. Entity tables
+ * are created from the entity registry before the migrations run, so a
+ * migration may alter an entity table (e.g. widen picklists.status).
+ *
+ * Installs created before migrations existed have no schema_migrations table
+ * but do have sync_status. They are adopted at the baseline (001), which only
+ * creates what is missing and leaves existing tables and data alone.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+
+// Read all migration files in a directory, ordered by version
+function loadMigrations(dir) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => MIGRATION_FILE.test(file))
+    .map(file => {
+      const [, version, name] = MIGRATION_FILE.exec(file);
+      const text = fs.readFileSync(path.join(dir, file), 'utf8');
+      
+      return {
+        version: parseInt(version),
+        name,
+        file,
+        sql: text,
+        checksum: crypto.createHash('sha256').update(text).digest('hex')
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+  
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file} and ${migrations[i].file}`);
+    }
+  }
+  
+  return migrations;
+}
+
+// Split a migration into batches on GO lines
+function splitBatches(text) {
+  return text
+    .split(/^\s*GO\s*$/im)
+    .map(batch => batch.trim())
+    .filter(batch => batch.replace(/^--.*$/gm, '').trim());
+}
+
+// Applies pending migrations to a database, through a storage adapter
+class Migrator {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.dir = options.dir || path.join(MIGRATIONS_DIR, storage.dialect);
+  }
+  
+  // Applied migrations by version, empty when schema_migrations does not exist yet
+  async appliedMigrations() {
+    if (!await this.storage.tableExists('schema_migrations')) {
+      return new Map();
+    }
+    
+    const result = await this.storage.query('SELECT version, name, checksum FROM schema_migrations');
+    
+    return new Map(result.rows.map(row => [row.version, row]));
+  }
+  
+  // Whether this is an install from before migrations (tables but no schema_migrations)
+  async isUnversionedInstall() {
+    return !await this.storage.tableExists('schema_migrations') &&
+      await this.storage.tableExists('sync_status');
+  }
+  
+  // Migrations that have not been applied yet, in order.
+  // Warns about applied migrations whose file has changed since.
+  async pendingMigrations() {
+    const applied = await this.appliedMigrations();
+    const migrations = loadMigrations(this.dir);
+    
+    for (const migration of migrations) {
+      const record = applied.get(migration.version);
+      if (record && record.checksum !== migration.checksum) {
+        logger.warn(`Migration ${migration.file} was changed after it was applied`);
+      }
+    }
+    
+    return migrations.filter(migration => !applied.has(migration.version));
+  }
+  
+  // Apply all pending migrations in one transaction and return them
+  async migrate() {
+    const unversioned = await this.isUnversionedInstall();
+    const pending = await this.pendingMigrations();
+    
+    if (pending.length === 0) {
+      logger.info('Database schema is up to date');
+      return [];
+    }
+    
+    if (unversioned) {
+      logger.info('Existing database without schema_migrations found, adopting it as the baseline');
+    }
+    
+    const storage = this.storage;
+    const createTable = !await storage.tableExists('schema_migrations');
+    
+    try {
+      await storage.transaction(async tx => {
+        if (createTable) {
+          await tx.exec(`
+            CREATE TABLE schema_migrations (
+              version ${storage.columnType('INT')} PRIMARY KEY,
+              name ${storage.columnType('NVARCHAR(255)')} NOT NULL,
+              checksum ${storage.columnType('CHAR(64)')} NOT NULL,
+              applied_at ${storage.columnType('DATETIME')} NOT NULL DEFAULT ${storage.now()}
+            )
+          `);
+        }
+        
+        for (const migration of pending) {
+          logger.info(`Applying migration ${migration.file}`);
+          
+          for (const batch of splitBatches(migration.sql)) {
+            await tx.exec(batch);
+          }
+          
+          await tx.query(`
+            INSERT INTO schema_migrations (version, name, checksum)
+            VALUES (@version, @name, @checksum)
+          `, {
+            version: migration.version,
+            name: migration.name,
+            checksum: migration.checksum
+          });
+        }
+      });
+    } catch (error) {
+      throw new Error(`Migration failed, no changes were applied: ${error.message}`);
+    }
+    
+    logger.info(`Applied ${pending.length} migrations, schema is at version ${pending[pending.length - 1].version}`);
+    return pending;
+  }
+  
+  // Describe the pending migrations and their SQL without applying anything
+  async dryRun() {
+    const unversioned = await this.isUnversionedInstall();
+    const pending = await this.pendingMigrations();
+    
+    if (pending.length === 0) {
+      return '-- Database schema is up to date, no pending migrations';
+    }
+    
+    const lines = [`-- ${pending.length} pending migrations`];
+    if (unversioned) {
+      lines.push('-- Existing database without schema_migrations, it will be adopted as the baseline');
+    }
+    
+    for (const migration of pending) {
+      lines.push('', `-- Migration ${migration.file}`, ...splitBatches(migration.sql).map(batch => `${batch}\nGO`));
+    }
+    
+    return lines.join('\n');
+  }
+}
+
+module.exports = {
+  Migrator,
+  loadMigrations,
+  splitBatches
+};
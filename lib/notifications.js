@@ -0,0 +1,341 @@
+/**
+ * Notifications
+ *
+ * Alerts when syncs need attention, delivered to every configured channel:
+ * - sync failures, and a recovery notice once the entity syncs again
+ * - partial failures: more than NOTIFY_FAILED_ROWS_PERCENT (default 5) of
+ *   the rows written by a sync failed, child rows included
+ * - stale data: no successful sync of an entity for NOTIFY_STALE_HOURS
+ *   (off unless set); an entity that never synced is stale once the
+ *   service has been up that long
+ *
+ * Channels:
+ * - HTTP webhook (NOTIFY_WEBHOOK_URL, comma-separated for several), posting
+ *   a payload per NOTIFY_WEBHOOK_FORMAT: slack (default, also accepted by
+ *   most chat tools), teams (a message card) or json (the full alert)
+ * - email over SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER,
+ *   SMTP_PASSWORD) from NOTIFY_EMAIL_FROM to NOTIFY_EMAIL_TO
+ *
+ * Alerts are de-duplicated by key (e.g. sync_failed:products): while an
+ * alert is open it is repeated at most every NOTIFY_REPEAT_HOURS (default
+ * 6), so a failing schedule does not send a message every run. Open alerts
+ * are kept in memory; after a restart an alert that is still open is sent
+ * once more.
+ */
+
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const WEBHOOK_FORMATS = ['slack', 'teams', 'json'];
+
+// Message card colors per severity
+const SEVERITY_COLORS = {
+  error: 'D93F0B',
+  warning: 'FBCA04',
+  resolved: '2EA44F'
+};
+
+// Plain text of an alert: the message and its details, one per line
+function alertText(alert) {
+  const details = Object.entries(alert.details || {})
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `${name}: ${value}`);
+  
+  return [alert.message, ...details].join('\n');
+}
+
+// Posts alerts to an HTTP webhook
+class WebhookChannel {
+  constructor(url, format = 'slack') {
+    if (!WEBHOOK_FORMATS.includes(format)) {
+      throw new Error(`Unknown NOTIFY_WEBHOOK_FORMAT: ${format}. Use one of: ${WEBHOOK_FORMATS.join(', ')}`);
+    }
+    
+    this.url = url;
+    this.format = format;
+    this.name = `webhook ${new URL(url).host}`;
+  }
+  
+  payload(alert) {
+    switch (this.format) {
+      case 'teams':
+        return {
+          '@type': 'MessageCard',
+          '@context': 'https://schema.org/extensions',
+          summary: alert.title,
+          themeColor: SEVERITY_COLORS[alert.severity],
+          title: alert.title,
+          text: alertText(alert).replace(/\n/g, '  \n')
+        };
+      case 'json':
+        return {
+          text: `${alert.title}\n${alertText(alert)}`,
+          ...alert
+        };
+      default:
+        return {
+          text: `*${alert.title}*\n${alertText(alert)}`
+        };
+    }
+  }
+  
+  async send(alert) {
+    await axios.post(this.url, this.payload(alert), { timeout: 10000 });
+  }
+}
+
+// Sends alerts by email over SMTP
+class EmailChannel {
+  constructor(config) {
+    this.config = config;
+    this.name = `email ${config.to.join(', ')}`;
+    this.transport = null;
+  }
+  
+  async send(alert) {
+    // Loaded on demand, so nodemailer is only needed when email is configured
+    if (!this.transport) {
+      const nodemailer = require('nodemailer');
+      this.transport = nodemailer.createTransport(this.config.smtp);
+    }
+    
+    await this.transport.sendMail({
+      from: this.config.from,
+      to: this.config.to.join(', '),
+      subject: alert.title,
+      text: alertText(alert)
+    });
+  }
+}
+
+// Split a comma-separated setting
+function listSetting(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item);
+}
+
+// Notification settings and channels from the environment
+function notificationConfig(env = process.env) {
+  const channels = listSetting(env.NOTIFY_WEBHOOK_URL)
+    .map(url => new WebhookChannel(url, (env.NOTIFY_WEBHOOK_FORMAT || 'slack').toLowerCase()));
+  
+  const to = listSetting(env.NOTIFY_EMAIL_TO);
+  if (env.SMTP_HOST && to.length > 0) {
+    channels.push(new EmailChannel({
+      smtp: {
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT || '587'),
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined
+      },
+      from: env.NOTIFY_EMAIL_FROM || env.SMTP_USER,
+      to
+    }));
+  }
+  
+  return {
+    channels,
+    failedRowsPercent: parseFloat(env.NOTIFY_FAILED_ROWS_PERCENT || '5'),
+    staleHours: parseFloat(env.NOTIFY_STALE_HOURS || '0'),
+    repeatHours: parseFloat(env.NOTIFY_REPEAT_HOURS || '6')
+  };
+}
+
+// Raises and resolves alerts and delivers them to the channels
+class Notifier {
+  constructor({ channels = [], failedRowsPercent = 5, staleHours = 0, repeatHours = 6 } = {}) {
+    this.channels = channels;
+    this.failedRowsPercent = failedRowsPercent;
+    this.staleHours = staleHours;
+    this.repeatHours = repeatHours;
+    // Open alerts by key
+    this.open = new Map();
+    this.startedAt = new Date();
+  }
+  
+  // Open an alert, or repeat it when it has been open for the repeat interval.
+  // alert: { key, severity, title, message, details }
+  async raise(alert) {
+    const now = new Date();
+    const existing = this.open.get(alert.key);
+    
+    if (existing) {
+      existing.occurrences++;
+      existing.lastSeenAt = now;
+      
+      if (now - existing.lastSentAt < this.repeatHours * 60 * 60 * 1000) {
+        logger.debug(`Alert ${alert.key} is already open, not notifying again`);
+        return;
+      }
+    }
+    
+    const state = existing || {
+      ...alert,
+      openedAt: now,
+      occurrences: 1
+    };
+    state.lastSeenAt = now;
+    state.lastSentAt = now;
+    this.open.set(alert.key, state);
+    
+    await this.deliver({
+      ...alert,
+      details: {
+        ...alert.details,
+        occurrences: state.occurrences > 1 ? state.occurrences : null,
+        since: state.occurrences > 1 ? state.openedAt.toISOString() : null
+      }
+    });
+  }
+  
+  // Close an open alert and send a notice that it is resolved
+  async resolve(key, title, message) {
+    const existing = this.open.get(key);
+    if (!existing) {
+      return;
+    }
+    
+    this.open.delete(key);
+    await this.deliver({
+      key,
+      severity: 'resolved',
+      title,
+      message,
+      details: {
+        since: existing.openedAt.toISOString()
+      }
+    });
+  }
+  
+  // Send an alert to every channel; a failing channel is logged, never thrown.
+  // Returns the outcome per channel.
+  async deliver(alert) {
+    const notification = {
+      ...alert,
+      time: new Date().toISOString()
+    };
+    
+    return Promise.all(this.channels.map(async channel => {
+      try {
+        await channel.send(notification);
+        logger.info(`Sent ${alert.key} notification to ${channel.name}`);
+        return { channel: channel.name, success: true };
+      } catch (error) {
+        logger.error(`Error sending ${alert.key} notification to ${channel.name}`, { error: error.message });
+        return { channel: channel.name, success: false, error: error.message };
+      }
+    }));
+  }
+  
+  // Alerts for the outcome of an entity sync
+  async syncFinished(entity, result) {
+    if (result.cancelled) {
+      return;
+    }
+    
+    if (!result.success) {
+      await this.raise({
+        key: `sync_failed:${entity}`,
+        severity: 'error',
+        title: `${entity} sync failed`,
+        message: `The ${entity} sync failed: ${result.error}`,
+        details: {
+          entity,
+          runId: result.runId
+        }
+      });
+      return;
+    }
+    
+    await this.resolve(`sync_failed:${entity}`, `${entity} sync recovered`, `The ${entity} sync succeeded again`);
+    
+    // Failed rows include child rows, such as product stock lines, so they
+    // are compared with every row written, child rows included
+    const written = (result.count || 0) + Object.values(result.children || {}).reduce((total, count) => total + count, 0);
+    const attempted = written + (result.failed || 0);
+    const failedPercent = attempted > 0 ? (result.failed / attempted) * 100 : 0;
+    if (failedPercent > this.failedRowsPercent) {
+      await this.raise({
+        key: `partial_failure:${entity}`,
+        severity: 'warning',
+        title: `${entity} sync partially failed`,
+        message: `${result.failed} of ${attempted} ${entity} rows failed to write, child rows included (${failedPercent.toFixed(1)}%), more than ${this.failedRowsPercent}%`,
+        details: {
+          entity,
+          runId: result.runId,
+          firstFailures: (result.failedRows || []).slice(0, 5).map(row => `${row.id}: ${row.error}`).join('; ')
+        }
+      });
+    } else {
+      await this.resolve(`partial_failure:${entity}`, `${entity} sync complete again`, `All ${entity} rows were written in the last sync`);
+    }
+  }
+  
+  // Alerts for entities without a successful sync for too long.
+  // lastSuccess: { entity: Date of the last successful sync, or null }
+  async checkStaleness(lastSuccess, now = new Date()) {
+    if (!this.staleHours) {
+      return;
+    }
+    
+    for (const [entity, date] of Object.entries(lastSuccess)) {
+      // An entity that never synced gets the time to do so since startup
+      if (!date) {
+        const uptimeHours = (now - this.startedAt) / (60 * 60 * 1000);
+        
+        if (uptimeHours > this.staleHours) {
+          await this.raise({
+            key: `stale:${entity}`,
+            severity: 'warning',
+            title: `${entity} data is stale`,
+            message: `${entity} has never synced successfully, ${Math.floor(uptimeHours)} hours after startup`,
+            details: {
+              entity,
+              lastSuccess: null
+            }
+          });
+        }
+        continue;
+      }
+      
+      const ageHours = (now - date) / (60 * 60 * 1000);
+      
+      if (ageHours > this.staleHours) {
+        await this.raise({
+          key: `stale:${entity}`,
+          severity: 'warning',
+          title: `${entity} data is stale`,
+          message: `${entity} has not synced successfully for ${Math.floor(ageHours)} hours, more than ${this.staleHours}`,
+          details: {
+            entity,
+            lastSuccess: date.toISOString()
+          }
+        });
+      } else {
+        await this.resolve(`stale:${entity}`, `${entity} data is fresh again`, `${entity} synced successfully at ${date.toISOString()}`);
+      }
+    }
+  }
+  
+  // Channels and open alerts, for the status endpoint
+  getStatus() {
+    return {
+      channels: this.channels.map(channel => channel.name),
+      openAlerts: Array.from(this.open.values()).map(alert => ({
+        key: alert.key,
+        severity: alert.severity,
+        title: alert.title,
+        openedAt: alert.openedAt.toISOString(),
+        lastSentAt: alert.lastSentAt.toISOString(),
+        occurrences: alert.occurrences
+      }))
+    };
+  }
+}
+
+module.exports = {
+  Notifier,
+  notificationConfig
+};
@@ -0,0 +1,259 @@
+/**
+ * Picqer API Client
+ *
+ * Sends requests to the Picqer API of one account through a queue that
+ * keeps to its rate limit (requestsPerMinute), and pauses for a minute when
+ * Picqer reports the limit is used up. GET requests that fail on a network
+ * error, timeout, 429 or 5xx response are retried with exponential backoff,
+ * or after the delay in a Retry-After header.
+ *
+ * Attempts, their latency, errors and retries are counted in the metrics
+ * passed in config.metrics: picqerRequests, picqerRequestDuration,
+ * picqerErrors and picqerRetries.
+ */
+
+const axios = require('axios');
+const { logger } = require('./logger');
+
+// Simple Picqer API client
+class PicqerClient {
+  constructor(config) {
+    // Tenant the client works for, in metrics
+    this.tenant = config.tenant;
+    this.apiKey = config.apiKey;
+    this.baseUrl = config.baseUrl;
+    this.requestsPerMinute = config.requestsPerMinute || 30;
+    this.pageSize = config.pageSize || 100;
+    this.timeout = config.timeout || 30000;
+    this.metrics = config.metrics;
+    this.retry = {
+      maxRetries: 5,
+      baseDelay: 1000,
+      maxDelay: 60000,
+      ...config.retry
+    };
+    this.requestQueue = [];
+    this.processing = false;
+    
+    // Start request processor
+    this.startRequestProcessor();
+  }
+  
+  // Add request to queue.
+  // Pass a stats object ({ retries: 0 }) to have retries of this request counted in it.
+  async request(method, endpoint, data = null, params = null, stats = null) {
+    return new Promise((resolve, reject) => {
+      this.requestQueue.push({
+        method,
+        endpoint,
+        data,
+        params,
+        stats,
+        // The queue runs requests from whichever caller started it, so each
+        // request carries the log context of its own caller
+        logContext: logger.context(),
+        resolve,
+        reject
+      });
+      
+      if (!this.processing) {
+        this.processNextRequest();
+      }
+    });
+  }
+  
+  // Process next request in queue
+  async processNextRequest() {
+    if (this.requestQueue.length === 0) {
+      this.processing = false;
+      return;
+    }
+    
+    this.processing = true;
+    const request = this.requestQueue.shift();
+    let delay = (60 * 1000) / this.requestsPerMinute;
+    
+    try {
+      const response = await logger.inContext(request.logContext, () => this.sendWithRetry(request));
+      
+      // Picqer tells us how many requests are left in the current window;
+      // when they run out, pause the queue for a full window
+      if (response.headers['x-ratelimit-remaining'] === '0') {
+        logger.warn('Picqer rate limit reached, pausing requests for one minute');
+        delay = 60 * 1000;
+      }
+      
+      request.resolve(response.data);
+    } catch (error) {
+      logger.inContext(request.logContext, () => logger.error(`Error in Picqer API request to ${request.endpoint}`, { error: error.message }));
+      request.reject(error);
+    }
+    
+    // Wait before processing next request to respect rate limits
+    setTimeout(() => {
+      this.processNextRequest();
+    }, delay);
+  }
+  
+  // Send a request, retrying transient failures with exponential backoff.
+  // Only idempotent GET requests are retried.
+  async sendWithRetry(request) {
+    let attempt = 0;
+    
+    while (true) {
+      const attemptStarted = Date.now();
+      
+      try {
+        const response = await axios({
+          method: request.method,
+          url: `${this.baseUrl}/${request.endpoint}`,
+          data: request.data,
+          params: request.params,
+          timeout: this.timeout,
+          headers: {
+            'Authorization': `Basic ${Buffer.from(this.apiKey + ':').toString('base64')}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        
+        this.recordAttempt(request, response.status, attemptStarted);
+        return response;
+      } catch (error) {
+        const status = error.response
+          ? error.response.status
+          : (error.code === 'ECONNABORTED' ? 'timeout' : 'network');
+        this.recordAttempt(request, status, attemptStarted);
+        
+        if (!this.isRetryable(request, error) || attempt >= this.retry.maxRetries) {
+          throw error;
+        }
+        
+        attempt++;
+        this.metrics.picqerRetries.inc({ tenant: this.tenant });
+        if (request.stats) {
+          request.stats.retries++;
+        }
+        
+        const delay = this.getRetryDelay(attempt, error);
+        logger.warn(`Retrying Picqer API request to ${request.endpoint} in ${delay}ms (attempt ${attempt} of ${this.retry.maxRetries})`, { error: error.message });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+  
+  // Count an attempt and its latency in the metrics
+  recordAttempt(request, status, started) {
+    const labels = {
+      tenant: this.tenant,
+      method: request.method.toUpperCase(),
+      status
+    };
+    
+    this.metrics.picqerRequests.inc(labels);
+    this.metrics.picqerRequestDuration.observe(labels, (Date.now() - started) / 1000);
+    
+    if (typeof status !== 'number' || status >= 400) {
+      this.metrics.picqerErrors.inc({ tenant: this.tenant, status });
+    }
+  }
+  
+  // Network errors, timeouts, 429 and 5xx responses are worth retrying
+  isRetryable(request, error) {
+    if (request.method.toLowerCase() !== 'get') {
+      return false;
+    }
+    
+    if (!error.response) {
+      return true;
+    }
+    
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+  
+  // Work out how long to wait before the next attempt.
+  // A Retry-After header always wins, up to the maximum delay; a 429 without
+  // one waits out the rate limit window. Otherwise use exponential backoff
+  // with jitter.
+  getRetryDelay(attempt, error) {
+    if (error.response) {
+      const retryAfter = error.response.headers['retry-after'];
+      
+      if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        
+        if (!isNaN(delay)) {
+          return Math.min(Math.max(delay, 0), this.retry.maxDelay);
+        }
+      }
+      
+      if (error.response.status === 429) {
+        return 60 * 1000;
+      }
+    }
+    
+    const backoff = Math.min(this.retry.maxDelay, this.retry.baseDelay * Math.pow(2, attempt - 1));
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+  
+  // Start request processor
+  startRequestProcessor() {
+    if (!this.processing && this.requestQueue.length > 0) {
+      this.processNextRequest();
+    }
+  }
+  
+  // Iterate over all pages of a list endpoint, one page at a time.
+  // Picqer returns a fixed number of results per page, so we keep
+  // increasing the offset until a short (or empty) page comes back.
+  async *paginate(endpoint, params = {}, stats = null) {
+    let offset = 0;
+    
+    while (true) {
+      const page = await this.request('get', endpoint, null, { ...params, offset }, stats);
+      
+      if (!Array.isArray(page) || page.length === 0) {
+        return;
+      }
+      
+      yield page;
+      
+      if (page.length < this.pageSize) {
+        return;
+      }
+      
+      offset += page.length;
+    }
+  }
+  
+  // Get a single record, null when Picqer does not have it (anymore)
+  async getRecord(endpoint, id) {
+    try {
+      return await this.request('get', `${endpoint}/${id}`);
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  // Get all webhooks registered in Picqer
+  async getHooks() {
+    return this.request('get', 'hooks');
+  }
+  
+  // Register a webhook in Picqer
+  async createHook(hook) {
+    return this.request('post', 'hooks', hook);
+  }
+  
+  // Deactivate a webhook in Picqer
+  async deleteHook(idhook) {
+    return this.request('delete', `hooks/${idhook}`);
+  }
+}
+
+module.exports = {
+  PicqerClient
+};
@@ -0,0 +1,245 @@
+/**
+ * Entity Queries
+ *
+ * Builds the SQL for reading mirrored entities from query string parameters,
+ * used by the read API (GET /api/<entity>). Everything is checked against the
+ * entity's columns, so only known columns end up in SQL and values are
+ * always passed as parameters.
+ *
+ * Supported parameters:
+ * - <column>=value: equality, comma-separated values match any of them.
+ *   Columns of child tables match records with a matching child row (e.g.
+ *   products?warehouse_id=1 for products stocked in warehouse 1).
+ * - <column>_from / <column>_to: date ranges on DATE and DATETIME columns
+ * - q: free-text search on the entity's search columns (default: name)
+ * - sort: a column, prefixed with - for descending (default: the key)
+ * - limit / offset: offset pagination (limit at most 500)
+ * - cursor: cursor pagination, continuing after the nextCursor of the
+ *   previous page; only when sorting on the key
+ */
+
+const { parseColumnType } = require('./entities');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Parameters that are not column filters
+const RESERVED_PARAMETERS = ['q', 'sort', 'limit', 'offset', 'cursor', 'tenant'];
+
+// Invalid query parameters, reported to the client as a 400
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+// A paging parameter as a whole number; anything else is rejected
+function parseCount(name, value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new QueryError(`Invalid ${name}: ${value}. Use a whole number`);
+  }
+  return number;
+}
+
+// limit and offset of a list request: a limit from 1 to maxLimit and an
+// offset of at least 0
+function parsePaging(query, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT) {
+  return {
+    limit: Math.min(Math.max(parseCount('limit', query.limit, defaultLimit), 1), maxLimit),
+    offset: Math.max(parseCount('offset', query.offset, 0), 0)
+  };
+}
+
+// Convert a query string value to the type of a column
+function parseValue(column, value) {
+  switch (parseColumnType(column.type).name) {
+    case 'INT':
+    case 'BIGINT': {
+      if (!/^-?\d+$/.test(value)) {
+        throw new QueryError(`Invalid value for ${column.name}: ${value}`);
+      }
+      return parseInt(value);
+    }
+    case 'FLOAT':
+    case 'DECIMAL': {
+      const number = Number(value);
+      if (value === '' || isNaN(number)) {
+        throw new QueryError(`Invalid value for ${column.name}: ${value}`);
+      }
+      return number;
+    }
+    case 'BIT':
+      return value === 'true' || value === '1';
+    case 'DATE':
+    case 'DATETIME': {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new QueryError(`Invalid date for ${column.name}: ${value}`);
+      }
+      return date;
+    }
+    default:
+      return value;
+  }
+}
+
+// Cursors are the key of the last row of a page, opaque to clients
+function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// A cursor must hold a value of the key column, or the page query fails
+function decodeCursor(cursor, keyColumn) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      throw new QueryError(`Invalid cursor: ${cursor}`);
+    }
+    return parseValue(keyColumn, String(value));
+  } catch (error) {
+    throw new QueryError(`Invalid cursor: ${cursor}`);
+  }
+}
+
+// Condition matching any of the comma-separated values of a column
+function matchValues(column, qualifiedName, value, params) {
+  const values = value.split(',').map(part => parseValue(column, part.trim()));
+  const names = values.map((parsed, index) => {
+    params[`${column.name}${index}`] = parsed;
+    return `@${column.name}${index}`;
+  });
+  
+  return names.length === 1 ? `${qualifiedName} = ${names[0]}` : `${qualifiedName} IN (${names.join(', ')})`;
+}
+
+// Build the WHERE, ORDER BY and parameters for listing an entity.
+// where holds the filters (for counting matches), cursorWhere also the
+// cursor condition (for fetching the page).
+function buildListQuery(entity, query) {
+  const columns = Object.fromEntries(entity.columns.map(column => [column.name, column]));
+  const filters = [];
+  const params = {};
+  
+  for (const [name, rawValue] of Object.entries(query)) {
+    if (RESERVED_PARAMETERS.includes(name)) {
+      continue;
+    }
+    
+    const value = Array.isArray(rawValue) ? rawValue[rawValue.length - 1] : String(rawValue);
+    const range = /^(\w+)_(from|to)$/.exec(name);
+    const child = entity.children.find(table => table.parentKey !== name && table.columns.some(column => column.name === name));
+    
+    if (columns[name]) {
+      filters.push(matchValues(columns[name], `${entity.table}.${name}`, value, params));
+    } else if (child) {
+      const column = child.columns.find(childColumn => childColumn.name === name);
+      filters.push(`EXISTS (
+        SELECT 1 FROM ${child.name}
+        WHERE ${child.name}.${child.parentKey} = ${entity.table}.${entity.key}
+          AND ${matchValues(column, `${child.name}.${name}`, value, params)}
+      )`);
+    } else if (range && columns[range[1]] && ['DATE', 'DATETIME'].includes(columns[range[1]].type)) {
+      params[name] = parseValue(columns[range[1]], value);
+      filters.push(`${range[1]} ${range[2] === 'from' ? '>=' : '<='} @${name}`);
+    } else {
+      throw new QueryError(`Unknown filter for ${entity.name}: ${name}`);
+    }
+  }
+  
+  if (query.q) {
+    if (entity.search.length === 0) {
+      throw new QueryError(`${entity.label} has no columns to search`);
+    }
+    
+    // Escape LIKE wildcards, the search text is matched literally
+    params.q = `%${String(query.q).toLowerCase().replace(/[\\%_[]/g, match => `\\${match}`)}%`;
+    filters.push(`(${entity.search.map(name => `LOWER(${name}) LIKE @q ESCAPE '\\'`).join(' OR ')})`);
+  }
+  
+  const sort = String(query.sort || entity.key);
+  const descending = sort.startsWith('-');
+  const sortColumn = descending ? sort.substring(1) : sort;
+  if (!columns[sortColumn] && sortColumn !== 'sync_date') {
+    throw new QueryError(`Cannot sort ${entity.name} on ${sortColumn}`);
+  }
+  
+  const direction = descending ? 'DESC' : 'ASC';
+  const sortsOnKey = sortColumn === entity.key;
+  // The key breaks ties, so pages are stable
+  const orderBy = sortsOnKey
+    ? `${entity.key} ${direction}`
+    : `${sortColumn} ${direction}, ${entity.key} ${direction}`;
+  
+  const { limit, offset } = parsePaging(query);
+  
+  let cursor = null;
+  if (query.cursor) {
+    if (!sortsOnKey) {
+      throw new QueryError(`Cursor pagination only supports sorting on ${entity.key}, use offset instead`);
+    }
+    
+    cursor = decodeCursor(String(query.cursor), columns[entity.key]);
+    params.cursor = cursor;
+  }
+  
+  const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+  const cursorFilters = cursor === null
+    ? filters
+    : filters.concat([`${entity.key} ${descending ? '<' : '>'} @cursor`]);
+  
+  return {
+    where,
+    cursorWhere: cursorFilters.length > 0 ? `WHERE ${cursorFilters.join(' AND ')}` : '',
+    orderBy,
+    params: {
+      ...params,
+      limit,
+      offset: cursor === null ? offset : 0
+    },
+    limit,
+    offset: cursor === null ? offset : 0,
+    cursor,
+    sortsOnKey
+  };
+}
+
+// Convert a stored row to JSON-friendly values of its column types; drivers
+// differ (Postgres returns decimals as strings, SQLite booleans as 0 and 1)
+function formatRow(columns, row) {
+  const formatted = { ...row };
+  
+  for (const column of columns) {
+    const value = row[column.name];
+    if (value === null || value === undefined) {
+      continue;
+    }
+    
+    switch (parseColumnType(column.type).name) {
+      case 'BIGINT':
+      case 'FLOAT':
+      case 'DECIMAL':
+        formatted[column.name] = Number(value);
+        break;
+      case 'BIT':
+        formatted[column.name] = Boolean(value);
+        break;
+    }
+  }
+  
+  return formatted;
+}
+
+module.exports = {
+  QueryError,
+  buildListQuery,
+  encodeCursor,
+  formatRow,
+  parsePaging,
+  parseValue
+};
@@ -0,0 +1,249 @@
+/**
+ * Reconciliation
+ *
+ * Compares an entity in Picqer with its table in the database: total counts,
+ * keys missing on either side, and rows whose fields differ. Rows are
+ * compared by a hash of their column values, normalized per column type so
+ * that driver differences (dates as strings, decimals as strings, booleans
+ * as 0 and 1) do not count as drift. For the first mismatched rows the
+ * differing fields are looked up and reported.
+ *
+ * Columns that reference another table (product_stock.warehouse_id) are
+ * checked too: rows pointing at a record missing from the referenced table
+ * are reported as broken references, per column with the missing values.
+ *
+ * Records changed in Picqer since the last sync show up as drift as well,
+ * so a reconciliation right after a sync gives the clearest picture.
+ */
+
+const crypto = require('crypto');
+const { parseColumnType, parseReference, mapRecord } = require('./entities');
+
+// Number of keys and mismatched rows reported in detail
+const DETAIL_LIMIT = 50;
+
+// Rows read from the database per query
+const READ_BATCH_SIZE = 1000;
+
+// Normalize a value to what the column can store, for comparing
+function normalizeValue(column, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  
+  const { name, scale } = parseColumnType(column.type);
+  
+  switch (name) {
+    case 'INT':
+    case 'BIGINT':
+    case 'FLOAT':
+      return Number(value);
+    case 'DECIMAL':
+      return Number(value).toFixed(scale || 0);
+    case 'BIT':
+      return Boolean(Number(value));
+    case 'DATE':
+      return new Date(value).toISOString().substring(0, 10);
+    case 'DATETIME':
+      // Databases differ in sub-second precision
+      return Math.floor(new Date(value).getTime() / 1000);
+    case 'CHAR':
+      // Fixed length values are padded with spaces
+      return String(value).trimEnd();
+    default:
+      return String(value);
+  }
+}
+
+// Hash of the normalized column values of a row
+function rowHash(columns, row) {
+  const values = columns.map(column => normalizeValue(column, row[column.name]));
+  return crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex');
+}
+
+// Columns whose normalized values differ between two rows
+function diffRows(columns, picqerRow, databaseRow) {
+  return columns
+    .map(column => ({
+      column: column.name,
+      picqer: normalizeValue(column, picqerRow[column.name]),
+      database: normalizeValue(column, databaseRow[column.name])
+    }))
+    .filter(field => JSON.stringify(field.picqer) !== JSON.stringify(field.database));
+}
+
+// Compares entities in Picqer with the database
+class Reconciler {
+  constructor(storage, picqerClient) {
+    this.storage = storage;
+    this.picqerClient = picqerClient;
+  }
+  
+  // Keys and hashes of all rows of an entity table, by key as a string.
+  // Rows are read in key order in batches.
+  async databaseHashes(entity) {
+    const hashes = new Map();
+    let last = null;
+    
+    while (true) {
+      const result = await this.storage.query(`
+        SELECT * FROM ${entity.table}
+        ${last === null ? '' : `WHERE ${entity.key} > @last`}
+        ORDER BY ${entity.key}
+        ${this.storage.pageClause()}
+      `, { last, limit: READ_BATCH_SIZE, offset: 0 });
+      
+      for (const row of result.rows) {
+        hashes.set(String(row[entity.key]), {
+          id: row[entity.key],
+          hash: rowHash(entity.columns, row)
+        });
+      }
+      
+      if (result.rows.length < READ_BATCH_SIZE) {
+        return hashes;
+      }
+      last = result.rows[result.rows.length - 1][entity.key];
+    }
+  }
+  
+  // Columns of an entity and its child tables whose rows point at a record
+  // missing from the referenced table, with the number of such rows and the
+  // first missing values
+  async brokenReferences(entity) {
+    const tables = [{ name: entity.table, columns: entity.columns }, ...entity.children];
+    const broken = [];
+    
+    for (const table of tables) {
+      for (const column of table.columns.filter(column => column.references)) {
+        const reference = parseReference(column.references);
+        const missing = `
+          FROM ${table.name} t
+          WHERE t.${column.name} IS NOT NULL
+            AND NOT EXISTS (SELECT 1 FROM ${reference.table} r WHERE r.${reference.column} = t.${column.name})
+        `;
+        
+        const count = await this.storage.query(`SELECT COUNT(*) AS count ${missing}`);
+        const rows = Number(count.rows[0].count);
+        if (rows === 0) {
+          continue;
+        }
+        
+        const values = await this.storage.query(`
+          SELECT DISTINCT t.${column.name} AS value ${missing}
+          ORDER BY t.${column.name}
+          ${this.storage.pageClause()}
+        `, { limit: DETAIL_LIMIT, offset: 0 });
+        
+        broken.push({
+          table: table.name,
+          column: column.name,
+          references: column.references,
+          rows,
+          values: values.rows.map(row => row.value)
+        });
+      }
+    }
+    
+    return broken;
+  }
+  
+  // Reconcile an entity as part of a job and return the report
+  async reconcile(entity, job) {
+    const requestStats = { retries: 0 };
+    
+    job.setPhase(entity.name, 'reading database');
+    const databaseHashes = await this.databaseHashes(entity);
+    job.updateProgress(entity.name, { rowsExpected: databaseHashes.size || null });
+    
+    const seen = new Set();
+    const missingInDatabase = [];
+    const mismatched = [];
+    let missingInDatabaseCount = 0;
+    let mismatchedCount = 0;
+    let pageCount = 0;
+    
+    job.setPhase(entity.name, 'fetching');
+    for await (const page of this.picqerClient.paginate(entity.endpoint, {}, requestStats)) {
+      for (const record of page) {
+        const { row } = mapRecord(entity, record);
+        const key = String(row[entity.key]);
+        
+        // Records can show up twice when they move between pages while paging
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+        
+        const stored = databaseHashes.get(key);
+        
+        if (stored === undefined) {
+          missingInDatabaseCount++;
+          if (missingInDatabase.length < DETAIL_LIMIT) {
+            missingInDatabase.push(row[entity.key]);
+          }
+        } else if (stored.hash !== rowHash(entity.columns, row)) {
+          mismatchedCount++;
+          if (mismatched.length < DETAIL_LIMIT) {
+            const result = await this.storage.query(
+              `SELECT * FROM ${entity.table} WHERE ${entity.key} = @id`,
+              { id: row[entity.key] }
+            );
+            
+            mismatched.push({
+              id: row[entity.key],
+              fields: result.rows.length > 0 ? diffRows(entity.columns, row, result.rows[0]) : []
+            });
+          }
+        }
+      }
+      
+      job.updateProgress(entity.name, {
+        pagesFetched: ++pageCount,
+        rowsFetched: seen.size
+      });
+      
+      // Stop between pages when the job has been cancelled
+      job.throwIfCancelled();
+    }
+    
+    const missingInPicqer = Array.from(databaseHashes.entries())
+      .filter(([key]) => !seen.has(key))
+      .map(([, stored]) => stored.id);
+    
+    job.setPhase(entity.name, 'checking references');
+    const brokenReferences = await this.brokenReferences(entity);
+    const brokenReferenceCount = brokenReferences.reduce((total, reference) => total + reference.rows, 0);
+    
+    job.setPhase(entity.name, 'done');
+    
+    return {
+      success: true,
+      entity: entity.name,
+      picqerCount: seen.size,
+      databaseCount: databaseHashes.size,
+      inSync: missingInDatabaseCount === 0 && missingInPicqer.length === 0 && mismatchedCount === 0 && brokenReferenceCount === 0,
+      missingInDatabase: {
+        count: missingInDatabaseCount,
+        ids: missingInDatabase
+      },
+      missingInPicqer: {
+        count: missingInPicqer.length,
+        ids: missingInPicqer.slice(0, DETAIL_LIMIT)
+      },
+      mismatched: {
+        count: mismatchedCount,
+        rows: mismatched
+      },
+      brokenReferences: {
+        count: brokenReferenceCount,
+        columns: brokenReferences
+      },
+      retries: requestStats.retries
+    };
+  }
+}
+
+module.exports = {
+  Reconciler
+};
@@ -0,0 +1,170 @@
+/**
+ * Sync Scheduler
+ *
+ * Runs syncs in-process on cron expressions, e.g. picklists every 5 minutes
+ * and products hourly.
+ *
+ * Schedules are read from environment variables named after the sync target:
+ *   SYNC_SCHEDULE_ALL="0 3 * * *"
+ *   SYNC_SCHEDULE_PICKLISTS="*\/5 * * * *"
+ *
+ * and/or from a JSON file (SYNC_SCHEDULE_FILE, default schedules.json):
+ *   {
+ *     "products": "0 * * * *",
+ *     "picklists": { "cron": "*\/5 * * * *", "mode": "incremental" }
+ *   }
+ *
+ * Environment variables take precedence over the file. Schedules with an
+ * invalid cron expression or an unknown mode are logged and not started.
+ *
+ * Reconciliations are scheduled the same way, with RECONCILE_SCHEDULE_<TARGET>
+ * variables and RECONCILE_SCHEDULE_FILE (default reconcile-schedules.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Cron } = require('croner');
+const { logger } = require('./logger');
+
+// Read schedule definitions for the given targets from env and config file.
+// options.prefix selects the variables (SYNC_SCHEDULE or RECONCILE_SCHEDULE),
+// options.defaultFile the config file used when <prefix>_FILE is not set.
+function loadSchedules(targets, env = process.env, options = {}) {
+  const prefix = options.prefix || 'SYNC_SCHEDULE';
+  const schedules = {};
+  
+  // Schedules from config file
+  const file = path.resolve(env[`${prefix}_FILE`] || options.defaultFile || 'schedules.json');
+  if (fs.existsSync(file)) {
+    try {
+      const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+      
+      for (const [target, definition] of Object.entries(config)) {
+        if (!targets.includes(target)) {
+          logger.warn(`Ignoring schedule for unknown target in ${file}: ${target}`);
+          continue;
+        }
+        
+        schedules[target] = typeof definition === 'string' ? { cron: definition } : definition;
+      }
+    } catch (error) {
+      logger.error(`Error reading schedule file ${file}`, { error: error.message });
+    }
+  }
+  
+  // Schedules from environment variables
+  for (const target of targets) {
+    const cron = env[`${prefix}_${target.toUpperCase()}`];
+    if (cron) {
+      schedules[target] = {
+        cron,
+        mode: env[`${prefix}_${target.toUpperCase()}_MODE`]
+      };
+    }
+  }
+  
+  return Object.entries(schedules).map(([target, definition]) => ({
+    target,
+    cron: definition.cron,
+    mode: definition.mode || null
+  }));
+}
+
+// In-process cron scheduler for syncs
+class SyncScheduler {
+  // runSync(target, mode) performs the sync and resolves to its result.
+  // options.kind names what is scheduled in logs (default sync), options.modes
+  // the modes a schedule may set (none by default).
+  constructor(runSync, options = {}) {
+    this.runSync = runSync;
+    this.timezone = options.timezone;
+    this.kind = options.kind || 'sync';
+    this.modes = options.modes || [];
+    this.jobs = [];
+  }
+  
+  // Start a cron job for every schedule
+  start(schedules) {
+    for (const schedule of schedules) {
+      try {
+        if (schedule.mode !== null && !this.modes.includes(schedule.mode)) {
+          throw new Error(`Unknown ${this.kind} mode: ${schedule.mode}`);
+        }
+        
+        const job = {
+          ...schedule,
+          running: false,
+          lastRun: null,
+          lastResult: null
+        };
+        
+        // protect: skip a run while the previous run of the same job is still busy
+        job.task = new Cron(schedule.cron, {
+          name: `${this.kind}-${schedule.target}`,
+          timezone: this.timezone,
+          protect: () => {
+            logger.info(`Scheduled ${schedule.target} ${this.kind} still running, skipping this run`);
+          }
+        }, () => this.run(job));
+        
+        this.jobs.push(job);
+        
+        const nextRun = job.task.nextRun();
+        logger.info(`Scheduled ${schedule.target} ${this.kind} (${schedule.cron}), next run at ${nextRun ? nextRun.toISOString() : 'never'}`);
+      } catch (error) {
+        logger.error(`Invalid schedule for ${schedule.target} ${this.kind} (${schedule.cron})`, { error: error.message });
+      }
+    }
+  }
+  
+  // Run a scheduled job
+  async run(job) {
+    logger.info(`Starting scheduled ${job.target} ${this.kind}`);
+    job.running = true;
+    job.lastRun = new Date();
+    
+    try {
+      job.lastResult = await this.runSync(job.target, job.mode);
+    } catch (error) {
+      logger.error(`Error in scheduled ${job.target} ${this.kind}`, { error: error.message });
+      job.lastResult = {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      job.running = false;
+    }
+  }
+  
+  // Stop all cron jobs
+  stop() {
+    for (const job of this.jobs) {
+      job.task.stop();
+    }
+    this.jobs = [];
+  }
+  
+  // Schedule overview for the status endpoint
+  getStatus() {
+    return this.jobs.map(job => {
+      const nextRun = job.task.nextRun();
+      
+      return {
+        target: job.target,
+        cron: job.cron,
+        mode: job.mode,
+        running: job.running,
+        nextRun: nextRun ? nextRun.toISOString() : null,
+        previousRun: job.lastRun ? job.lastRun.toISOString() : null,
+        lastResult: job.lastResult
+          ? { success: job.lastResult.success, error: job.lastResult.error || null }
+          : null
+      };
+    });
+  }
+}
+
+module.exports = {
+  loadSchedules,
+  SyncScheduler
+};
@@ -0,0 +1,92 @@
+/**
+ * Storage
+ *
+ * The middleware stores everything through a storage adapter, so it can run
+ * on SQL Server (the default), PostgreSQL or SQLite. DB_CLIENT selects the
+ * adapter: mssql, postgres or sqlite. The PostgreSQL and SQLite drivers (pg
+ * and better-sqlite3) are optional dependencies, only loaded when selected,
+ * so an install where they cannot be built still runs on SQL Server.
+ *
+ * Adapters share one interface:
+ * - connect(), close(), connected, dialect
+ * - poolStats(): connection pool usage { size, inUse, idle, waiting, max }
+ * - query(text, params): run SQL with @name parameters, returns { rows, rowCount }
+ * - exec(text): run a script of statements without parameters
+ * - transaction(work): run work(tx) in a transaction, where tx has all of
+ *   the methods below bound to the transaction; nested calls use savepoints
+ * - now(), columnType(type), pageClause(): dialect specific SQL fragments
+ * - tableExists(name), createTable(name, definition), addMissingColumns(definition),
+ *   dropTable(name), swapTables([{ table, staging }])
+ * - insert(table, row, returning), upsert(table, row, { keys, update, touch }),
+ *   bulkUpsert(definition, target, rows)
+ *
+ * Table definitions are the entity tables of the entity registry
+ * ({ name, columns, keys }, see lib/entities.js).
+ */
+
+const DB_CLIENTS = ['mssql', 'postgres', 'sqlite'];
+
+// Connection settings for the selected client
+function storageConfig(client, env = process.env) {
+  switch (client) {
+    case 'postgres':
+      // Unset values fall back to the standard PG* environment variables
+      return {
+        connectionString: env.DATABASE_URL,
+        host: env.DB_HOST,
+        port: env.DB_PORT ? parseInt(env.DB_PORT) : undefined,
+        database: env.DB_NAME,
+        user: env.DB_USER,
+        password: env.DB_PASSWORD,
+        ssl: env.DB_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+      };
+    case 'sqlite':
+      return {
+        filename: env.SQLITE_FILE || 'picqer.db'
+      };
+    default:
+      return {
+        server: env.DB_HOST || env.SQL_SERVER,
+        port: parseInt(env.DB_PORT || env.SQL_PORT || '1433'),
+        database: env.DB_NAME || env.SQL_DATABASE,
+        user: env.DB_USER || env.SQL_USER,
+        password: env.DB_PASSWORD || env.SQL_PASSWORD,
+        options: {
+          encrypt: true,
+          trustServerCertificate: false
+        }
+      };
+  }
+}
+
+// Create the storage adapter selected by DB_CLIENT.
+// Adapters are loaded on demand, so only the selected driver has to be installed.
+function createStorage(env = process.env) {
+  const client = (env.DB_CLIENT || 'mssql').toLowerCase().replace(/^pg$/, 'postgres');
+  
+  if (!DB_CLIENTS.includes(client)) {
+    throw new Error(`Unknown DB_CLIENT: ${env.DB_CLIENT}. Use one of: ${DB_CLIENTS.join(', ')}`);
+  }
+  
+  const config = storageConfig(client, env);
+  
+  switch (client) {
+    case 'postgres': {
+      const { PostgresStorage } = require('./postgres');
+      return new PostgresStorage(config);
+    }
+    case 'sqlite': {
+      const { SqliteStorage } = require('./sqlite');
+      return new SqliteStorage(config);
+    }
+    default: {
+      const { MssqlStorage } = require('./mssql');
+      return new MssqlStorage(config);
+    }
+  }
+}
+
+module.exports = {
+  DB_CLIENTS,
+  createStorage
+};
@@ -0,0 +1,333 @@
+/**
+ * SQL Server Storage Adapter
+ *
+ * The default storage. Batches are bulk loaded into a temporary table and
+ * merged into the target table in one statement.
+ */
+
+const sql = require('mssql');
+const { parseColumnType, tableColumnsDdl } = require('../entities');
+
+// The mssql type of a declared column type, for bulk loads
+function bulkType(type) {
+  const { name, length, scale } = parseColumnType(type);
+  const size = length === 'MAX' ? sql.MAX : length;
+  
+  switch (name) {
+    case 'INT':
+      return sql.Int;
+    case 'BIGINT':
+      return sql.BigInt;
+    case 'BIT':
+      return sql.Bit;
+    case 'FLOAT':
+      return sql.Float;
+    case 'DATE':
+      return sql.Date;
+    case 'DATETIME':
+      return sql.DateTime;
+    case 'CHAR':
+      return sql.Char(size || 1);
+    case 'VARCHAR':
+      return sql.VarChar(size || 255);
+    case 'NVARCHAR':
+      return sql.NVarChar(size || 255);
+    case 'DECIMAL':
+      return sql.Decimal(size || 18, scale || 0);
+  }
+}
+
+// Run a query with @name parameters on a request
+async function runQuery(request, text, params = {}) {
+  for (const [name, value] of Object.entries(params)) {
+    request.input(name, value);
+  }
+  
+  const result = await request.query(text);
+  
+  return {
+    rows: result.recordset || [],
+    rowCount: result.rowsAffected.reduce((total, count) => total + count, 0)
+  };
+}
+
+class MssqlStorage {
+  constructor(config) {
+    this.config = config;
+    this.dialect = 'mssql';
+    this.pool = null;
+    this.inTransaction = false;
+    this.savepoints = 0;
+  }
+  
+  async connect() {
+    this.pool = await sql.connect(this.config);
+  }
+  
+  get connected() {
+    return this.pool !== null;
+  }
+  
+  // Connection pool usage, null when not connected
+  poolStats() {
+    if (!this.pool) {
+      return null;
+    }
+    
+    return {
+      size: this.pool.size,
+      inUse: this.pool.borrowed,
+      idle: this.pool.available,
+      waiting: this.pool.pending,
+      max: this.pool.pool ? this.pool.pool.max : null
+    };
+  }
+  
+  async close() {
+    if (this.pool) {
+      await this.pool.close();
+      this.pool = null;
+    }
+  }
+  
+  // SQL expression for the current time
+  now() {
+    return 'GETDATE()';
+  }
+  
+  // Declared column types are SQL Server types already
+  columnType(type) {
+    return type;
+  }
+  
+  // Paging clause using the @limit and @offset parameters (needs an ORDER BY)
+  pageClause() {
+    return 'OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY';
+  }
+  
+  // A request on the pool, or on the connection of the current transaction
+  request() {
+    return this.pool.request();
+  }
+  
+  // Run a query with @name parameters: { rows, rowCount }
+  async query(text, params) {
+    return runQuery(this.request(), text, params);
+  }
+  
+  // Run a script of one or more statements without parameters
+  async exec(text) {
+    await this.request().batch(text);
+  }
+  
+  // Run work(tx) in a transaction. tx is this storage with every request
+  // sent on the transaction's connection. Within a transaction, work runs in
+  // a savepoint that is rolled back on its own when work fails.
+  async transaction(work) {
+    if (this.inTransaction) {
+      return this.savepoint(work);
+    }
+    
+    const transaction = new sql.Transaction(this.pool);
+    await transaction.begin();
+    
+    const tx = Object.create(this);
+    tx.inTransaction = true;
+    tx.savepoints = 0;
+    tx.request = () => new sql.Request(transaction);
+    
+    try {
+      const result = await work(tx);
+      
+      await transaction.commit();
+      return result;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+  
+  async savepoint(work) {
+    const name = `savepoint_${++this.savepoints}`;
+    await this.exec(`SAVE TRANSACTION ${name}`);
+    
+    try {
+      return await work(this);
+    } catch (error) {
+      await this.exec(`ROLLBACK TRANSACTION ${name}`);
+      throw error;
+    }
+  }
+  
+  async tableExists(name) {
+    const result = await this.query('SELECT OBJECT_ID(@name, \'U\') AS id', { name });
+    return result.rows[0].id !== null;
+  }
+  
+  // Create a table from an entity table definition if it does not exist
+  async createTable(name, definition) {
+    await this.exec(`
+      IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = '${name}')
+      CREATE TABLE ${name} (${tableColumnsDdl(definition, this)})
+    `);
+  }
+  
+  // Add columns of an entity table definition that the table is missing
+  async addMissingColumns(definition) {
+    for (const column of definition.columns.filter(column => !column.key)) {
+      await this.exec(`
+        IF COL_LENGTH('${definition.name}', '${column.name}') IS NULL
+        ALTER TABLE ${definition.name} ADD ${column.name} ${column.type}
+      `);
+    }
+  }
+  
+  async dropTable(name) {
+    await this.exec(`
+      IF EXISTS (SELECT * FROM sys.tables WHERE name = '${name}')
+        DROP TABLE ${name}
+    `);
+  }
+  
+  // Atomically replace tables with their staging tables ([{ table, staging }]).
+  // Foreign keys in other tables that reference a swapped table follow the
+  // renamed old table, so they are dropped and recreated against the new
+  // table, WITH NOCHECK.
+  async swapTables(swaps) {
+    await this.transaction(async tx => {
+      for (const { table, staging } of swaps) {
+        const old = `${table}_old`;
+        
+        const references = await tx.query(`
+          SELECT fk.name, OBJECT_NAME(fk.parent_object_id) AS parent_table,
+            COL_NAME(fkc.parent_object_id, fkc.parent_column_id) AS parent_column,
+            COL_NAME(fkc.referenced_object_id, fkc.referenced_column_id) AS referenced_column
+          FROM sys.foreign_keys fk
+          JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+          WHERE fk.referenced_object_id = OBJECT_ID(@table)
+            AND fk.parent_object_id <> OBJECT_ID(@table)
+        `, { table });
+        
+        for (const reference of references.rows) {
+          await tx.exec(`ALTER TABLE ${reference.parent_table} DROP CONSTRAINT ${reference.name}`);
+        }
+        
+        await tx.exec(`
+          IF EXISTS (SELECT * FROM sys.tables WHERE name = '${old}')
+            DROP TABLE ${old};
+          EXEC sp_rename '${table}', '${old}';
+          EXEC sp_rename '${staging}', '${table}';
+          DROP TABLE ${old};
+        `);
+        
+        for (const reference of references.rows) {
+          await tx.exec(`
+            ALTER TABLE ${reference.parent_table} WITH NOCHECK
+            ADD FOREIGN KEY (${reference.parent_column}) REFERENCES ${table} (${reference.referenced_column})
+          `);
+        }
+      }
+    });
+  }
+  
+  // Insert a row and return the value of the returning column (e.g. an identity id)
+  async insert(table, row, returning = null) {
+    const names = Object.keys(row);
+    const result = await this.query(`
+      INSERT INTO ${table} (${names.join(', ')})
+      ${returning ? `OUTPUT INSERTED.${returning}` : ''}
+      VALUES (${names.map(name => `@${name}`).join(', ')})
+    `, row);
+    
+    return returning ? result.rows[0][returning] : null;
+  }
+  
+  // Insert a row, or update it when a row with the same keys exists.
+  // options: { keys, update (false to leave existing rows alone), touch (a
+  // timestamp column set to now on every write) }. Returns the rows written.
+  async upsert(table, row, { keys, update = true, touch = null }) {
+    const names = Object.keys(row);
+    const match = keys.map(key => `${key} = @${key}`).join(' AND ');
+    const updates = names
+      .filter(name => !keys.includes(name))
+      .map(name => `${name} = @${name}`)
+      .concat(touch ? [`${touch} = GETDATE()`] : []);
+    const columns = names.concat(touch ? [touch] : []);
+    const values = names.map(name => `@${name}`).concat(touch ? ['GETDATE()'] : []);
+    
+    const insert = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${values.join(', ')})`;
+    
+    const result = await this.query(update && updates.length > 0
+      ? `
+        IF EXISTS (SELECT * FROM ${table} WHERE ${match})
+          UPDATE ${table} SET ${updates.join(', ')} WHERE ${match}
+        ELSE
+          ${insert}
+      `
+      : `
+        IF NOT EXISTS (SELECT * FROM ${table} WHERE ${match})
+          ${insert}
+      `, row);
+    
+    return result.rowCount;
+  }
+  
+  // Upsert a batch of rows of an entity table definition into a target table
+  // (the entity table or its staging table), setting sync_date.
+  // Rows are bulk loaded into a temporary table and merged in one statement.
+  // A temporary table only exists on the connection that created it, so this
+  // runs in a transaction, which keeps to one connection; concurrent writers
+  // each get their own table and nothing is left behind after a crash.
+  async bulkUpsert(definition, target, rows) {
+    if (!this.inTransaction) {
+      return this.transaction(tx => tx.bulkUpsert(definition, target, rows));
+    }
+    
+    const workTable = `#${definition.name}_batch`;
+    const names = definition.columns.map(column => column.name);
+    
+    await this.exec(`
+      IF OBJECT_ID('tempdb..${workTable}') IS NOT NULL
+        DROP TABLE ${workTable};
+      SELECT TOP 0 * INTO ${workTable} FROM ${target}
+    `);
+    
+    try {
+      const table = new sql.Table(workTable);
+      table.create = false;
+      for (const column of definition.columns) {
+        table.columns.add(column.name, bulkType(column.type), { nullable: true });
+      }
+      for (const row of rows) {
+        table.rows.add(...names.map(name => row[name]));
+      }
+      
+      await this.request().bulk(table);
+      
+      const updates = names
+        .filter(name => !definition.keys.includes(name))
+        .map(name => `${name} = source.${name}`);
+      const match = definition.keys.map(key => `target.${key} = source.${key}`).join(' AND ');
+      
+      await this.exec(`
+        MERGE ${target} AS target
+        USING ${workTable} AS source
+        ON ${match}
+        WHEN MATCHED THEN
+          UPDATE SET ${updates.concat(['sync_date = GETDATE()']).join(', ')}
+        WHEN NOT MATCHED THEN
+          INSERT (${names.join(', ')}, sync_date)
+          VALUES (${names.map(name => `source.${name}`).join(', ')}, GETDATE());
+      `);
+    } finally {
+      await this.exec(`
+        IF OBJECT_ID('tempdb..${workTable}') IS NOT NULL
+          DROP TABLE ${workTable}
+      `);
+    }
+  }
+}
+
+module.exports = {
+  MssqlStorage
+};
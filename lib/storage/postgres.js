@@ -0,0 +1,307 @@
+/**
+ * PostgreSQL Storage Adapter
+ *
+ * Queries are written with @name parameters like for SQL Server and
+ * translated to $1, $2, ... here. Batches are written with multi-row
+ * INSERT ... ON CONFLICT statements.
+ */
+
+const { Pool } = require('pg');
+const { parseColumnType, tableColumnsDdl } = require('../entities');
+
+// Postgres allows at most 65535 parameters per statement
+const MAX_PARAMETERS = 60000;
+
+// Translate @name parameters to $n placeholders and a values array
+function translateParameters(text, params = {}) {
+  const names = [];
+  const translated = text.replace(/@(\w+)/g, (match, name) => {
+    if (!(name in params)) {
+      return match;
+    }
+    
+    if (!names.includes(name)) {
+      names.push(name);
+    }
+    return `$${names.indexOf(name) + 1}`;
+  });
+  
+  return {
+    text: translated,
+    values: names.map(name => (params[name] === undefined ? null : params[name]))
+  };
+}
+
+// Run a query with @name parameters on a pool or client
+async function runQuery(client, text, params) {
+  const query = translateParameters(text, params);
+  const result = await client.query(query.text, query.values);
+  
+  return {
+    rows: result.rows || [],
+    rowCount: result.rowCount || 0
+  };
+}
+
+class PostgresStorage {
+  constructor(config) {
+    this.config = config;
+    this.dialect = 'postgres';
+    this.pool = null;
+    this.inTransaction = false;
+    this.savepoints = 0;
+  }
+  
+  async connect() {
+    const pool = new Pool(this.config);
+    // Fail on startup rather than on the first query when the database is unreachable
+    const client = await pool.connect();
+    client.release();
+    this.pool = pool;
+  }
+  
+  get connected() {
+    return this.pool !== null;
+  }
+  
+  // Connection pool usage, null when not connected
+  poolStats() {
+    if (!this.pool) {
+      return null;
+    }
+    
+    return {
+      size: this.pool.totalCount,
+      inUse: this.pool.totalCount - this.pool.idleCount,
+      idle: this.pool.idleCount,
+      waiting: this.pool.waitingCount,
+      max: this.pool.options.max
+    };
+  }
+  
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+  
+  // SQL expression for the current time
+  now() {
+    return 'LOCALTIMESTAMP';
+  }
+  
+  // Postgres type of a declared column type
+  columnType(type) {
+    const { name, length, scale } = parseColumnType(type);
+    
+    switch (name) {
+      case 'INT':
+        return 'INTEGER';
+      case 'BIT':
+        return 'BOOLEAN';
+      case 'FLOAT':
+        return 'DOUBLE PRECISION';
+      case 'DATETIME':
+        return 'TIMESTAMP';
+      case 'CHAR':
+        return `CHAR(${length || 1})`;
+      case 'VARCHAR':
+      case 'NVARCHAR':
+        return length === 'MAX' ? 'TEXT' : `VARCHAR(${length || 255})`;
+      case 'DECIMAL':
+        return `NUMERIC(${length || 18}, ${scale || 0})`;
+      default:
+        return name;
+    }
+  }
+  
+  // Paging clause using the @limit and @offset parameters
+  pageClause() {
+    return 'LIMIT @limit OFFSET @offset';
+  }
+  
+  // The pool, or the client of the current transaction
+  connection() {
+    return this.pool;
+  }
+  
+  // Run a query with @name parameters: { rows, rowCount }
+  async query(text, params) {
+    return runQuery(this.connection(), text, params);
+  }
+  
+  // Run a script of one or more statements without parameters
+  async exec(text) {
+    await this.connection().query(text);
+  }
+  
+  // Run work(tx) in a transaction. tx is this storage with every query sent
+  // on the transaction's client. Within a transaction, work runs in a
+  // savepoint that is rolled back on its own when work fails.
+  async transaction(work) {
+    if (this.inTransaction) {
+      return this.savepoint(work);
+    }
+    
+    const client = await this.pool.connect();
+    const tx = Object.create(this);
+    tx.inTransaction = true;
+    tx.savepoints = 0;
+    tx.connection = () => client;
+    
+    try {
+      await client.query('BEGIN');
+      
+      const result = await work(tx);
+      
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  
+  async savepoint(work) {
+    const name = `savepoint_${++this.savepoints}`;
+    await this.exec(`SAVEPOINT ${name}`);
+    
+    try {
+      const result = await work(this);
+      await this.exec(`RELEASE SAVEPOINT ${name}`);
+      return result;
+    } catch (error) {
+      await this.exec(`ROLLBACK TO SAVEPOINT ${name}`);
+      throw error;
+    }
+  }
+  
+  async tableExists(name) {
+    const result = await this.query('SELECT to_regclass(@name) AS id', { name });
+    return result.rows[0].id !== null;
+  }
+  
+  // Create a table from an entity table definition if it does not exist
+  async createTable(name, definition) {
+    await this.exec(`CREATE TABLE IF NOT EXISTS ${name} (${tableColumnsDdl(definition, this)})`);
+  }
+  
+  // Add columns of an entity table definition that the table is missing
+  async addMissingColumns(definition) {
+    for (const column of definition.columns.filter(column => !column.key)) {
+      await this.exec(`ALTER TABLE ${definition.name} ADD COLUMN IF NOT EXISTS ${column.name} ${this.columnType(column.type)}`);
+    }
+  }
+  
+  async dropTable(name) {
+    await this.exec(`DROP TABLE IF EXISTS ${name}`);
+  }
+  
+  // Atomically replace tables with their staging tables ([{ table, staging }]).
+  // Foreign keys in other tables that reference a swapped table follow the
+  // renamed old table, so they are dropped and recreated against the new
+  // table, NOT VALID. The primary key index keeps the staging table's name,
+  // so it is renamed too (index names are unique per schema).
+  async swapTables(swaps) {
+    await this.transaction(async tx => {
+      for (const { table, staging } of swaps) {
+        const old = `${table}_old`;
+        
+        const references = await tx.query(`
+          SELECT con.conname AS name, con.conrelid::regclass::text AS parent_table,
+            pg_get_constraintdef(con.oid) AS definition
+          FROM pg_constraint con
+          WHERE con.contype = 'f'
+            AND con.confrelid = to_regclass(@table)
+            AND con.conrelid <> con.confrelid
+        `, { table });
+        
+        for (const reference of references.rows) {
+          await tx.exec(`ALTER TABLE ${reference.parent_table} DROP CONSTRAINT ${reference.name}`);
+        }
+        
+        await tx.exec(`
+          DROP TABLE IF EXISTS ${old};
+          ALTER TABLE ${table} RENAME TO ${old};
+          ALTER TABLE ${staging} RENAME TO ${table};
+          DROP TABLE ${old};
+          ALTER INDEX IF EXISTS ${staging}_pkey RENAME TO ${table}_pkey;
+        `);
+        
+        for (const reference of references.rows) {
+          await tx.exec(`ALTER TABLE ${reference.parent_table} ADD ${reference.definition} NOT VALID`);
+        }
+      }
+    });
+  }
+  
+  // Insert a row and return the value of the returning column (e.g. a serial id)
+  async insert(table, row, returning = null) {
+    const names = Object.keys(row);
+    const result = await this.query(`
+      INSERT INTO ${table} (${names.join(', ')})
+      VALUES (${names.map(name => `@${name}`).join(', ')})
+      ${returning ? `RETURNING ${returning}` : ''}
+    `, row);
+    
+    return returning ? result.rows[0][returning] : null;
+  }
+  
+  // Insert a row, or update it when a row with the same keys exists.
+  // options: { keys, update (false to leave existing rows alone), touch (a
+  // timestamp column set to now on every write) }. Returns the rows written.
+  async upsert(table, row, { keys, update = true, touch = null }) {
+    const names = Object.keys(row);
+    const updates = names
+      .filter(name => !keys.includes(name))
+      .map(name => `${name} = EXCLUDED.${name}`)
+      .concat(touch ? [`${touch} = ${this.now()}`] : []);
+    const columns = names.concat(touch ? [touch] : []);
+    const values = names.map(name => `@${name}`).concat(touch ? [this.now()] : []);
+    
+    const result = await this.query(`
+      INSERT INTO ${table} (${columns.join(', ')})
+      VALUES (${values.join(', ')})
+      ON CONFLICT (${keys.join(', ')})
+      ${update && updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING'}
+    `, row);
+    
+    return result.rowCount;
+  }
+  
+  // Upsert a batch of rows of an entity table definition into a target table
+  // (the entity table or its staging table), setting sync_date
+  async bulkUpsert(definition, target, rows) {
+    const names = definition.columns.map(column => column.name);
+    const updates = names
+      .filter(name => !definition.keys.includes(name))
+      .map(name => `${name} = EXCLUDED.${name}`)
+      .concat([`sync_date = ${this.now()}`]);
+    const chunkSize = Math.floor(MAX_PARAMETERS / names.length);
+    
+    for (let start = 0; start < rows.length; start += chunkSize) {
+      const values = [];
+      const tuples = rows.slice(start, start + chunkSize).map(row => {
+        const placeholders = names.map(name => {
+          values.push(row[name] === undefined ? null : row[name]);
+          return `$${values.length}`;
+        });
+        return `(${placeholders.join(', ')}, ${this.now()})`;
+      });
+      
+      await this.connection().query(`
+        INSERT INTO ${target} (${names.join(', ')}, sync_date)
+        VALUES ${tuples.join(', ')}
+        ON CONFLICT (${definition.keys.join(', ')})
+        DO UPDATE SET ${updates.join(', ')}
+      `, values);
+    }
+  }
+}
+
+module.exports = {
+  PostgresStorage
+};
@@ -0,0 +1,317 @@
+/**
+ * SQLite Storage Adapter
+ *
+ * For local development and tests without a database server. The database
+ * is a single file (SQLITE_FILE, default picqer.db).
+ *
+ * SQLite has no date type: dates are stored as ISO 8601 strings in UTC, so
+ * they sort and compare correctly. Booleans are stored as 0 and 1.
+ */
+
+const Database = require('better-sqlite3');
+const { parseColumnType, tableColumnsDdl } = require('../entities');
+
+// Convert a parameter to a value SQLite can store
+function toSqliteValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+  
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  
+  // Numbers are bound as doubles, which would store 5 as '5.0' in a text column
+  if (Number.isInteger(value)) {
+    return BigInt(value);
+  }
+  
+  return value;
+}
+
+class SqliteStorage {
+  constructor(config) {
+    this.config = config;
+    this.dialect = 'sqlite';
+    this.db = null;
+    this.inTransaction = false;
+    this.savepoints = 0;
+    // Settles when the open transaction ends
+    this.transactionDone = Promise.resolve();
+  }
+  
+  async connect() {
+    this.db = new Database(this.config.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    // Keep references in other tables pointing at the same table name when a
+    // table is renamed, which is what swapping in staging tables relies on
+    this.db.pragma('legacy_alter_table = ON');
+  }
+  
+  get connected() {
+    return this.db !== null;
+  }
+  
+  // There is no pool: a single connection, used synchronously
+  poolStats() {
+    if (!this.db) {
+      return null;
+    }
+    
+    return {
+      size: 1,
+      inUse: 0,
+      idle: 1,
+      waiting: 0,
+      max: 1
+    };
+  }
+  
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+  
+  // SQL expression for the current time, in the same format as stored dates
+  now() {
+    return '(strftime(\'%Y-%m-%dT%H:%M:%fZ\', \'now\'))';
+  }
+  
+  // SQLite type of a declared column type
+  columnType(type) {
+    const { name } = parseColumnType(type);
+    
+    switch (name) {
+      case 'INT':
+      case 'BIGINT':
+      case 'BIT':
+        return 'INTEGER';
+      case 'FLOAT':
+        return 'REAL';
+      case 'DECIMAL':
+        return 'NUMERIC';
+      default:
+        return 'TEXT';
+    }
+  }
+  
+  // Paging clause using the @limit and @offset parameters
+  pageClause() {
+    return 'LIMIT @limit OFFSET @offset';
+  }
+  
+  // Run a query with @name parameters: { rows, rowCount }
+  async query(text, params = {}) {
+    const statement = this.db.prepare(text);
+    
+    // Only bind the parameters the statement uses
+    const values = {};
+    for (const [name, value] of Object.entries(params)) {
+      if (new RegExp(`@${name}\\b`).test(text)) {
+        values[name] = toSqliteValue(value);
+      }
+    }
+    
+    if (statement.reader) {
+      const rows = statement.all(values);
+      return {
+        rows,
+        rowCount: rows.length
+      };
+    }
+    
+    const result = statement.run(values);
+    return {
+      rows: [],
+      rowCount: result.changes
+    };
+  }
+  
+  // Run a script of one or more statements without parameters
+  async exec(text) {
+    this.db.exec(text);
+  }
+  
+  // Run work(tx) in a transaction; tx is this storage, marked as in the
+  // transaction. Within a transaction, work runs in a savepoint that is
+  // rolled back on its own when work fails.
+  // There is a single connection, so transactions wait for each other and
+  // anything else running meanwhile takes part in the open transaction;
+  // fine for development use.
+  async transaction(work) {
+    if (this.inTransaction) {
+      return this.savepoint(work);
+    }
+    
+    return this.exclusive(() => this.runTransaction(work));
+  }
+  
+  // Run fn once the open transaction has ended, holding off other
+  // transactions until fn is done
+  async exclusive(fn) {
+    const previous = this.transactionDone;
+    let done;
+    this.transactionDone = new Promise(resolve => {
+      done = resolve;
+    });
+    await previous;
+    
+    try {
+      return await fn();
+    } finally {
+      done();
+    }
+  }
+  
+  async runTransaction(work) {
+    const tx = Object.create(this);
+    tx.inTransaction = true;
+    tx.savepoints = 0;
+    
+    this.db.exec('BEGIN IMMEDIATE');
+    
+    try {
+      const result = await work(tx);
+      
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+  
+  async savepoint(work) {
+    const name = `savepoint_${++this.savepoints}`;
+    this.db.exec(`SAVEPOINT ${name}`);
+    
+    try {
+      const result = await work(this);
+      this.db.exec(`RELEASE ${name}`);
+      return result;
+    } catch (error) {
+      this.db.exec(`ROLLBACK TO ${name}`);
+      this.db.exec(`RELEASE ${name}`);
+      throw error;
+    }
+  }
+  
+  async tableExists(name) {
+    const result = await this.query('SELECT name FROM sqlite_master WHERE type = \'table\' AND name = @name', { name });
+    return result.rows.length > 0;
+  }
+  
+  // Create a table from an entity table definition if it does not exist
+  async createTable(name, definition) {
+    await this.exec(`CREATE TABLE IF NOT EXISTS ${name} (${tableColumnsDdl(definition, this)})`);
+  }
+  
+  // Add columns of an entity table definition that the table is missing
+  async addMissingColumns(definition) {
+    const existing = this.db.pragma(`table_info(${definition.name})`).map(column => column.name);
+    
+    for (const column of definition.columns.filter(column => !column.key && !existing.includes(column.name))) {
+      await this.exec(`ALTER TABLE ${definition.name} ADD COLUMN ${column.name} ${this.columnType(column.type)}`);
+    }
+  }
+  
+  async dropTable(name) {
+    await this.exec(`DROP TABLE IF EXISTS ${name}`);
+  }
+  
+  // Atomically replace tables with their staging tables ([{ table, staging }]).
+  // With legacy_alter_table on and foreign keys off while renaming,
+  // references in other tables keep pointing at the table name and so end
+  // up at the new table. Foreign keys can only be switched outside a transaction.
+  async swapTables(swaps) {
+    await this.exclusive(async () => {
+      this.db.pragma('foreign_keys = OFF');
+      
+      try {
+        await this.runTransaction(async tx => {
+          for (const { table, staging } of swaps) {
+            const old = `${table}_old`;
+            
+            await tx.exec(`
+              DROP TABLE IF EXISTS ${old};
+              ALTER TABLE ${table} RENAME TO ${old};
+              ALTER TABLE ${staging} RENAME TO ${table};
+              DROP TABLE ${old};
+            `);
+          }
+        });
+      } finally {
+        this.db.pragma('foreign_keys = ON');
+      }
+    });
+  }
+  
+  // Insert a row and return the value of the returning column (e.g. a rowid id)
+  async insert(table, row, returning = null) {
+    const names = Object.keys(row);
+    const result = await this.query(`
+      INSERT INTO ${table} (${names.join(', ')})
+      VALUES (${names.map(name => `@${name}`).join(', ')})
+      ${returning ? `RETURNING ${returning}` : ''}
+    `, row);
+    
+    return returning ? result.rows[0][returning] : null;
+  }
+  
+  // Insert a row, or update it when a row with the same keys exists.
+  // options: { keys, update (false to leave existing rows alone), touch (a
+  // timestamp column set to now on every write) }. Returns the rows written.
+  async upsert(table, row, { keys, update = true, touch = null }) {
+    const names = Object.keys(row);
+    const updates = names
+      .filter(name => !keys.includes(name))
+      .map(name => `${name} = excluded.${name}`)
+      .concat(touch ? [`${touch} = ${this.now()}`] : []);
+    const columns = names.concat(touch ? [touch] : []);
+    const values = names.map(name => `@${name}`).concat(touch ? [this.now()] : []);
+    
+    const result = await this.query(`
+      INSERT INTO ${table} (${columns.join(', ')})
+      VALUES (${values.join(', ')})
+      ON CONFLICT (${keys.join(', ')})
+      ${update && updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING'}
+    `, row);
+    
+    return result.rowCount;
+  }
+  
+  // Upsert a batch of rows of an entity table definition into a target table
+  // (the entity table or its staging table), setting sync_date.
+  // All rows are written in one transaction with a prepared statement.
+  async bulkUpsert(definition, target, rows) {
+    const names = definition.columns.map(column => column.name);
+    const updates = names
+      .filter(name => !definition.keys.includes(name))
+      .map(name => `${name} = excluded.${name}`)
+      .concat([`sync_date = ${this.now()}`]);
+    
+    const statement = this.db.prepare(`
+      INSERT INTO ${target} (${names.join(', ')}, sync_date)
+      VALUES (${names.map(name => `@${name}`).join(', ')}, ${this.now()})
+      ON CONFLICT (${definition.keys.join(', ')})
+      DO UPDATE SET ${updates.join(', ')}
+    `);
+    
+    this.db.transaction(() => {
+      for (const row of rows) {
+        statement.run(Object.fromEntries(names.map(name => [name, toSqliteValue(row[name])])));
+      }
+    })();
+  }
+}
+
+module.exports = {
+  SqliteStorage
+};
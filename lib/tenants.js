@@ -0,0 +1,158 @@
+/**
+ * Tenants
+ *
+ * One deployment can mirror several Picqer accounts (tenants), e.g. one per
+ * webshop. Tenants are read from a JSON file (TENANTS_FILE, default
+ * tenants.json):
+ *   [
+ *     { "id": "default", "name": "Main shop" },
+ *     {
+ *       "id": "outlet",
+ *       "name": "Outlet",
+ *       "baseUrl": "https://outlet.picqer.com/api/v1",
+ *       "apiKey": "...",
+ *       "webhookSecret": "..."
+ *     }
+ *   ]
+ *
+ * Settings missing from the file are read from the environment, suffixed
+ * with the tenant id: PICQER_BASE_URL_OUTLET, PICQER_API_KEY_OUTLET and
+ * PICQER_WEBHOOK_SECRET_OUTLET. The tenant with id "default" also falls back
+ * to the plain PICQER_BASE_URL, PICQER_API_KEY and PICQER_WEBHOOK_SECRET.
+ * Without a tenants file there is a single "default" tenant configured from
+ * those variables, as before tenants existed.
+ *
+ * Each tenant has its own set of entity tables, prefixed with its id
+ * (outlet_products, outlet_product_stock, ...). The "default" tenant keeps
+ * the unprefixed tables, so an existing deployment keeps its data when it
+ * is listed as "default". The system tables (sync_status, sync_runs,
+ * reconcile_runs, webhook_events) are shared and have a tenant column.
+ *
+ * The first tenant in the file is the default for routes that do not name
+ * a tenant.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { entityTables } = require('./entities');
+
+// Tenant ids become table prefixes, so they are plain lowercase identifiers
+const TENANT_ID = /^[a-z][a-z0-9_]{0,29}$/;
+
+// The tenant that owns the unprefixed tables and the plain PICQER_* settings
+const DEFAULT_TENANT = 'default';
+
+// A tenant setting from the file, or else from the environment
+function tenantSetting(definition, field, variable, env) {
+  if (definition[field]) {
+    return definition[field];
+  }
+  
+  const suffixed = env[`${variable}_${definition.id.toUpperCase()}`];
+  if (suffixed) {
+    return suffixed;
+  }
+  
+  return definition.id === DEFAULT_TENANT ? env[variable] : undefined;
+}
+
+// Validate a tenant definition and fill in its settings
+function normalizeTenant(definition, env) {
+  if (!TENANT_ID.test(definition.id || '')) {
+    throw new Error(`Invalid tenant id: ${definition.id}. Use lowercase letters, digits and underscores`);
+  }
+  
+  return {
+    id: definition.id,
+    name: definition.name || definition.id,
+    baseUrl: tenantSetting(definition, 'baseUrl', 'PICQER_BASE_URL', env) || (definition.id === DEFAULT_TENANT ? env.PICQER_API_URL : undefined),
+    apiKey: tenantSetting(definition, 'apiKey', 'PICQER_API_KEY', env),
+    webhookSecret: tenantSetting(definition, 'webhookSecret', 'PICQER_WEBHOOK_SECRET', env),
+    tablePrefix: definition.id === DEFAULT_TENANT ? '' : `${definition.id}_`
+  };
+}
+
+// All tenants, in the order of the file.
+// An invalid tenants file stops startup rather than syncing into the wrong tables.
+function loadTenants(env = process.env) {
+  const file = path.resolve(env.TENANTS_FILE || 'tenants.json');
+  if (!fs.existsSync(file)) {
+    return [normalizeTenant({ id: DEFAULT_TENANT }, env)];
+  }
+  
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const definitions = Array.isArray(config) ? config : config.tenants || [];
+  
+  if (definitions.length === 0) {
+    throw new Error(`No tenants in ${file}`);
+  }
+  
+  const tenants = [];
+  for (const definition of definitions) {
+    const tenant = normalizeTenant(definition, env);
+    
+    if (tenants.some(existing => existing.id === tenant.id)) {
+      throw new Error(`Duplicate tenant: ${tenant.id}`);
+    }
+    
+    tenants.push(tenant);
+  }
+  
+  logger.info(`Loaded ${tenants.length} tenants from ${file}`);
+  return tenants;
+}
+
+// A table with its name and foreign keys moved to a tenant's tables
+function prefixTable(table, prefix) {
+  return {
+    ...table,
+    name: `${prefix}${table.name}`,
+    columns: table.columns.map(column => (column.references
+      ? { ...column, references: `${prefix}${column.references}` }
+      : column))
+  };
+}
+
+// Entity definitions reading and writing a tenant's tables
+function tenantEntities(entities, tenant) {
+  const prefix = tenant.tablePrefix;
+  if (!prefix) {
+    return entities;
+  }
+  
+  return entities.map(entity => {
+    const table = prefixTable({ name: entity.table, columns: entity.columns }, prefix);
+    
+    return {
+      ...entity,
+      table: table.name,
+      columns: table.columns,
+      historyTable: entity.historyTable ? `${prefix}${entity.historyTable}` : null,
+      children: entity.children.map(child => prefixTable(child, prefix))
+    };
+  });
+}
+
+// Tables of all entities of all tenants by name, including child tables.
+// Tables are created in this order, so referenced tables come first.
+function tenantTables(entities, tenants) {
+  const tables = {};
+  for (const tenant of tenants) {
+    for (const table of entityTables(tenantEntities(entities, tenant))) {
+      if (tables[table.name]) {
+        throw new Error(`Table ${table.name} of tenant ${tenant.id} is already used by another tenant`);
+      }
+      tables[table.name] = table;
+    }
+  }
+  
+  return tables;
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  loadTenants,
+  tenantEntities,
+  tenantTables
+};
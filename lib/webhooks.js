@@ -0,0 +1,164 @@
+/**
+ * Picqer Webhooks
+ *
+ * Applies webhook events from Picqer to a tenant's tables. Every event is
+ * logged in webhook_events with the outcome of processing it, so failed
+ * events can be inspected and replayed.
+ *
+ * Requests are verified by their X-Picqer-Signature header: a base64
+ * HMAC-SHA256 of the raw body with the tenant's webhook secret.
+ */
+
+const crypto = require('crypto');
+const { BatchWriter, deleteChildRows } = require('./batch');
+const { mapRecord } = require('./entities');
+const { logger } = require('./logger');
+
+// Check the X-Picqer-Signature header: a base64 HMAC-SHA256 of the raw body
+function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret) {
+    return false;
+  }
+  
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+  
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+// A webhook event that can never be processed, so Picqer should not retry
+// it: events we do not handle are acknowledged with a 202 and malformed
+// payloads rejected with a 400
+class WebhookEventError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'WebhookEventError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Applies and logs the webhook events of all tenants.
+// tables holds the table definitions of the entity tables by name. Each
+// event is recorded as a sync run with the webhook trigger through
+// hooks.startRun(tenant, entity, startedAt), which returns the run id, and
+// hooks.finishRun(runId, result, startedAt); hooks.recordHistory(definition,
+// options) records the change in the history of the entity.
+class WebhookProcessor {
+  constructor(storage, tables, hooks) {
+    this.storage = storage;
+    this.tables = tables;
+    this.hooks = hooks;
+  }
+  
+  // Apply a webhook event to a tenant's tables: upsert or delete the affected record.
+  // The entity is the first part of the event name (products.free_stock_changed);
+  // only entities with webhooks enabled in the registry are handled.
+  // Payloads do not always carry every field (e.g. picklists.closed), so the
+  // record is fetched from Picqer and written in full.
+  async processEvent(tenant, payload) {
+    const [entity, action] = (payload.event || '').split('.');
+    const definition = tenant.registry[entity];
+    
+    if (!definition || !definition.webhooks) {
+      throw new WebhookEventError(`Unsupported webhook event: ${payload.event}`, 202);
+    }
+    
+    const keyColumn = definition.columns.find(column => column.name === definition.key);
+    const id = mapRecord(definition, payload.data || {}).row[definition.key];
+    if (id === null || id === undefined) {
+      throw new WebhookEventError(`Webhook event ${payload.event} has no ${keyColumn.source || definition.key}`, 400);
+    }
+    
+    const startedAt = new Date();
+    const runId = await this.hooks.startRun(tenant, entity, startedAt);
+    
+    try {
+      // A record Picqer no longer has is deleted as well
+      const record = action === 'deleted' ? null : await tenant.picqerClient.getRecord(definition.endpoint, id);
+      
+      await this.storage.transaction(async tx => {
+        // Children are always replaced, so removed lines disappear
+        await deleteChildRows(definition, [id], tx);
+        
+        if (!record) {
+          await tx.query(`DELETE FROM ${definition.table} WHERE ${definition.key} = @id`, { id });
+          return;
+        }
+        
+        const { row, children } = mapRecord(definition, record);
+        await new BatchWriter(this.storage, this.tables[definition.table]).upsertRow(row, tx);
+        
+        for (const child of definition.children) {
+          const childWriter = new BatchWriter(this.storage, this.tables[child.name]);
+          for (const childRow of children[child.name]) {
+            await childWriter.upsertRow(childRow, tx);
+          }
+        }
+      });
+      
+      await this.hooks.recordHistory(definition, { ids: [id], tombstones: !record });
+      await this.hooks.finishRun(runId, {
+        success: true,
+        fetched: record ? 1 : 0,
+        count: record ? 1 : 0
+      }, startedAt);
+      
+      logger.info(`${record ? 'Upserted' : 'Deleted'} ${entity} ${id} after ${payload.event} webhook`);
+    } catch (error) {
+      await this.hooks.finishRun(runId, {
+        success: false,
+        error: error.message
+      }, startedAt);
+      throw error;
+    }
+  }
+  
+  // Log a received webhook event and return its id
+  async logEvent(tenant, payload) {
+    return this.storage.insert('webhook_events', {
+      tenant: tenant.id,
+      idhook: payload.idhook || null,
+      event: payload.event || 'unknown',
+      status: 'received',
+      payload: JSON.stringify(payload)
+    }, 'id');
+  }
+  
+  // Process a logged webhook event and record the outcome
+  async handleEvent(tenant, eventId, payload) {
+    let error = null;
+    
+    try {
+      await logger.withContext({ tenant: tenant.id, webhookEventId: eventId }, () => this.processEvent(tenant, payload));
+    } catch (processError) {
+      // Events we cannot process are not errors of the middleware
+      const level = processError instanceof WebhookEventError ? 'warn' : 'error';
+      logger[level](`Error processing webhook event ${eventId} (${payload.event})`, {
+        webhookEventId: eventId,
+        error: processError.message
+      });
+      error = processError;
+    }
+    
+    await this.storage.query(`
+      UPDATE webhook_events SET status = @status, error = @error, processed_at = ${this.storage.now()}
+      WHERE id = @id
+    `, {
+      id: eventId,
+      status: error ? 'error' : 'processed',
+      error: error ? error.message : null
+    });
+    
+    if (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  WebhookEventError,
+  WebhookProcessor,
+  verifyWebhookSignature
+};
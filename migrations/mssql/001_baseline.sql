@@ -0,0 +1,79 @@
+-- Baseline: the system tables as created by createTablesIfNotExist before
+-- migrations were introduced. Every statement only creates what is missing,
+-- so existing installs are adopted as they are (and installs from older
+-- versions get the tables and columns they lack).
+-- Entity tables are created from the entity registry, not by migrations.
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'sync_status')
+CREATE TABLE sync_status (
+  entity VARCHAR(50) PRIMARY KEY,
+  last_sync DATETIME,
+  record_count INT,
+  status VARCHAR(50),
+  last_full_sync DATETIME
+);
+GO
+
+-- sync_status tables created before incremental sync
+IF COL_LENGTH('sync_status', 'last_full_sync') IS NULL
+ALTER TABLE sync_status ADD last_full_sync DATETIME;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'sync_runs')
+BEGIN
+  CREATE TABLE sync_runs (
+    id INT IDENTITY(1, 1) PRIMARY KEY,
+    entity VARCHAR(50) NOT NULL,
+    trigger_type VARCHAR(20) NOT NULL,
+    mode VARCHAR(20),
+    status VARCHAR(20) NOT NULL,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME,
+    duration_ms INT,
+    fetched_count INT,
+    inserted_count INT,
+    failed_count INT,
+    retry_count INT,
+    error NVARCHAR(MAX)
+  );
+  CREATE INDEX IX_sync_runs_started_at ON sync_runs (started_at DESC);
+END;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'webhook_events')
+BEGIN
+  CREATE TABLE webhook_events (
+    id INT IDENTITY(1, 1) PRIMARY KEY,
+    idhook INT,
+    event VARCHAR(100) NOT NULL,
+    received_at DATETIME NOT NULL DEFAULT GETDATE(),
+    processed_at DATETIME,
+    status VARCHAR(20) NOT NULL,
+    error NVARCHAR(MAX),
+    payload NVARCHAR(MAX) NOT NULL
+  );
+  CREATE INDEX IX_webhook_events_received_at ON webhook_events (received_at DESC);
+END;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'api_keys')
+CREATE TABLE api_keys (
+  id INT IDENTITY(1, 1) PRIMARY KEY,
+  name NVARCHAR(100) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  role VARCHAR(20) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT GETDATE(),
+  last_used_at DATETIME,
+  revoked_at DATETIME
+);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'dashboard_users')
+CREATE TABLE dashboard_users (
+  id INT IDENTITY(1, 1) PRIMARY KEY,
+  username NVARCHAR(100) NOT NULL UNIQUE,
+  password_hash VARCHAR(200) NOT NULL,
+  role VARCHAR(20) NOT NULL,
+  disabled BIT NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT GETDATE()
+);
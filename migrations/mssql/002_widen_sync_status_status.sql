@@ -0,0 +1,3 @@
+-- Failed syncs store 'error: ' followed by up to 255 characters of the error
+-- message in sync_status.status, which does not fit in VARCHAR(50)
+ALTER TABLE sync_status ALTER COLUMN status VARCHAR(300);
@@ -0,0 +1,21 @@
+-- Reconciliation runs: how an entity in Picqer compared to its table.
+-- details holds the JSON report (missing ids and mismatched fields).
+
+CREATE TABLE reconcile_runs (
+  id INT IDENTITY(1, 1) PRIMARY KEY,
+  entity VARCHAR(50) NOT NULL,
+  trigger_type VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  started_at DATETIME NOT NULL,
+  finished_at DATETIME,
+  picqer_count INT,
+  database_count INT,
+  missing_in_database INT,
+  missing_in_picqer INT,
+  mismatched INT,
+  details NVARCHAR(MAX),
+  error NVARCHAR(MAX)
+);
+GO
+
+CREATE INDEX IX_reconcile_runs_entity ON reconcile_runs (entity, id DESC);
@@ -0,0 +1,23 @@
+-- Tenants: the system tables are shared by all tenants and record which
+-- tenant a row belongs to. Rows from before tenants belong to the default
+-- tenant, and sync_status is keyed per tenant.
+
+ALTER TABLE sync_status ADD tenant VARCHAR(50) NOT NULL CONSTRAINT DF_sync_status_tenant DEFAULT 'default';
+ALTER TABLE sync_runs ADD tenant VARCHAR(50) NOT NULL CONSTRAINT DF_sync_runs_tenant DEFAULT 'default';
+ALTER TABLE reconcile_runs ADD tenant VARCHAR(50) NOT NULL CONSTRAINT DF_reconcile_runs_tenant DEFAULT 'default';
+ALTER TABLE webhook_events ADD tenant VARCHAR(50) NOT NULL CONSTRAINT DF_webhook_events_tenant DEFAULT 'default';
+GO
+
+-- The primary key of sync_status was created without a name
+DECLARE @primaryKey SYSNAME = (
+  SELECT name FROM sys.key_constraints
+  WHERE type = 'PK' AND parent_object_id = OBJECT_ID('sync_status')
+);
+EXEC('ALTER TABLE sync_status DROP CONSTRAINT ' + @primaryKey);
+GO
+
+ALTER TABLE sync_status ADD CONSTRAINT PK_sync_status PRIMARY KEY (tenant, entity);
+GO
+
+DROP INDEX IX_reconcile_runs_entity ON reconcile_runs;
+CREATE INDEX IX_reconcile_runs_entity ON reconcile_runs (tenant, entity, id DESC);
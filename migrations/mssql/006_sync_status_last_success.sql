@@ -0,0 +1,7 @@
+-- Incremental syncs continue from the start of the last successful sync,
+-- kept apart from last_sync so a failed sync does not move it
+ALTER TABLE sync_status ADD last_success DATETIME NULL;
+GO
+
+UPDATE sync_status SET last_success = last_sync WHERE status = 'success';
+GO
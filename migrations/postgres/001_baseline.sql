@@ -0,0 +1,58 @@
+-- Baseline: the system tables, matching the SQL Server schema at version 002.
+-- Entity tables are created from the entity registry, not by migrations.
+
+CREATE TABLE IF NOT EXISTS sync_status (
+  entity VARCHAR(50) PRIMARY KEY,
+  last_sync TIMESTAMP,
+  record_count INTEGER,
+  status VARCHAR(300),
+  last_full_sync TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS sync_runs (
+  id SERIAL PRIMARY KEY,
+  entity VARCHAR(50) NOT NULL,
+  trigger_type VARCHAR(20) NOT NULL,
+  mode VARCHAR(20),
+  status VARCHAR(20) NOT NULL,
+  started_at TIMESTAMP NOT NULL,
+  finished_at TIMESTAMP,
+  duration_ms INTEGER,
+  fetched_count INTEGER,
+  inserted_count INTEGER,
+  failed_count INTEGER,
+  retry_count INTEGER,
+  error TEXT
+);
+CREATE INDEX IF NOT EXISTS ix_sync_runs_started_at ON sync_runs (started_at DESC);
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id SERIAL PRIMARY KEY,
+  idhook INTEGER,
+  event VARCHAR(100) NOT NULL,
+  received_at TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+  processed_at TIMESTAMP,
+  status VARCHAR(20) NOT NULL,
+  error TEXT,
+  payload TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS ix_webhook_events_received_at ON webhook_events (received_at DESC);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  role VARCHAR(20) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS dashboard_users (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(100) NOT NULL UNIQUE,
+  password_hash VARCHAR(200) NOT NULL,
+  role VARCHAR(20) NOT NULL,
+  disabled BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP
+);
@@ -0,0 +1,20 @@
+-- Reconciliation runs: how an entity in Picqer compared to its table.
+-- details holds the JSON report (missing ids and mismatched fields).
+
+CREATE TABLE reconcile_runs (
+  id SERIAL PRIMARY KEY,
+  entity VARCHAR(50) NOT NULL,
+  trigger_type VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  started_at TIMESTAMP NOT NULL,
+  finished_at TIMESTAMP,
+  picqer_count INTEGER,
+  database_count INTEGER,
+  missing_in_database INTEGER,
+  missing_in_picqer INTEGER,
+  mismatched INTEGER,
+  details TEXT,
+  error TEXT
+);
+
+CREATE INDEX ix_reconcile_runs_entity ON reconcile_runs (entity, id DESC);
@@ -0,0 +1,14 @@
+-- Tenants: the system tables are shared by all tenants and record which
+-- tenant a row belongs to. Rows from before tenants belong to the default
+-- tenant, and sync_status is keyed per tenant.
+
+ALTER TABLE sync_status ADD COLUMN tenant VARCHAR(50) NOT NULL DEFAULT 'default';
+ALTER TABLE sync_status DROP CONSTRAINT sync_status_pkey;
+ALTER TABLE sync_status ADD PRIMARY KEY (tenant, entity);
+
+ALTER TABLE sync_runs ADD COLUMN tenant VARCHAR(50) NOT NULL DEFAULT 'default';
+ALTER TABLE reconcile_runs ADD COLUMN tenant VARCHAR(50) NOT NULL DEFAULT 'default';
+ALTER TABLE webhook_events ADD COLUMN tenant VARCHAR(50) NOT NULL DEFAULT 'default';
+
+DROP INDEX ix_reconcile_runs_entity;
+CREATE INDEX ix_reconcile_runs_entity ON reconcile_runs (tenant, entity, id DESC);
@@ -0,0 +1,3 @@
+-- Reconciliation also counts rows whose references point at a missing record
+-- (e.g. stock in a warehouse that is not in warehouses)
+ALTER TABLE reconcile_runs ADD COLUMN broken_references INTEGER;
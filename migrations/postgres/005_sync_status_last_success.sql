@@ -0,0 +1,4 @@
+-- Incremental syncs continue from the start of the last successful sync,
+-- kept apart from last_sync so a failed sync does not move it
+ALTER TABLE sync_status ADD COLUMN last_success TIMESTAMP;
+UPDATE sync_status SET last_success = last_sync WHERE status = 'success';
@@ -0,0 +1,59 @@
+-- Baseline: the system tables, matching the SQL Server schema at version 002.
+-- Dates are stored as ISO 8601 strings in UTC, booleans as 0 and 1.
+-- Entity tables are created from the entity registry, not by migrations.
+
+CREATE TABLE IF NOT EXISTS sync_status (
+  entity TEXT PRIMARY KEY,
+  last_sync TEXT,
+  record_count INTEGER,
+  status TEXT,
+  last_full_sync TEXT
+);
+
+CREATE TABLE IF NOT EXISTS sync_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entity TEXT NOT NULL,
+  trigger_type TEXT NOT NULL,
+  mode TEXT,
+  status TEXT NOT NULL,
+  started_at TEXT NOT NULL,
+  finished_at TEXT,
+  duration_ms INTEGER,
+  fetched_count INTEGER,
+  inserted_count INTEGER,
+  failed_count INTEGER,
+  retry_count INTEGER,
+  error TEXT
+);
+CREATE INDEX IF NOT EXISTS ix_sync_runs_started_at ON sync_runs (started_at DESC);
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  idhook INTEGER,
+  event TEXT NOT NULL,
+  received_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  processed_at TEXT,
+  status TEXT NOT NULL,
+  error TEXT,
+  payload TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS ix_webhook_events_received_at ON webhook_events (received_at DESC);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  role TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_used_at TEXT,
+  revoked_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS dashboard_users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL,
+  disabled INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
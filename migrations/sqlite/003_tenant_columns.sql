@@ -0,0 +1,27 @@
+-- Tenants: the system tables are shared by all tenants and record which
+-- tenant a row belongs to. Rows from before tenants belong to the default
+-- tenant. sync_status is keyed per tenant, which SQLite can only do by
+-- rebuilding the table.
+
+CREATE TABLE sync_status_new (
+  tenant TEXT NOT NULL DEFAULT 'default',
+  entity TEXT NOT NULL,
+  last_sync TEXT,
+  record_count INTEGER,
+  status TEXT,
+  last_full_sync TEXT,
+  PRIMARY KEY (tenant, entity)
+);
+
+INSERT INTO sync_status_new (entity, last_sync, record_count, status, last_full_sync)
+SELECT entity, last_sync, record_count, status, last_full_sync FROM sync_status;
+
+DROP TABLE sync_status;
+ALTER TABLE sync_status_new RENAME TO sync_status;
+
+ALTER TABLE sync_runs ADD COLUMN tenant TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE reconcile_runs ADD COLUMN tenant TEXT NOT NULL DEFAULT 'default';
+ALTER TABLE webhook_events ADD COLUMN tenant TEXT NOT NULL DEFAULT 'default';
+
+DROP INDEX ix_reconcile_runs_entity;
+CREATE INDEX ix_reconcile_runs_entity ON reconcile_runs (tenant, entity, id DESC);
@@ -0,0 +1,57 @@
+/**
+ * Apply pending schema migrations, or print them with --dry-run.
+ *
+ *   npm run migrate
+ *   npm run migrate -- --dry-run
+ *
+ * Migrations are taken from the directory of the database client selected
+ * by DB_CLIENT. The middleware also applies pending migrations itself on startup.
+ *
+ * Entity tables missing from the database are created first, as on startup,
+ * so migrations that alter them also work on a fresh install. A dry run
+ * changes nothing and lists those migrations as pending all the same.
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+const { createStorage } = require('../lib/storage');
+const { Migrator } = require('../lib/migrations');
+const { loadEntities } = require('../lib/entities');
+const { loadTenants, tenantTables } = require('../lib/tenants');
+
+// Create the entity tables of all tenants that don't exist yet
+async function createEntityTables(storage) {
+  const tables = Object.values(tenantTables(loadEntities(), loadTenants()));
+  
+  for (const table of tables) {
+    await storage.createTable(table.name, table);
+  }
+  for (const table of tables) {
+    await storage.addMissingColumns(table);
+  }
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const storage = createStorage();
+  await storage.connect();
+  
+  try {
+    const migrator = new Migrator(storage);
+    
+    if (dryRun) {
+      console.log(await migrator.dryRun());
+    } else {
+      await createEntityTables(storage);
+      await migrator.migrate();
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Error running migrations:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStorage } = require('./helpers');
+const { Migrator } = require('../lib/migrations');
+const { Authenticator, generateApiKey, hashApiKey, hashPassword, verifyPassword } = require('../lib/auth');
+
+let storage;
+let auth;
+
+test.beforeEach(async () => {
+  storage = await createStorage();
+  await new Migrator(storage).migrate();
+  auth = new Authenticator({ storage, sessionSecret: 'secret', sessionTtlHours: 1, bootstrapApiKey: 'bootstrap-key' });
+});
+
+test.afterEach(() => storage.close());
+
+// A request with the given headers, the way Express exposes them
+function request(headers = {}) {
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: name => lowerCased[name.toLowerCase()] };
+}
+
+// Run a requireRole middleware and report what it did
+async function runMiddleware(middleware, req) {
+  const outcome = { status: null, body: null, redirect: null, next: false };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+    },
+    redirect(url) {
+      outcome.redirect = url;
+    }
+  };
+  
+  await middleware(req, res, () => {
+    outcome.next = true;
+  });
+  
+  return { ...outcome, user: req.user };
+}
+
+async function addApiKey(name, role) {
+  const key = generateApiKey();
+  await storage.insert('api_keys', { name, key_hash: hashApiKey(key), role });
+  return key;
+}
+
+test('stores API keys as SHA-256 hashes', () => {
+  const key = generateApiKey();
+  
+  assert.match(key, /^pm_[0-9a-f]{48}$/);
+  assert.notStrictEqual(generateApiKey(), key);
+  assert.match(hashApiKey(key), /^[0-9a-f]{64}$/);
+  assert.strictEqual(hashApiKey(key), hashApiKey(key));
+  assert.notStrictEqual(hashApiKey(key), hashApiKey(`${key}x`));
+});
+
+test('hashes passwords with scrypt and a random salt', () => {
+  const hash = hashPassword('correct horse');
+  
+  assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.notStrictEqual(hashPassword('correct horse'), hash);
+  assert.strictEqual(verifyPassword('correct horse', hash), true);
+  assert.strictEqual(verifyPassword('wrong horse', hash), false);
+  assert.strictEqual(verifyPassword('correct horse', 'plain'), false);
+  assert.strictEqual(verifyPassword('correct horse', null), false);
+});
+
+test('looks up API keys and ignores unknown and revoked keys', async () => {
+  const key = await addApiKey('reports', 'viewer');
+  
+  assert.deepStrictEqual(await auth.verifyApiKey(key), { name: 'reports', role: 'viewer', via: 'api-key' });
+  assert.deepStrictEqual(await auth.verifyApiKey('bootstrap-key'), { name: 'bootstrap', role: 'admin', via: 'api-key' });
+  assert.strictEqual(await auth.verifyApiKey(generateApiKey()), null);
+  
+  await storage.query(`UPDATE api_keys SET revoked_at = ${storage.now()}`);
+  assert.strictEqual(await auth.verifyApiKey(key), null);
+});
+
+test('checks dashboard users against their password hash', async () => {
+  await storage.insert('dashboard_users', { username: 'ann', password_hash: hashPassword('pw'), role: 'operator' });
+  await storage.insert('dashboard_users', { username: 'bob', password_hash: hashPassword('pw'), role: 'admin', disabled: 1 });
+  
+  assert.deepStrictEqual(await auth.verifyUser('ann', 'pw'), { username: 'ann', role: 'operator' });
+  assert.strictEqual(await auth.verifyUser('ann', 'wrong'), null);
+  assert.strictEqual(await auth.verifyUser('bob', 'pw'), null);
+  assert.strictEqual(await auth.verifyUser('nobody', 'pw'), null);
+});
+
+test('signs session cookies that expire after the session lifetime', t => {
+  const token = auth.createSession({ username: 'ann', role: 'operator' });
+  
+  assert.deepStrictEqual(auth.verifySession(token), { name: 'ann', role: 'operator', via: 'session' });
+  assert.match(auth.sessionCookie(token, true), /^picqer_session=[^;]+; Path=\/; HttpOnly; SameSite=Lax; Max-Age=3600; Secure$/);
+  assert.match(auth.sessionCookie('', false), /Max-Age=0$/);
+  
+  // Sessions of another secret, e.g. from before a restart, are not valid
+  const other = new Authenticator({ storage, sessionSecret: 'other' });
+  assert.strictEqual(other.verifySession(token), null);
+  
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 61 * 60 * 1000);
+  assert.strictEqual(auth.verifySession(token), null);
+});
+
+test('rejects tampered session cookies', () => {
+  const token = auth.createSession({ username: 'ann', role: 'viewer' });
+  const [payload, signature] = token.split('.');
+  
+  // Raising the role in the payload breaks the signature
+  const raised = Buffer.from(JSON.stringify({
+    ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+    role: 'admin'
+  })).toString('base64url');
+  
+  assert.strictEqual(auth.verifySession(`${raised}.${signature}`), null);
+  assert.strictEqual(auth.verifySession(`${payload}.${signature.slice(0, -2)}xx`), null);
+  assert.strictEqual(auth.verifySession(payload), null);
+  assert.strictEqual(auth.verifySession('not.a-session'), null);
+  assert.strictEqual(auth.verifySession(undefined), null);
+});
+
+test('lets in callers with at least the required role', async () => {
+  const viewer = await addApiKey('reports', 'viewer');
+  const operator = auth.createSession({ username: 'ann', role: 'operator' });
+  
+  const byKey = await runMiddleware(auth.requireRole('viewer'), request({ 'X-API-Key': viewer }));
+  assert.strictEqual(byKey.next, true);
+  assert.deepStrictEqual(byKey.user, { name: 'reports', role: 'viewer', via: 'api-key' });
+  
+  const byBearer = await runMiddleware(auth.requireRole('admin'), request({ Authorization: 'Bearer bootstrap-key' }));
+  assert.strictEqual(byBearer.next, true);
+  
+  for (const role of ['viewer', 'operator']) {
+    const bySession = await runMiddleware(auth.requireRole(role), request({ Cookie: `theme=dark; picqer_session=${operator}` }));
+    assert.strictEqual(bySession.next, true);
+    assert.strictEqual(bySession.user.name, 'ann');
+  }
+});
+
+test('refuses callers whose role is too low', async () => {
+  const viewer = await addApiKey('reports', 'viewer');
+  const operator = auth.createSession({ username: 'ann', role: 'operator' });
+  
+  const viewerAsOperator = await runMiddleware(auth.requireRole('operator'), request({ 'X-API-Key': viewer }));
+  assert.strictEqual(viewerAsOperator.next, false);
+  assert.strictEqual(viewerAsOperator.status, 403);
+  assert.strictEqual(viewerAsOperator.body.error, 'This requires the operator role');
+  
+  const operatorAsAdmin = await runMiddleware(auth.requireRole('admin'), request({ Cookie: `picqer_session=${operator}` }));
+  assert.strictEqual(operatorAsAdmin.status, 403);
+  
+  // Roles that are not known grant nothing
+  const unknown = auth.createSession({ username: 'eve', role: 'superuser' });
+  assert.strictEqual((await runMiddleware(auth.requireRole('viewer'), request({ Cookie: `picqer_session=${unknown}` }))).status, 403);
+});
+
+test('asks unauthenticated callers to log in', async () => {
+  const api = await runMiddleware(auth.requireRole('viewer'), request({ 'X-API-Key': 'wrong' }));
+  assert.strictEqual(api.status, 401);
+  assert.strictEqual(api.next, false);
+  
+  const page = await runMiddleware(auth.requireRole('viewer', { redirect: '/login' }), request({ Cookie: 'picqer_session=forged.token' }));
+  assert.strictEqual(page.redirect, '/login');
+});
+
+test('lets everyone in as admin when authentication is disabled', async () => {
+  const disabled = new Authenticator({ storage, sessionSecret: 'secret', disabled: true });
+  const outcome = await runMiddleware(disabled.requireRole('admin'), request());
+  
+  assert.strictEqual(outcome.next, true);
+  assert.deepStrictEqual(outcome.user, { name: 'anonymous', role: 'admin', via: 'disabled' });
+});
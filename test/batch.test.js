@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { builtInEntities, createStorage } = require('./helpers');
+const { entityTables } = require('../lib/entities');
+const { BatchWriter } = require('../lib/batch');
+
+const { warehouses, products } = builtInEntities();
+const tables = Object.fromEntries(entityTables([warehouses, products]).map(table => [table.name, table]));
+
+let storage;
+
+test.beforeEach(async () => {
+  storage = await createStorage([warehouses, products]);
+  
+  for (const id of [1, 2]) {
+    await storage.insert(warehouses.table, { id, idwarehouse: String(id), name: `Warehouse ${id}` });
+  }
+  await storage.insert(products.table, { id: 10, idproduct: '10', name: 'Chair' });
+});
+
+test.afterEach(() => storage.close());
+
+function stockRow(warehouseId, freeStock = 1) {
+  return { product_id: 10, warehouse_id: warehouseId, free_stock: freeStock, reserved_stock: 0, total_stock: freeStock };
+}
+
+async function storedStock() {
+  const result = await storage.query('SELECT warehouse_id, free_stock FROM product_stock ORDER BY warehouse_id');
+  return result.rows.map(row => [Number(row.warehouse_id), Number(row.free_stock)]);
+}
+
+test('writes rows in batches of the batch size and the rest on close', async () => {
+  const writer = new BatchWriter(storage, tables.warehouses, 'warehouses', 2);
+  
+  await writer.add({ id: 3, idwarehouse: '3', name: 'Third' });
+  assert.strictEqual(writer.insertedCount, 0);
+  await writer.add({ id: 4, idwarehouse: '4', name: 'Fourth' });
+  assert.strictEqual(writer.insertedCount, 2);
+  
+  await writer.add({ id: 5, idwarehouse: '5', name: 'Fifth' });
+  await writer.close();
+  assert.strictEqual(writer.insertedCount, 3);
+  
+  const result = await storage.query('SELECT COUNT(*) AS total FROM warehouses');
+  assert.strictEqual(Number(result.rows[0].total), 5);
+});
+
+test('writes a row that shows up twice in a batch once, with its last values', async () => {
+  const writer = new BatchWriter(storage, tables.product_stock);
+  
+  await writer.add(stockRow(1, 3));
+  await writer.add(stockRow(1, 5));
+  await writer.close();
+  
+  assert.strictEqual(writer.insertedCount, 1);
+  assert.deepStrictEqual(await storedStock(), [[1, 5]]);
+});
+
+test('retries a failed batch row by row and collects the rows that fail', async () => {
+  const writer = new BatchWriter(storage, tables.product_stock);
+  
+  // Warehouse 7 does not exist, so its row fails the foreign key
+  await writer.add(stockRow(1));
+  await writer.add(stockRow(7));
+  await writer.add(stockRow(2));
+  await writer.close();
+  
+  assert.strictEqual(writer.insertedCount, 2);
+  assert.strictEqual(writer.failedCount, 1);
+  assert.strictEqual(writer.failedRows.length, 1);
+  assert.strictEqual(writer.failedRows[0].id, '10:7');
+  assert.match(writer.failedRows[0].error, /FOREIGN KEY/);
+  assert.deepStrictEqual(await storedStock(), [[1, 1], [2, 1]]);
+});
+
+test('counts every failed row but keeps only the first 50', async () => {
+  const writer = new BatchWriter(storage, tables.product_stock);
+  
+  for (let id = 100; id < 160; id++) {
+    await writer.add(stockRow(id));
+  }
+  await writer.close();
+  
+  assert.strictEqual(writer.insertedCount, 0);
+  assert.strictEqual(writer.failedCount, 60);
+  assert.strictEqual(writer.failedRows.length, 50);
+  assert.strictEqual(writer.failedRows[0].id, '10:100');
+});
+
+test('undoes only the failed rows when writing in a transaction', async () => {
+  const writer = new BatchWriter(storage, tables.product_stock);
+  
+  await storage.transaction(async tx => {
+    await writer.add(stockRow(1), tx);
+    await writer.add(stockRow(7), tx);
+    await writer.close(tx);
+  });
+  
+  assert.strictEqual(writer.failedCount, 1);
+  assert.deepStrictEqual(await storedStock(), [[1, 1]]);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EXPORT_FORMATS } = require('../lib/export');
+
+const { csv, ndjson } = EXPORT_FORMATS;
+
+test('writes plain CSV values as they are', () => {
+  assert.strictEqual(csv.header(['id', 'name', 'price']), 'id,name,price\r\n');
+  assert.strictEqual(csv.row(['id', 'name', 'price'], { id: 1, name: 'Chair', price: 12.5 }), '1,Chair,12.5\r\n');
+});
+
+test('quotes CSV values with separators, quotes or line breaks and doubles quotes', () => {
+  const names = ['comma', 'quote', 'newline', 'return', 'all'];
+  const row = {
+    comma: 'Chair, oak',
+    quote: '24" monitor',
+    newline: 'first\nsecond',
+    return: 'first\rsecond',
+    all: '"a", b\r\n'
+  };
+  
+  assert.strictEqual(
+    csv.row(names, row),
+    '"Chair, oak","24"" monitor","first\nsecond","first\rsecond","""a"", b\r\n"\r\n'
+  );
+});
+
+test('writes empty CSV cells for missing values and dates in ISO 8601', () => {
+  const names = ['missing', 'empty', 'zero', 'flag', 'date'];
+  const row = {
+    empty: null,
+    zero: 0,
+    flag: false,
+    date: new Date(Date.UTC(2024, 0, 2, 10, 30))
+  };
+  
+  assert.strictEqual(csv.row(names, row), ',,0,false,2024-01-02T10:30:00.000Z\r\n');
+});
+
+test('writes one JSON record per line with null for missing values', () => {
+  assert.strictEqual(ndjson.header(['id']), '');
+  assert.strictEqual(
+    ndjson.row(['id', 'name', 'price'], { id: 1, name: 'Chair, "oak"\n', extra: true }),
+    '{"id":1,"name":"Chair, \\"oak\\"\\n","price":null}\n'
+  );
+});
@@ -0,0 +1,38 @@
+/**
+ * Test Helpers
+ *
+ * Tests run against in-memory SQLite databases, so they need no database
+ * server and leave no files behind.
+ */
+
+const { loadEntities, entityTables } = require('../lib/entities');
+const { logger } = require('../lib/logger');
+const { SqliteStorage } = require('../lib/storage/sqlite');
+
+// Log entries are only kept in the logger's buffer while testing
+const discard = { write() {} };
+logger.output = discard;
+logger.errorOutput = discard;
+
+// The built-in entities by name, without custom entities from the working directory
+function builtInEntities() {
+  const entities = loadEntities({ ENTITY_CONFIG_FILE: 'no-entities.json' });
+  return Object.fromEntries(entities.map(entity => [entity.name, entity]));
+}
+
+// A connected in-memory SQLite database with the tables of the given entities
+async function createStorage(entities = []) {
+  const storage = new SqliteStorage({ filename: ':memory:' });
+  await storage.connect();
+  
+  for (const table of entityTables(entities)) {
+    await storage.createTable(table.name, table);
+  }
+  
+  return storage;
+}
+
+module.exports = {
+  builtInEntities,
+  createStorage
+};
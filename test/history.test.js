@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { builtInEntities, createStorage } = require('./helpers');
+const { HistoryRecorder } = require('../lib/history');
+
+const { products } = builtInEntities();
+
+let storage;
+let history;
+
+test.beforeEach(async () => {
+  storage = await createStorage([products]);
+  history = new HistoryRecorder(storage);
+  await history.createTable(products);
+  
+  await storage.insert(products.table, { id: 1, idproduct: '1', name: 'Chair', price: 10, stock: 4 });
+  await storage.insert(products.table, { id: 2, idproduct: '2', name: 'Table', price: 20, stock: 1 });
+});
+
+test.afterEach(() => storage.close());
+
+// Versions are dated to the millisecond, keep them apart
+function tick() {
+  return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+async function setPrice(id, price) {
+  await storage.query(`UPDATE ${products.table} SET price = @price WHERE id = @id`, { id, price });
+}
+
+async function removeProduct(id) {
+  await storage.query(`DELETE FROM ${products.table} WHERE id = @id`, { id });
+}
+
+test('opens a version for every new record', async () => {
+  assert.deepStrictEqual(await history.record(products), { versions: 2, deleted: 0 });
+  
+  const [version] = await history.timeline(products, 1);
+  assert.strictEqual(version.price, 10);
+  assert.strictEqual(version.stock, 4);
+  assert.strictEqual(version.validTo, null);
+  assert.strictEqual(version.deleted, false);
+});
+
+test('closes the open version and opens a new one when a tracked column changes', async () => {
+  await history.record(products);
+  await tick();
+  
+  // Untracked columns do not make a version
+  await storage.query(`UPDATE ${products.table} SET name = 'Armchair' WHERE id = 1`);
+  assert.deepStrictEqual(await history.record(products), { versions: 0, deleted: 0 });
+  
+  await setPrice(1, 12.5);
+  assert.deepStrictEqual(await history.record(products), { versions: 1, deleted: 0 });
+  
+  const timeline = await history.timeline(products, 1);
+  assert.deepStrictEqual(timeline.map(version => version.price), [10, 12.5]);
+  assert.strictEqual(timeline[0].validTo, timeline[1].validFrom);
+  assert.strictEqual(timeline[1].validTo, null);
+});
+
+test('only looks at the given records', async () => {
+  await history.record(products);
+  await tick();
+  await setPrice(1, 11);
+  await setPrice(2, 21);
+  
+  assert.deepStrictEqual(await history.record(products, { ids: [] }), { versions: 0, deleted: 0 });
+  assert.deepStrictEqual(await history.record(products, { ids: [2] }), { versions: 1, deleted: 0 });
+  assert.strictEqual((await history.timeline(products, 1)).length, 1);
+});
+
+test('records a tombstone for a deleted record only when asked to', async () => {
+  await history.record(products);
+  await tick();
+  await removeProduct(2);
+  
+  // Incremental syncs never see deletions
+  assert.deepStrictEqual(await history.record(products), { versions: 0, deleted: 0 });
+  assert.deepStrictEqual(await history.record(products, { tombstones: true }), { versions: 0, deleted: 1 });
+  
+  const timeline = await history.timeline(products, 2);
+  assert.strictEqual(timeline.length, 2);
+  assert.strictEqual(timeline[0].validTo, timeline[1].validFrom);
+  assert.strictEqual(timeline[1].deleted, true);
+  assert.strictEqual(timeline[1].price, null);
+  assert.strictEqual(timeline[1].validTo, null);
+  
+  // A deleted record gets a single tombstone
+  assert.deepStrictEqual(await history.record(products, { tombstones: true }), { versions: 0, deleted: 0 });
+});
+
+test('closes the tombstone when a deleted record returns', async () => {
+  await history.record(products);
+  await tick();
+  await removeProduct(2);
+  await history.record(products, { tombstones: true });
+  await tick();
+  
+  await storage.insert(products.table, { id: 2, idproduct: '2', name: 'Table', price: 20, stock: 1 });
+  assert.deepStrictEqual(await history.record(products, { tombstones: true }), { versions: 1, deleted: 0 });
+  
+  const timeline = await history.timeline(products, 2);
+  assert.deepStrictEqual(timeline.map(version => version.deleted), [false, true, false]);
+  assert.strictEqual(timeline[1].validTo, timeline[2].validFrom);
+  assert.strictEqual(timeline[2].price, 20);
+  assert.strictEqual(timeline[2].validTo, null);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const { SyncJobManager, JobConflictError } = require('../lib/jobs');
+
+// A job run that finishes when told to
+function controlledRun() {
+  let finish;
+  const done = new Promise(resolve => {
+    finish = resolve;
+  });
+  
+  return {
+    run: () => done,
+    finish: (result = { success: true }) => finish(result)
+  };
+}
+
+function definition(run, overrides = {}) {
+  return {
+    tenant: 'default',
+    target: 'products',
+    entities: ['products'],
+    mode: 'incremental',
+    trigger: 'manual',
+    run,
+    ...overrides
+  };
+}
+
+test('runs a job and records its result', async () => {
+  const manager = new SyncJobManager();
+  const job = manager.create(definition(async () => ({ success: true, inserted: 3 })));
+  
+  assert.strictEqual(job.status, 'running');
+  assert.ok(manager.isBusy());
+  
+  await job.finished;
+  assert.strictEqual(job.status, 'completed');
+  assert.deepStrictEqual(job.result, { success: true, inserted: 3 });
+  assert.ok(!manager.isBusy());
+});
+
+test('marks a job failed when its run fails or reports failure', async () => {
+  const manager = new SyncJobManager();
+  
+  const thrown = await manager.create(definition(async () => {
+    throw new Error('database gone');
+  })).finished;
+  assert.strictEqual(thrown.status, 'failed');
+  assert.strictEqual(thrown.error, 'database gone');
+  
+  const reported = await manager.create(definition(async () => ({ success: false, error: 'partial' }))).finished;
+  assert.strictEqual(reported.status, 'failed');
+  assert.strictEqual(reported.error, 'partial');
+});
+
+test('rejects a job whose entities are locked by a running job', async () => {
+  const manager = new SyncJobManager();
+  const first = controlledRun();
+  const running = manager.create(definition(first.run, { target: 'all', entities: ['warehouses', 'products'] }));
+  
+  assert.throws(() => manager.create(definition(async () => ({ success: true }))), error => {
+    assert.ok(error instanceof JobConflictError);
+    assert.strictEqual(error.entity, 'products');
+    assert.strictEqual(error.conflictingJob, running);
+    return true;
+  });
+  
+  first.finish();
+  await running.finished;
+  await manager.create(definition(async () => ({ success: true }))).finished;
+});
+
+test('locks entities per tenant', async () => {
+  const manager = new SyncJobManager();
+  const first = controlledRun();
+  const running = manager.create(definition(first.run));
+  
+  const other = manager.create(definition(async () => ({ success: true }), { tenant: 'outlet' }));
+  assert.strictEqual(other.status, 'running');
+  await other.finished;
+  
+  assert.ok(manager.isBusy('default'));
+  assert.ok(!manager.isBusy('outlet'));
+  
+  first.finish();
+  await running.finished;
+});
+
+test('queues a conflicting job and starts it once the entities are free', async () => {
+  const manager = new SyncJobManager();
+  const first = controlledRun();
+  const order = [];
+  const running = manager.create(definition(async job => {
+    order.push('first');
+    return first.run(job);
+  }));
+  
+  const queued = manager.create(definition(async () => {
+    order.push('second');
+    return { success: true };
+  }), { queue: true });
+  assert.strictEqual(queued.status, 'queued');
+  
+  first.finish();
+  await queued.finished;
+  assert.deepStrictEqual(order, ['first', 'second']);
+  assert.strictEqual(running.status, 'completed');
+  assert.strictEqual(queued.status, 'completed');
+});
+
+test('drops a cancelled queued job without running it', async () => {
+  const manager = new SyncJobManager();
+  const first = controlledRun();
+  const running = manager.create(definition(first.run));
+  let ran = false;
+  const queued = manager.create(definition(async () => {
+    ran = true;
+    return { success: true };
+  }), { queue: true });
+  
+  assert.strictEqual(manager.cancel(queued.id), queued);
+  await queued.finished;
+  assert.strictEqual(queued.status, 'cancelled');
+  
+  first.finish();
+  await running.finished;
+  assert.strictEqual(ran, false);
+  assert.strictEqual(manager.queue.length, 0);
+});
+
+test('stops a cancelled running job at its next safe point', async () => {
+  const manager = new SyncJobManager();
+  let pages = 0;
+  const job = manager.create(definition(async runningJob => {
+    while (true) {
+      pages++;
+      runningJob.throwIfCancelled();
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }));
+  
+  await new Promise(resolve => setImmediate(resolve));
+  manager.cancel(job.id);
+  await job.finished;
+  
+  assert.strictEqual(job.status, 'cancelled');
+  assert.strictEqual(job.error, 'Sync cancelled');
+  assert.ok(pages >= 1);
+  assert.ok(!manager.isBusy());
+});
+
+test('returns null when cancelling an unknown job', () => {
+  assert.strictEqual(new SyncJobManager().cancel('nope'), null);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('./helpers');
+const { Migrator, loadMigrations, splitBatches } = require('../lib/migrations');
+
+test('splits a migration into batches on GO lines', () => {
+  const text = [
+    '-- Widen a column',
+    'ALTER TABLE a ALTER COLUMN b VARCHAR(300);',
+    'GO',
+    '  go  ',
+    '-- Only a comment',
+    'GO',
+    "UPDATE a SET b = 'GO' -- GO",
+    'WHERE b IS NULL;',
+    'GO'
+  ].join('\n');
+  
+  assert.deepStrictEqual(splitBatches(text), [
+    '-- Widen a column\nALTER TABLE a ALTER COLUMN b VARCHAR(300);',
+    "UPDATE a SET b = 'GO' -- GO\nWHERE b IS NULL;"
+  ]);
+});
+
+test('keeps a migration without GO lines in one batch', () => {
+  assert.deepStrictEqual(splitBatches('CREATE TABLE a (b INT);\nCREATE TABLE c (d INT);\n'), [
+    'CREATE TABLE a (b INT);\nCREATE TABLE c (d INT);'
+  ]);
+});
+
+test('lists pending migrations in a dry run without changing anything', async () => {
+  const storage = await createStorage();
+  const migrator = new Migrator(storage);
+  const migrations = loadMigrations(migrator.dir);
+  
+  const plan = await migrator.dryRun();
+  assert.ok(plan.startsWith(`-- ${migrations.length} pending migrations`));
+  for (const migration of migrations) {
+    assert.ok(plan.includes(`-- Migration ${migration.file}`));
+  }
+  assert.ok(!plan.includes('adopted as the baseline'));
+  
+  assert.strictEqual(await storage.tableExists('schema_migrations'), false);
+  assert.strictEqual(await storage.tableExists('sync_status'), false);
+  
+  await storage.close();
+});
+
+test('applies pending migrations once', async () => {
+  const storage = await createStorage();
+  const migrator = new Migrator(storage);
+  const migrations = loadMigrations(migrator.dir);
+  
+  assert.strictEqual((await migrator.migrate()).length, migrations.length);
+  assert.strictEqual(await storage.tableExists('sync_status'), true);
+  
+  const applied = await storage.query('SELECT version FROM schema_migrations ORDER BY version');
+  assert.deepStrictEqual(applied.rows.map(row => Number(row.version)), migrations.map(migration => migration.version));
+  
+  assert.deepStrictEqual(await migrator.migrate(), []);
+  assert.strictEqual(await migrator.dryRun(), '-- Database schema is up to date, no pending migrations');
+  
+  await storage.close();
+});
+
+test.describe('with migrations of its own', () => {
+  let dir;
+  
+  test.before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picqer-migrations-'));
+  });
+  
+  test.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('rolls back every pending migration when one fails', async () => {
+    fs.writeFileSync(path.join(dir, '001_first.sql'), 'CREATE TABLE first_table (id INTEGER);\nGO\nINSERT INTO first_table VALUES (1);');
+    fs.writeFileSync(path.join(dir, '002_broken.sql'), 'INSERT INTO missing_table VALUES (1);');
+    
+    const storage = await createStorage();
+    const migrator = new Migrator(storage, { dir });
+    
+    await assert.rejects(migrator.migrate(), /Migration failed, no changes were applied/);
+    assert.strictEqual(await storage.tableExists('first_table'), false);
+    assert.strictEqual(await storage.tableExists('schema_migrations'), false);
+    
+    await storage.close();
+  });
+  
+  test('adopts an install from before migrations', async () => {
+    fs.rmSync(path.join(dir, '002_broken.sql'), { force: true });
+    fs.writeFileSync(path.join(dir, '001_first.sql'), 'CREATE TABLE IF NOT EXISTS sync_status (entity TEXT);');
+    
+    const storage = await createStorage();
+    await storage.exec('CREATE TABLE sync_status (entity TEXT)');
+    const migrator = new Migrator(storage, { dir });
+    
+    assert.ok((await migrator.dryRun()).includes('it will be adopted as the baseline'));
+    assert.strictEqual((await migrator.migrate()).length, 1);
+    assert.strictEqual(await migrator.isUnversionedInstall(), false);
+    
+    await storage.close();
+  });
+});
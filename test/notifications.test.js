@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const { Notifier, notificationConfig } = require('../lib/notifications');
+
+const HOUR = 60 * 60 * 1000;
+
+let sent;
+let notifier;
+
+test.beforeEach(() => {
+  sent = [];
+  notifier = new Notifier({
+    channels: [{ name: 'test', send: async alert => sent.push(alert) }],
+    failedRowsPercent: 5,
+    staleHours: 2,
+    repeatHours: 6
+  });
+});
+
+// Pretend an open alert was last sent the given number of hours ago
+function sentHoursAgo(key, hours) {
+  notifier.open.get(key).lastSentAt = new Date(Date.now() - hours * HOUR);
+}
+
+test('sends a failed sync once per repeat window', async () => {
+  await notifier.syncFinished('products', { success: false, error: 'timeout', runId: 7 });
+  await notifier.syncFinished('products', { success: false, error: 'timeout', runId: 8 });
+  
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].key, 'sync_failed:products');
+  assert.strictEqual(sent[0].severity, 'error');
+  assert.strictEqual(sent[0].details.runId, 7);
+  assert.strictEqual(sent[0].details.occurrences, null);
+  
+  sentHoursAgo('sync_failed:products', 7);
+  await notifier.syncFinished('products', { success: false, error: 'timeout', runId: 9 });
+  
+  assert.strictEqual(sent.length, 2);
+  assert.strictEqual(sent[1].details.occurrences, 3);
+  assert.strictEqual(sent[1].details.since, notifier.open.get('sync_failed:products').openedAt.toISOString());
+});
+
+test('keeps alerts of different entities apart', async () => {
+  await notifier.syncFinished('products', { success: false, error: 'timeout' });
+  await notifier.syncFinished('picklists', { success: false, error: 'timeout' });
+  
+  assert.deepStrictEqual(sent.map(alert => alert.key), ['sync_failed:products', 'sync_failed:picklists']);
+});
+
+test('resolves a failed sync once the entity syncs again', async () => {
+  await notifier.syncFinished('products', { success: true, count: 10 });
+  assert.strictEqual(sent.length, 0);
+  
+  await notifier.syncFinished('products', { success: false, error: 'timeout' });
+  await notifier.syncFinished('products', { success: true, count: 10 });
+  
+  assert.deepStrictEqual(sent.map(alert => [alert.key, alert.severity]), [
+    ['sync_failed:products', 'error'],
+    ['sync_failed:products', 'resolved']
+  ]);
+  assert.deepStrictEqual(notifier.getStatus().openAlerts, []);
+  
+  // A new failure opens a new alert, not a repeat
+  await notifier.syncFinished('products', { success: false, error: 'timeout' });
+  assert.strictEqual(sent.length, 3);
+  assert.strictEqual(sent[2].details.occurrences, null);
+});
+
+test('ignores cancelled syncs', async () => {
+  await notifier.syncFinished('products', { success: false, cancelled: true, error: 'Sync cancelled' });
+  assert.strictEqual(sent.length, 0);
+});
+
+test('warns when more failed rows than the threshold, child rows included', async () => {
+  // 5 of 100 rows is not more than 5%
+  await notifier.syncFinished('products', { success: true, count: 40, children: { product_stock: 55 }, failed: 5 });
+  assert.strictEqual(sent.length, 0);
+  
+  await notifier.syncFinished('products', {
+    success: true,
+    count: 40,
+    children: { product_stock: 54 },
+    failed: 6,
+    runId: 3,
+    failedRows: [{ id: '10:7', error: 'FOREIGN KEY constraint failed' }]
+  });
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].key, 'partial_failure:products');
+  assert.strictEqual(sent[0].severity, 'warning');
+  assert.match(sent[0].message, /^6 of 100 products rows failed to write, child rows included \(6\.0%\)/);
+  assert.strictEqual(sent[0].details.firstFailures, '10:7: FOREIGN KEY constraint failed');
+  
+  await notifier.syncFinished('products', { success: true, count: 100 });
+  assert.deepStrictEqual(sent.map(alert => alert.severity), ['warning', 'resolved']);
+});
+
+test('warns about entities without a successful sync for too long', async () => {
+  const now = new Date();
+  
+  await notifier.checkStaleness({
+    products: new Date(now - HOUR),
+    picklists: new Date(now - 3 * HOUR)
+  }, now);
+  
+  assert.deepStrictEqual(sent.map(alert => alert.key), ['stale:picklists']);
+  assert.match(sent[0].message, /has not synced successfully for 3 hours, more than 2/);
+  
+  await notifier.checkStaleness({ picklists: now }, now);
+  assert.deepStrictEqual(sent.map(alert => [alert.key, alert.severity]), [
+    ['stale:picklists', 'warning'],
+    ['stale:picklists', 'resolved']
+  ]);
+});
+
+test('gives entities that never synced the stale period after startup', async () => {
+  await notifier.checkStaleness({ products: null }, new Date(notifier.startedAt.getTime() + HOUR));
+  assert.strictEqual(sent.length, 0);
+  
+  await notifier.checkStaleness({ products: null }, new Date(notifier.startedAt.getTime() + 3 * HOUR));
+  assert.strictEqual(sent.length, 1);
+  assert.match(sent[0].message, /has never synced successfully, 3 hours after startup/);
+});
+
+test('checks nothing for staleness when it is off', async () => {
+  const quiet = new Notifier({ channels: notifier.channels });
+  await quiet.checkStaleness({ products: new Date(0) });
+  
+  assert.strictEqual(sent.length, 0);
+});
+
+test('reports the outcome per channel without throwing', async () => {
+  const failing = new Notifier({
+    channels: [
+      {
+        name: 'broken',
+        send: async () => {
+          throw new Error('connection refused');
+        }
+      },
+      notifier.channels[0]
+    ]
+  });
+  
+  const outcome = await failing.deliver({ key: 'test', severity: 'warning', title: 'Test', message: 'Test' });
+  
+  assert.deepStrictEqual(outcome, [
+    { channel: 'broken', success: false, error: 'connection refused' },
+    { channel: 'test', success: true }
+  ]);
+  assert.strictEqual(sent.length, 1);
+});
+
+test('reads channels and thresholds from the environment', () => {
+  const config = notificationConfig({
+    NOTIFY_WEBHOOK_URL: 'https://hooks.example.com/a, https://chat.example.com/b',
+    NOTIFY_WEBHOOK_FORMAT: 'Teams',
+    SMTP_HOST: 'smtp.example.com',
+    NOTIFY_EMAIL_TO: 'ops@example.com',
+    NOTIFY_STALE_HOURS: '12'
+  });
+  
+  assert.deepStrictEqual(config.channels.map(channel => channel.name), [
+    'webhook hooks.example.com',
+    'webhook chat.example.com',
+    'email ops@example.com'
+  ]);
+  assert.strictEqual(config.failedRowsPercent, 5);
+  assert.strictEqual(config.staleHours, 12);
+  assert.strictEqual(config.repeatHours, 6);
+  
+  assert.throws(() => notificationConfig({ NOTIFY_WEBHOOK_URL: 'https://hooks.example.com', NOTIFY_WEBHOOK_FORMAT: 'irc' }), /Unknown NOTIFY_WEBHOOK_FORMAT/);
+});
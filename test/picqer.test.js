@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+require('./helpers');
+const { MetricsRegistry } = require('../lib/metrics');
+const { PicqerClient } = require('../lib/picqer');
+
+function createMetrics() {
+  const registry = new MetricsRegistry();
+  
+  return {
+    picqerRequestDuration: registry.histogram('picqer_api_request_duration_seconds', 'Duration'),
+    picqerRequests: registry.counter('picqer_api_requests_total', 'Requests'),
+    picqerErrors: registry.counter('picqer_api_errors_total', 'Errors'),
+    picqerRetries: registry.counter('picqer_api_retries_total', 'Retries')
+  };
+}
+
+function createClient(config = {}) {
+  return new PicqerClient({
+    tenant: 'default',
+    apiKey: 'key',
+    baseUrl: 'http://127.0.0.1:1',
+    requestsPerMinute: 6000,
+    metrics: createMetrics(),
+    ...config
+  });
+}
+
+// An axios error with a response
+function responseError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers }
+  });
+}
+
+test('waits the number of seconds in Retry-After', () => {
+  const client = createClient();
+  
+  assert.strictEqual(client.getRetryDelay(1, responseError(503, { 'retry-after': '3' })), 3000);
+  assert.strictEqual(client.getRetryDelay(4, responseError(429, { 'retry-after': '0' })), 0);
+});
+
+test('waits until the date in Retry-After, and not at all when it has passed', () => {
+  const client = createClient();
+  
+  const future = new Date(Date.now() + 10000).toUTCString();
+  const delay = client.getRetryDelay(1, responseError(503, { 'retry-after': future }));
+  assert.ok(delay > 8000 && delay <= 10000, `delay ${delay}`);
+  
+  const past = new Date(Date.now() - 10000).toUTCString();
+  assert.strictEqual(client.getRetryDelay(1, responseError(503, { 'retry-after': past })), 0);
+});
+
+test('waits no longer than the maximum delay, whatever Retry-After says', () => {
+  const client = createClient({ retry: { maxDelay: 5000 } });
+  
+  assert.strictEqual(client.getRetryDelay(1, responseError(503, { 'retry-after': '3600' })), 5000);
+  
+  const future = new Date(Date.now() + 3600000).toUTCString();
+  assert.strictEqual(client.getRetryDelay(1, responseError(429, { 'retry-after': future })), 5000);
+});
+
+test('waits out the rate limit window on a 429 without Retry-After', () => {
+  const client = createClient();
+  
+  assert.strictEqual(client.getRetryDelay(1, responseError(429)), 60000);
+  assert.strictEqual(client.getRetryDelay(1, responseError(429, { 'retry-after': 'soon' })), 60000);
+});
+
+test('backs off exponentially with jitter, up to the maximum delay', () => {
+  const client = createClient({ retry: { baseDelay: 1000, maxDelay: 8000 } });
+  
+  for (let i = 0; i < 20; i++) {
+    const first = client.getRetryDelay(1, responseError(500));
+    assert.ok(first >= 500 && first <= 1000, `first delay ${first}`);
+    
+    const third = client.getRetryDelay(3, new Error('socket hang up'));
+    assert.ok(third >= 2000 && third <= 4000, `third delay ${third}`);
+    
+    const capped = client.getRetryDelay(10, responseError(502, { 'retry-after': 'soon' }));
+    assert.ok(capped >= 4000 && capped <= 8000, `capped delay ${capped}`);
+  }
+});
+
+test.describe('against a server', () => {
+  let server;
+  let baseUrl;
+  let responses;
+  let received;
+  
+  test.before(async () => {
+    server = http.createServer((req, res) => {
+      received.push({ method: req.method, url: req.url, at: Date.now() });
+      const { status, headers = {}, body = {} } = responses.shift() || { status: 200 };
+      
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  
+  test.beforeEach(() => {
+    responses = [];
+    received = [];
+  });
+  
+  test.after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+  
+  test('retries a GET after the delay in Retry-After', async () => {
+    const client = createClient({ baseUrl });
+    const stats = { retries: 0 };
+    responses = [
+      { status: 429, headers: { 'Retry-After': '1' } },
+      { status: 200, body: [{ idproduct: 1 }] }
+    ];
+    
+    const data = await client.request('get', 'products', null, null, stats);
+    
+    assert.deepStrictEqual(data, [{ idproduct: 1 }]);
+    assert.strictEqual(received.length, 2);
+    assert.ok(received[1].at - received[0].at >= 950, `retried after ${received[1].at - received[0].at}ms`);
+    assert.strictEqual(stats.retries, 1);
+    assert.match(client.metrics.picqerRetries.format(), /picqer_api_retries_total\{tenant="default"\} 1/);
+  });
+  
+  test('gives up after the maximum number of retries', async () => {
+    const client = createClient({ baseUrl, retry: { maxRetries: 2, baseDelay: 1, maxDelay: 1 } });
+    responses = [{ status: 503 }, { status: 503 }, { status: 503 }, { status: 200 }];
+    
+    await assert.rejects(client.request('get', 'products'), /status code 503/);
+    assert.strictEqual(received.length, 3);
+  });
+  
+  test('does not retry requests that are not GETs', async () => {
+    const client = createClient({ baseUrl, retry: { baseDelay: 1, maxDelay: 1 } });
+    responses = [{ status: 503 }, { status: 200 }];
+    
+    await assert.rejects(client.request('post', 'hooks', { event: 'products.changed' }), /status code 503/);
+    assert.deepStrictEqual(received.map(request => request.method), ['POST']);
+  });
+  
+  test('returns null for a record Picqer does not have', async () => {
+    const client = createClient({ baseUrl });
+    responses = [{ status: 404 }];
+    
+    assert.strictEqual(await client.getRecord('products', 99), null);
+    assert.strictEqual(received[0].url, '/products/99');
+  });
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { builtInEntities, createStorage } = require('./helpers');
+const { QueryError, buildListQuery, encodeCursor, formatRow, parsePaging } = require('../lib/query');
+
+const { warehouses, products } = builtInEntities();
+
+const rows = [
+  { id: 1, idproduct: '1', name: 'Chair', sku: 'C1', price: 12.5, stock: 4 },
+  { id: 2, idproduct: '2', name: 'Table', sku: 'T1', price: 99, stock: 1 },
+  { id: 3, idproduct: '3', name: '50% off lamp', sku: 'L1', price: 20, stock: 0 },
+  { id: 4, idproduct: '4', name: 'Lamp_shade', sku: 'L2', price: 7.25, stock: 9 },
+  { id: 5, idproduct: '5', name: 'Desk', sku: 'D1', price: 150, stock: 2 }
+];
+
+const stock = [
+  { product_id: 1, warehouse_id: 1, free_stock: 3, reserved_stock: 1, total_stock: 4 },
+  { product_id: 2, warehouse_id: 2, free_stock: 1, reserved_stock: 0, total_stock: 1 },
+  { product_id: 5, warehouse_id: 1, free_stock: 1, reserved_stock: 0, total_stock: 1 },
+  { product_id: 5, warehouse_id: 2, free_stock: 1, reserved_stock: 0, total_stock: 1 }
+];
+
+let storage;
+
+test.before(async () => {
+  storage = await createStorage([warehouses, products]);
+  
+  for (const id of [1, 2]) {
+    await storage.insert(warehouses.table, { id, idwarehouse: String(id), name: `Warehouse ${id}` });
+  }
+  for (const row of rows) {
+    await storage.insert(products.table, row);
+  }
+  for (const row of stock) {
+    await storage.insert('product_stock', row);
+  }
+});
+
+test.after(() => storage.close());
+
+// Run a list query the way the read API does: the total and one page
+async function list(query) {
+  const { where, cursorWhere, orderBy, params } = buildListQuery(products, query);
+  
+  const total = await storage.query(`SELECT COUNT(*) AS total FROM ${products.table} ${where}`, params);
+  const result = await storage.query(`
+    SELECT * FROM ${products.table}
+    ${cursorWhere}
+    ORDER BY ${orderBy}
+    ${storage.pageClause()}
+  `, params);
+  
+  return {
+    total: Number(total.rows[0].total),
+    ids: result.rows.map(row => Number(row.id))
+  };
+}
+
+test('filters on a column, with comma-separated values matching any of them', async () => {
+  assert.deepStrictEqual(await list({ sku: 'T1' }), { total: 1, ids: [2] });
+  assert.deepStrictEqual(await list({ id: '1, 3,5' }), { total: 3, ids: [1, 3, 5] });
+});
+
+test('filters on a column of a child table', async () => {
+  assert.deepStrictEqual(await list({ warehouse_id: '2' }), { total: 2, ids: [2, 5] });
+  assert.deepStrictEqual(await list({ warehouse_id: '1', sku: 'D1' }), { total: 1, ids: [5] });
+});
+
+test('searches case-insensitively and matches wildcards literally', async () => {
+  assert.deepStrictEqual((await list({ q: 'LAMP' })).ids, [3, 4]);
+  assert.deepStrictEqual((await list({ q: '%' })).ids, [3]);
+  assert.deepStrictEqual((await list({ q: '_' })).ids, [4]);
+});
+
+test('sorts on a column with the key breaking ties', async () => {
+  assert.deepStrictEqual((await list({ sort: '-price' })).ids, [5, 2, 3, 1, 4]);
+  assert.deepStrictEqual((await list({ sort: '-id', limit: '2', offset: '1' })).ids, [4, 3]);
+});
+
+test('rejects unknown filters, invalid values and unsortable columns', () => {
+  assert.throws(() => buildListQuery(products, { colour: 'red' }), QueryError);
+  assert.throws(() => buildListQuery(products, { id: 'abc' }), QueryError);
+  assert.throws(() => buildListQuery(products, { price: '' }), QueryError);
+  assert.throws(() => buildListQuery(products, { sort: 'colour' }), QueryError);
+});
+
+test('pages through all rows with cursors', async () => {
+  const seen = [];
+  let cursor = null;
+  
+  while (true) {
+    const page = await list(cursor === null ? { limit: '2' } : { limit: '2', cursor });
+    assert.strictEqual(page.total, rows.length);
+    seen.push(...page.ids);
+    
+    if (page.ids.length < 2) {
+      break;
+    }
+    cursor = encodeCursor(page.ids[page.ids.length - 1]);
+  }
+  
+  assert.deepStrictEqual(seen, [1, 2, 3, 4, 5]);
+});
+
+test('pages backwards with cursors when sorting on the key descending', async () => {
+  assert.deepStrictEqual((await list({ sort: '-id', limit: '2', cursor: encodeCursor(4) })).ids, [3, 2]);
+});
+
+test('cursors ignore the offset and only work when sorting on the key', () => {
+  const query = buildListQuery(products, { cursor: encodeCursor(2), offset: '10' });
+  assert.strictEqual(query.offset, 0);
+  assert.strictEqual(query.params.cursor, 2);
+  
+  assert.throws(() => buildListQuery(products, { sort: 'name', cursor: encodeCursor(2) }), QueryError);
+  assert.throws(() => buildListQuery(products, { cursor: 'not a cursor' }), QueryError);
+});
+
+test('rejects cursors that do not hold a value of the key', () => {
+  assert.throws(() => buildListQuery(products, { cursor: encodeCursor('abc') }), QueryError);
+  assert.throws(() => buildListQuery(products, { cursor: encodeCursor(1.5) }), QueryError);
+  assert.throws(() => buildListQuery(products, { cursor: encodeCursor({ id: 1 }) }), QueryError);
+  assert.throws(() => buildListQuery(products, { cursor: encodeCursor(null) }), QueryError);
+  assert.strictEqual(buildListQuery(products, { cursor: encodeCursor('7') }).params.cursor, 7);
+});
+
+test('clamps the limit and offset and rejects non-numeric paging', () => {
+  assert.deepStrictEqual(parsePaging({}), { limit: 50, offset: 0 });
+  assert.deepStrictEqual(parsePaging({ limit: '-5', offset: '-1' }), { limit: 1, offset: 0 });
+  assert.deepStrictEqual(parsePaging({ limit: '10000' }), { limit: 500, offset: 0 });
+  assert.deepStrictEqual(parsePaging({ limit: '300' }, 200, 250), { limit: 250, offset: 0 });
+  assert.throws(() => parsePaging({ limit: 'abc' }), QueryError);
+  assert.throws(() => parsePaging({ offset: '1.5' }), QueryError);
+});
+
+test('formats stored values to their column types', async () => {
+  const result = await storage.query(`SELECT * FROM ${products.table} WHERE id = @id`, { id: 4 });
+  const row = formatRow(products.columns, result.rows[0]);
+  
+  assert.strictEqual(row.price, 7.25);
+  assert.strictEqual(row.stock, 9);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('./helpers');
+const { loadEntities } = require('../lib/entities');
+const { Reconciler } = require('../lib/reconcile');
+
+// A custom entity with a column of every type that needs normalizing
+const SUPPLIERS = {
+  name: 'suppliers',
+  endpoint: 'suppliers',
+  incremental: false,
+  columns: [
+    { name: 'id', type: 'INT', key: true, source: 'idsupplier' },
+    { name: 'name', type: 'NVARCHAR(255)', source: 'name', default: '' },
+    { name: 'active', type: 'BIT', source: 'active' },
+    { name: 'rating', type: 'DECIMAL(10, 2)', source: 'rating' },
+    { name: 'code', type: 'CHAR(5)', source: 'code' },
+    { name: 'since', type: 'DATE', source: 'since' },
+    { name: 'updated', type: 'DATETIME', source: 'updated' },
+    { name: 'warehouse_id', type: 'INT', source: 'idwarehouse', references: 'warehouses (id)' }
+  ]
+};
+
+// Suppliers as Picqer returns them
+const picqerSuppliers = [
+  { idsupplier: 1, name: 'Acme', active: true, rating: 4.5, code: 'AC', since: '2023-05-01', updated: '2024-01-02T10:00:00Z', idwarehouse: 1 },
+  { idsupplier: 2, name: 'Bolt', active: false, rating: 3, code: 'BO', since: '2023-06-01', updated: '2024-01-03T10:00:00Z', idwarehouse: 1 },
+  { idsupplier: 3, name: 'Cogs', active: true, rating: 5, code: 'CO', since: '2023-07-01', updated: '2024-01-04T10:00:00Z', idwarehouse: 2 }
+];
+
+let dir;
+let entities;
+let storage;
+
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picqer-reconcile-'));
+  fs.writeFileSync(path.join(dir, 'entities.json'), JSON.stringify([SUPPLIERS]));
+  entities = Object.fromEntries(loadEntities({ ENTITY_CONFIG_FILE: path.join(dir, 'entities.json') }).map(entity => [entity.name, entity]));
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.beforeEach(async () => {
+  storage = await createStorage([entities.warehouses, entities.products, entities.suppliers]);
+  
+  for (const id of [1, 2]) {
+    await storage.insert('warehouses', { id, idwarehouse: String(id), name: `Warehouse ${id}` });
+  }
+});
+
+test.afterEach(() => storage.close());
+
+// A Picqer client returning the given records in pages of two
+function picqerClient(records) {
+  return {
+    async *paginate(endpoint, params, stats) {
+      stats.retries += 1;
+      for (let index = 0; index < records.length; index += 2) {
+        yield records.slice(index, index + 2);
+      }
+    }
+  };
+}
+
+// A job that is never cancelled
+const job = {
+  setPhase() {},
+  updateProgress() {},
+  throwIfCancelled() {}
+};
+
+async function reconcile(entity, records) {
+  return new Reconciler(storage, picqerClient(records)).reconcile(entity, job);
+}
+
+test('reports an entity in sync when every row matches, whatever the driver returns', async () => {
+  // Stored the way the databases hand values back: booleans as 0 and 1,
+  // decimals and dates as strings, padded fixed-length strings
+  await storage.insert('suppliers', { id: 1, name: 'Acme', active: 1, rating: '4.50', code: 'AC   ', since: '2023-05-01T00:00:00.000Z', updated: '2024-01-02T10:00:00.730Z', warehouse_id: 1 });
+  await storage.insert('suppliers', { id: 2, name: 'Bolt', active: 0, rating: 3, code: 'BO', since: '2023-06-01', updated: '2024-01-03 10:00:00Z', warehouse_id: 1 });
+  
+  const report = await reconcile(entities.suppliers, picqerSuppliers.slice(0, 2));
+  
+  assert.strictEqual(report.inSync, true);
+  assert.strictEqual(report.picqerCount, 2);
+  assert.strictEqual(report.databaseCount, 2);
+  assert.strictEqual(report.mismatched.count, 0);
+  assert.strictEqual(report.retries, 1);
+});
+
+test('counts rows missing on either side', async () => {
+  await storage.insert('suppliers', { id: 1, name: 'Acme', active: 1, rating: 4.5, code: 'AC', since: '2023-05-01', updated: '2024-01-02T10:00:00Z', warehouse_id: 1 });
+  await storage.insert('suppliers', { id: 4, name: 'Gone', active: 1, rating: 1, code: 'GO', since: '2020-01-01', updated: '2021-01-01T10:00:00Z', warehouse_id: 1 });
+  
+  // Records can show up twice while paging, they count once
+  const report = await reconcile(entities.suppliers, [...picqerSuppliers, picqerSuppliers[2]]);
+  
+  assert.strictEqual(report.inSync, false);
+  assert.strictEqual(report.picqerCount, 3);
+  assert.strictEqual(report.databaseCount, 2);
+  assert.deepStrictEqual(report.missingInDatabase, { count: 2, ids: [2, 3] });
+  assert.deepStrictEqual(report.missingInPicqer, { count: 1, ids: [4] });
+  assert.strictEqual(report.mismatched.count, 0);
+});
+
+test('reports the fields of mismatched rows as normalized values', async () => {
+  await storage.insert('suppliers', { id: 1, name: 'Acme', active: 0, rating: 4.25, code: 'AC', since: '2023-05-02', updated: '2024-01-02T11:00:00Z', warehouse_id: 1 });
+  await storage.insert('suppliers', { id: 2, name: 'Bolt', active: 0, rating: 3, code: 'BO', since: '2023-06-01', updated: '2024-01-03T10:00:00Z', warehouse_id: 1 });
+  
+  const report = await reconcile(entities.suppliers, picqerSuppliers.slice(0, 2));
+  
+  assert.strictEqual(report.mismatched.count, 1);
+  assert.deepStrictEqual(report.mismatched.rows, [{
+    id: 1,
+    fields: [
+      { column: 'active', picqer: true, database: false },
+      { column: 'rating', picqer: '4.50', database: '4.25' },
+      { column: 'since', picqer: '2023-05-01', database: '2023-05-02' },
+      { column: 'updated', picqer: Date.parse('2024-01-02T10:00:00Z') / 1000, database: Date.parse('2024-01-02T11:00:00Z') / 1000 }
+    ]
+  }]);
+});
+
+test('reports rows whose references point at a missing record', async () => {
+  await storage.insert('products', { id: 10, idproduct: '10', name: 'Chair', sku: '', barcode: '', price: 0, stock: 3 });
+  await storage.insert('product_stock', { product_id: 10, warehouse_id: 1, free_stock: 1, total_stock: 1 });
+  await storage.insert('product_stock', { product_id: 10, warehouse_id: 2, free_stock: 2, total_stock: 2 });
+  
+  // Rows left behind when a full sync swapped in a warehouses table without them
+  await storage.exec('PRAGMA foreign_keys = OFF');
+  await storage.query('DELETE FROM warehouses WHERE id = 2');
+  await storage.exec('PRAGMA foreign_keys = ON');
+  
+  const reconciler = new Reconciler(storage, null);
+  assert.deepStrictEqual(await reconciler.brokenReferences(entities.products), [{
+    table: 'product_stock',
+    column: 'warehouse_id',
+    references: 'warehouses (id)',
+    rows: 1,
+    values: [2]
+  }]);
+  assert.deepStrictEqual(await reconciler.brokenReferences(entities.warehouses), []);
+  
+  const report = await reconcile(entities.products, [
+    { idproduct: 10, name: 'Chair', sku: '', barcode: '', price: 0, stock: [{ idwarehouse: 1, stock: 1 }, { idwarehouse: 2, stock: 2 }] }
+  ]);
+  assert.strictEqual(report.mismatched.count, 0);
+  assert.strictEqual(report.brokenReferences.count, 1);
+  assert.strictEqual(report.inSync, false);
+});
+
+test('checks references of the entity table itself', async () => {
+  await storage.insert('suppliers', { id: 3, name: 'Cogs', active: 1, rating: 5, code: 'CO', since: '2023-07-01', updated: '2024-01-04T10:00:00Z', warehouse_id: 2 });
+  await storage.exec('PRAGMA foreign_keys = OFF');
+  await storage.insert('suppliers', { id: 5, name: 'Nowhere', warehouse_id: 9 });
+  await storage.insert('suppliers', { id: 6, name: 'Nowhere either', warehouse_id: 9 });
+  await storage.exec('PRAGMA foreign_keys = ON');
+  
+  const [broken] = await new Reconciler(storage, null).brokenReferences(entities.suppliers);
+  assert.deepStrictEqual(broken, {
+    table: 'suppliers',
+    column: 'warehouse_id',
+    references: 'warehouses (id)',
+    rows: 2,
+    values: [9]
+  });
+});
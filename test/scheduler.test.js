@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+const { logger } = require('../lib/logger');
+const { loadSchedules, SyncScheduler } = require('../lib/scheduler');
+
+const TARGETS = ['all', 'products', 'picklists'];
+
+// The message of the latest log entry of at least the given level
+function lastLogged(level) {
+  return logger.entries({ level, limit: 1 })[0].message;
+}
+
+test.describe('loadSchedules', () => {
+  let dir;
+  let file;
+  
+  test.before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'picqer-schedules-'));
+    file = path.join(dir, 'schedules.json');
+    fs.writeFileSync(file, JSON.stringify({
+      products: '0 * * * *',
+      picklists: { cron: '*/5 * * * *', mode: 'incremental' },
+      customers: '0 0 * * *'
+    }));
+  });
+  
+  test.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('reads schedules from the file and ignores unknown targets', () => {
+    assert.deepStrictEqual(loadSchedules(TARGETS, { SYNC_SCHEDULE_FILE: file }), [
+      { target: 'products', cron: '0 * * * *', mode: null },
+      { target: 'picklists', cron: '*/5 * * * *', mode: 'incremental' }
+    ]);
+    assert.match(lastLogged('warn'), /unknown target .*: customers$/);
+  });
+  
+  test('lets environment variables override the file', () => {
+    const schedules = loadSchedules(TARGETS, {
+      SYNC_SCHEDULE_FILE: file,
+      SYNC_SCHEDULE_PICKLISTS: '*/10 * * * *',
+      SYNC_SCHEDULE_ALL: '0 3 * * *',
+      SYNC_SCHEDULE_ALL_MODE: 'full',
+      SYNC_SCHEDULE_CUSTOMERS: '0 1 * * *'
+    });
+    
+    assert.deepStrictEqual(schedules, [
+      { target: 'products', cron: '0 * * * *', mode: null },
+      { target: 'picklists', cron: '*/10 * * * *', mode: null },
+      { target: 'all', cron: '0 3 * * *', mode: 'full' }
+    ]);
+  });
+  
+  test('reads the variables and file of the given prefix', () => {
+    const schedules = loadSchedules(TARGETS, {
+      SYNC_SCHEDULE_FILE: file,
+      SYNC_SCHEDULE_ALL: '0 3 * * *',
+      RECONCILE_SCHEDULE_PRODUCTS: '0 4 * * *'
+    }, { prefix: 'RECONCILE_SCHEDULE', defaultFile: path.join(dir, 'missing.json') });
+    
+    assert.deepStrictEqual(schedules, [{ target: 'products', cron: '0 4 * * *', mode: null }]);
+  });
+  
+  test('skips a file that is not valid JSON', () => {
+    const broken = path.join(dir, 'broken.json');
+    fs.writeFileSync(broken, '{ "products": ');
+    
+    assert.deepStrictEqual(loadSchedules(TARGETS, { SYNC_SCHEDULE_FILE: broken, SYNC_SCHEDULE_ALL: '0 3 * * *' }), [
+      { target: 'all', cron: '0 3 * * *', mode: null }
+    ]);
+    assert.match(lastLogged('error'), /Error reading schedule file/);
+  });
+});
+
+test.describe('SyncScheduler', () => {
+  let scheduler;
+  
+  test.beforeEach(() => {
+    scheduler = new SyncScheduler(async () => ({ success: true }), { modes: ['incremental', 'full'] });
+  });
+  
+  test.afterEach(() => scheduler.stop());
+  
+  test('starts a job for every valid schedule', () => {
+    scheduler.start([
+      { target: 'products', cron: '0 * * * *', mode: null },
+      { target: 'picklists', cron: '*/5 * * * *', mode: 'incremental' }
+    ]);
+    
+    const status = scheduler.getStatus();
+    assert.deepStrictEqual(status.map(job => [job.target, job.mode]), [['products', null], ['picklists', 'incremental']]);
+    assert.ok(status.every(job => new Date(job.nextRun) > new Date()));
+  });
+  
+  test('rejects a schedule with an unknown mode', () => {
+    scheduler.start([
+      { target: 'products', cron: '0 * * * *', mode: 'sometimes' },
+      { target: 'picklists', cron: '*/5 * * * *', mode: 'full' }
+    ]);
+    
+    assert.deepStrictEqual(scheduler.getStatus().map(job => job.target), ['picklists']);
+    assert.match(lastLogged('error'), /Invalid schedule for products sync/);
+  });
+  
+  test('rejects a schedule with a bad cron expression', () => {
+    scheduler.start([
+      { target: 'products', cron: 'every hour', mode: null },
+      { target: 'picklists', cron: '61 * * * *', mode: null },
+      { target: 'all', cron: '0 3 * * *', mode: null }
+    ]);
+    
+    assert.deepStrictEqual(scheduler.getStatus().map(job => job.target), ['all']);
+  });
+  
+  test('rejects any mode when no modes are allowed', () => {
+    const reconciles = new SyncScheduler(async () => ({ success: true }), { kind: 'reconcile' });
+    reconciles.start([{ target: 'products', cron: '0 * * * *', mode: 'full' }]);
+    
+    assert.deepStrictEqual(reconciles.getStatus(), []);
+    assert.match(lastLogged('error'), /Invalid schedule for products reconcile/);
+  });
+  
+  test('records the result of a run, and failures as a failed result', async () => {
+    let fail = false;
+    const runs = [];
+    const manual = new SyncScheduler(async (target, mode) => {
+      runs.push([target, mode]);
+      if (fail) {
+        throw new Error('database gone');
+      }
+      return { success: true };
+    }, { modes: ['full'] });
+    manual.start([{ target: 'all', cron: '0 3 * * *', mode: 'full' }]);
+    const [job] = manual.jobs;
+    
+    await manual.run(job);
+    assert.deepStrictEqual(manual.getStatus()[0].lastResult, { success: true, error: null });
+    
+    fail = true;
+    await manual.run(job);
+    assert.deepStrictEqual(manual.getStatus()[0].lastResult, { success: false, error: 'database gone' });
+    assert.strictEqual(job.running, false);
+    assert.deepStrictEqual(runs, [['all', 'full'], ['all', 'full']]);
+    
+    manual.stop();
+  });
+});
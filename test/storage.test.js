@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { builtInEntities, createStorage } = require('./helpers');
+const { entityTables } = require('../lib/entities');
+
+const { warehouses, products } = builtInEntities();
+const tables = Object.fromEntries(entityTables([warehouses, products]).map(table => [table.name, table]));
+
+let storage;
+
+test.beforeEach(async () => {
+  storage = await createStorage([warehouses, products]);
+  
+  for (const id of [1, 2]) {
+    await storage.insert('warehouses', { id, idwarehouse: String(id), name: `Warehouse ${id}` });
+  }
+  await storage.insert('products', { id: 10, idproduct: '10', name: 'Chair' });
+  await storage.insert('product_stock', { product_id: 10, warehouse_id: 2, free_stock: 1 });
+});
+
+test.afterEach(() => storage.close());
+
+// Create a staging table for a table, the way a full sync does
+async function createStaging(table) {
+  await storage.createTable(`${table}_staging`, tables[table]);
+  return `${table}_staging`;
+}
+
+async function ids(table, key = 'id') {
+  const result = await storage.query(`SELECT ${key} FROM ${table} ORDER BY ${key}`);
+  return result.rows.map(row => Number(row[key]));
+}
+
+test('replaces tables with their staging tables', async () => {
+  await createStaging('products');
+  await createStaging('product_stock');
+  await storage.insert('products_staging', { id: 11, idproduct: '11', name: 'Table' });
+  await storage.insert('product_stock_staging', { product_id: 11, warehouse_id: 1, free_stock: 4 });
+  
+  await storage.swapTables([
+    { table: 'products', staging: 'products_staging' },
+    { table: 'product_stock', staging: 'product_stock_staging' }
+  ]);
+  
+  assert.deepStrictEqual(await ids('products'), [11]);
+  assert.deepStrictEqual(await ids('product_stock', 'product_id'), [11]);
+  assert.strictEqual(await storage.tableExists('products_staging'), false);
+  assert.strictEqual(await storage.tableExists('product_stock_staging'), false);
+});
+
+test('leaves every table in place when one of the swaps fails', async () => {
+  await createStaging('products');
+  await storage.insert('products_staging', { id: 11, idproduct: '11', name: 'Table' });
+  
+  await assert.rejects(storage.swapTables([
+    { table: 'products', staging: 'products_staging' },
+    { table: 'product_stock', staging: 'product_stock_staging' }
+  ]));
+  
+  assert.deepStrictEqual(await ids('products'), [10]);
+  assert.deepStrictEqual(await ids('product_stock', 'product_id'), [10]);
+  assert.deepStrictEqual(await ids('products_staging'), [11]);
+});
+
+test('keeps foreign keys of other tables pointing at a swapped table', async () => {
+  await createStaging('warehouses');
+  await storage.insert('warehouses_staging', { id: 1, idwarehouse: '1', name: 'Warehouse 1' });
+  await storage.insert('warehouses_staging', { id: 3, idwarehouse: '3', name: 'Warehouse 3' });
+  
+  await storage.swapTables([{ table: 'warehouses', staging: 'warehouses_staging' }]);
+  assert.deepStrictEqual(await ids('warehouses'), [1, 3]);
+  
+  // Existing rows are not checked: stock in warehouse 2 stays until the next
+  // sync of products
+  assert.deepStrictEqual(await ids('product_stock', 'warehouse_id'), [2]);
+  
+  // New rows are checked against the new table
+  await storage.insert('product_stock', { product_id: 10, warehouse_id: 3, free_stock: 1 });
+  await assert.rejects(
+    storage.insert('product_stock', { product_id: 10, warehouse_id: 4, free_stock: 1 }),
+    /FOREIGN KEY/
+  );
+  
+  const references = await storage.query("SELECT sql FROM sqlite_master WHERE name = 'product_stock'");
+  assert.match(references.rows[0].sql, /REFERENCES warehouses \(id\)/);
+});
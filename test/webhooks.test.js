@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { builtInEntities, createStorage } = require('./helpers');
+const { entityTables } = require('../lib/entities');
+const { Migrator } = require('../lib/migrations');
+const { WebhookEventError, WebhookProcessor, verifyWebhookSignature } = require('../lib/webhooks');
+
+const { warehouses, products } = builtInEntities();
+const tables = Object.fromEntries(entityTables([warehouses, products]).map(table => [table.name, table]));
+
+// Products as Picqer returns them
+const picqerProducts = {
+  10: { idproduct: 10, name: 'Chair', price: 15, stock: [{ idwarehouse: 1, freestock: 2, reserved: 0, stock: 2 }] }
+};
+
+let storage;
+let processor;
+let tenant;
+let calls;
+
+test.beforeEach(async () => {
+  storage = await createStorage([warehouses, products]);
+  await new Migrator(storage).migrate();
+  
+  await storage.insert('warehouses', { id: 1, idwarehouse: '1', name: 'Main' });
+  await storage.insert('products', { id: 10, idproduct: '10', name: 'Chair', price: 12.5, stock: 4 });
+  await storage.insert('product_stock', { product_id: 10, warehouse_id: 1, free_stock: 4, total_stock: 4 });
+  
+  calls = [];
+  tenant = {
+    id: 'default',
+    registry: { warehouses, products },
+    picqerClient: {
+      getRecord: async (endpoint, id) => {
+        calls.push(['getRecord', endpoint, id]);
+        return picqerProducts[id] || null;
+      }
+    }
+  };
+  processor = new WebhookProcessor(storage, tables, {
+    startRun: async (runTenant, entity) => {
+      calls.push(['startRun', entity]);
+      return 1;
+    },
+    finishRun: async (runId, result) => calls.push(['finishRun', result.success]),
+    recordHistory: async (definition, options) => calls.push(['recordHistory', definition.name, options])
+  });
+});
+
+test.afterEach(() => storage.close());
+
+async function storedProduct(id) {
+  const product = await storage.query('SELECT price, stock FROM products WHERE id = @id', { id });
+  const stock = await storage.query('SELECT warehouse_id, free_stock FROM product_stock WHERE product_id = @id', { id });
+  
+  return product.rows.length === 0 ? null : {
+    price: Number(product.rows[0].price),
+    stock: stock.rows.map(row => [Number(row.warehouse_id), Number(row.free_stock)])
+  };
+}
+
+async function loggedEvent(id) {
+  const result = await storage.query('SELECT status, error FROM webhook_events WHERE id = @id', { id });
+  return result.rows[0];
+}
+
+test('accepts a signature made with the secret', () => {
+  const body = Buffer.from('{"event":"products.changed"}');
+  const signature = crypto.createHmac('sha256', 'secret').update(body).digest('base64');
+  
+  assert.strictEqual(verifyWebhookSignature(body, signature, 'secret'), true);
+});
+
+test('rejects a signature made with another secret or for another body', () => {
+  const body = Buffer.from('{"event":"products.changed"}');
+  const signature = crypto.createHmac('sha256', 'other').update(body).digest('base64');
+  const tampered = crypto.createHmac('sha256', 'secret').update('{"event":"products.deleted"}').digest('base64');
+  
+  assert.strictEqual(verifyWebhookSignature(body, signature, 'secret'), false);
+  assert.strictEqual(verifyWebhookSignature(body, tampered, 'secret'), false);
+  assert.strictEqual(verifyWebhookSignature(body, 'short', 'secret'), false);
+});
+
+test('rejects a missing signature, body or secret', () => {
+  const body = Buffer.from('{"event":"products.changed"}');
+  const signature = crypto.createHmac('sha256', 'secret').update(body).digest('base64');
+  
+  assert.strictEqual(verifyWebhookSignature(body, undefined, 'secret'), false);
+  assert.strictEqual(verifyWebhookSignature(body, '', 'secret'), false);
+  assert.strictEqual(verifyWebhookSignature(undefined, signature, 'secret'), false);
+  assert.strictEqual(verifyWebhookSignature(body, signature, null), false);
+});
+
+test('writes the record as Picqer has it, replacing its child rows', async () => {
+  await processor.processEvent(tenant, { event: 'products.free_stock_changed', data: { idproduct: 10 } });
+  
+  assert.deepStrictEqual(await storedProduct(10), { price: 15, stock: [[1, 2]] });
+  assert.deepStrictEqual(calls, [
+    ['startRun', 'products'],
+    ['getRecord', 'products', 10],
+    ['recordHistory', 'products', { ids: [10], tombstones: false }],
+    ['finishRun', true]
+  ]);
+});
+
+test('deletes a deleted record and its child rows without asking Picqer', async () => {
+  await processor.processEvent(tenant, { event: 'products.deleted', data: { idproduct: 10 } });
+  
+  assert.strictEqual(await storedProduct(10), null);
+  const stock = await storage.query('SELECT COUNT(*) AS total FROM product_stock');
+  assert.strictEqual(Number(stock.rows[0].total), 0);
+  assert.deepStrictEqual(calls, [
+    ['startRun', 'products'],
+    ['recordHistory', 'products', { ids: [10], tombstones: true }],
+    ['finishRun', true]
+  ]);
+});
+
+test('deletes a record Picqer no longer has', async () => {
+  await storage.insert('products', { id: 11, idproduct: '11', name: 'Table' });
+  
+  await processor.processEvent(tenant, { event: 'products.changed', data: { idproduct: 11 } });
+  assert.strictEqual(await storedProduct(11), null);
+});
+
+test('acknowledges unknown event types without processing them', async () => {
+  for (const event of ['customers.created', 'warehouses.changed', undefined]) {
+    await assert.rejects(processor.processEvent(tenant, { event, data: { idwarehouse: 1 } }), error => {
+      assert.ok(error instanceof WebhookEventError);
+      assert.strictEqual(error.statusCode, 202);
+      return true;
+    });
+  }
+  
+  assert.deepStrictEqual(calls, []);
+});
+
+test('rejects an event without the key of the record', async () => {
+  await assert.rejects(processor.processEvent(tenant, { event: 'products.changed', data: {} }), error => {
+    assert.ok(error instanceof WebhookEventError);
+    assert.strictEqual(error.statusCode, 400);
+    assert.match(error.message, /has no idproduct/);
+    return true;
+  });
+});
+
+test('records a failed run when the record cannot be written', async () => {
+  tenant.picqerClient.getRecord = async () => {
+    throw new Error('Picqer is down');
+  };
+  
+  await assert.rejects(processor.processEvent(tenant, { event: 'products.changed', data: { idproduct: 10 } }), /Picqer is down/);
+  assert.deepStrictEqual(calls, [['startRun', 'products'], ['finishRun', false]]);
+  assert.deepStrictEqual(await storedProduct(10), { price: 12.5, stock: [[1, 4]] });
+});
+
+test('logs events with the outcome of processing them', async () => {
+  const payload = { idhook: 3, event: 'products.changed', data: { idproduct: 10 } };
+  const processed = await processor.logEvent(tenant, payload);
+  assert.strictEqual((await loggedEvent(processed)).status, 'received');
+  
+  await processor.handleEvent(tenant, processed, payload);
+  assert.deepStrictEqual({ ...await loggedEvent(processed) }, { status: 'processed', error: null });
+  
+  const unknown = { idhook: 3, event: 'customers.created', data: {} };
+  const failed = await processor.logEvent(tenant, unknown);
+  await assert.rejects(processor.handleEvent(tenant, failed, unknown), WebhookEventError);
+  assert.deepStrictEqual({ ...await loggedEvent(failed) }, { status: 'error', error: 'Unsupported webhook event: customers.created' });
+});